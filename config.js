@@ -5,10 +5,19 @@
  * Signal TF: M5 | Trend TF: M15
  *
  * Usage:
- *   import CFG from './config.js';
+ *   import CFG from './config.js';                    // defaults below
+ *   import { loadConfig } from './config.js';
+ *   const cfg = loadConfig('profiles/aggressive.yaml'); // defaults + profile overrides
+ *
+ * Every module takes the config as an optional constructor/function argument
+ * (defaulting to CFG), so several configurations can live in one process.
+ * main.js checks the resolved config against src/config/validate.js at startup.
  */
 
 import 'dotenv/config';
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parse as parseYaml } from 'yaml';
 
 // ── Broker / Deriv ────────────────────────────────────────────────────────────
 
@@ -34,9 +43,9 @@ const instrument = {
   pricePrecision : 2,
 
   // Deriv Multiplier value — amplifies the price move
-  // Available: 10, 20, 30, 40, 50, 100, 200, 500
   // Higher = more leverage = higher P/L per $ stake
-  multiplier : parseInt(process.env.DERIV_MULTIPLIER ?? '100', 10),
+  multiplier  : parseInt(process.env.DERIV_MULTIPLIER ?? '100', 10),
+  multipliers : [10, 20, 30, 40, 50, 100, 200, 500],  // values Deriv offers — `multiplier` must be one
 
   // Minimum stake in USD (Deriv's minimum is $1)
   minStake : 1.0,
@@ -46,6 +55,92 @@ const instrument = {
 
   // Minimum position units for backtest P/L calculation (1 oz gold minimum)
   minUnits : 1,
+
+  // M5 history for backtests / offline mode — null → backtest.dataPath
+  dataPath : null,
+
+  // Starting price of the synthetic --mock series (its volatility scales with it)
+  mockPrice : 2350.0,
+};
+
+// ── Instruments ───────────────────────────────────────────────────────────────
+// Per-symbol specs for multi-instrument runs (--symbols, portfolio.symbols).
+// forInstrument(cfg, symbol) merges an entry over `instrument` above. An entry
+// may also list the `sessions` it trades (replacing sessions.trade) and
+// `overrides` — a partial config applied for that symbol
+// only. Anything quoted in price units (ATR bounds, spread) must be overridden
+// there, as must per-symbol risk limits.
+//
+// Multiplier choices and stake limits differ per symbol and change over time —
+// check the contract details on Deriv before trading a new one.
+
+const instruments = {
+  frxXAUUSD : {},   // the `instrument` defaults above
+
+  frxXAGUSD : {
+    pricePrecision : 4,
+    multiplier     : 50,
+    multipliers    : [10, 20, 30, 40, 50, 100],
+    maxStake       : 1000.0,
+    dataPath       : 'data/historical/XAGUSD_M5.csv',
+    mockPrice      : 30.0,
+    overrides      : {
+      strategy : { minAtr: 0.006, maxAtr: 0.45 },   // gold's $0.50–$35 at silver's price
+      risk     : { breakevenOffset: 0.0006 },
+      backtest : { spread: 0.02 },
+      news     : { watchCurrencies: ['USD'] },
+    },
+  },
+
+  frxEURUSD : {
+    pricePrecision : 5,
+    multiplier     : 500,
+    multipliers    : [50, 100, 200, 300, 500],
+    dataPath       : 'data/historical/EURUSD_M5.csv',
+    mockPrice      : 1.08,
+    sessions       : ['london'],   // liquidity fades after the London close
+    overrides      : {
+      strategy : { minAtr: 0.0002, maxAtr: 0.005 },
+      backtest : { spread: 0.00008 },
+      news     : { watchCurrencies: ['USD', 'EUR'] },
+      risk     : { maxOpenTrades: 1, breakevenOffset: 0.00002 },
+    },
+  },
+
+  // Volatility 100 Index — synthetic, trades 24/7 and does not react to news
+  R_100 : {
+    pricePrecision : 2,
+    multiplier     : 100,
+    multipliers    : [40, 100, 200, 300, 400],
+    dataPath       : 'data/historical/R_100_M5.csv',
+    mockPrice      : 1500.0,
+    sessions       : ['always'],
+    overrides      : {
+      strategy : { minAtr: 0, maxAtr: Infinity },   // no calibrated bounds yet
+      risk     : { breakevenOffset: 0.03 },
+      backtest : { spread: 0.1 },
+      news     : { watchCurrencies: [] },
+      sessions : { fridayCutoff: null },            // no weekend gap
+    },
+  },
+};
+
+// ── Portfolio ─────────────────────────────────────────────────────────────────
+// Limits across every traded symbol, checked after the symbol's own `risk`
+// limits. The per-trade rules (risk %, USD cap) stay per symbol.
+
+const portfolio = {
+  symbols             : ['frxXAUUSD'],  // traded by default — override with --symbols a,b
+  maxOpenTrades       : 3,      // Open positions across all symbols
+  maxDailyLossUsd     : 800.0,  // Combined daily P/L across all symbols
+  maxDailyDrawdownPct : 8.0,    // Combined daily P/L as % of the day's starting equity
+
+  // Open risk (see risk.maxOpenRiskPct) summed across symbols
+  maxOpenRiskUsd      : 800.0,
+  // Symbols that move together count as one market for the direction cap: a
+  // gold long and a silver long are one bet on metals, not two
+  correlationGroups   : [['frxXAUUSD', 'frxXAGUSD']],
+  maxCorrelatedRiskUsd: 400.0,  // Same-direction open risk within a group (or one ungrouped symbol)
 };
 
 // ── Timeframes ────────────────────────────────────────────────────────────────
@@ -98,11 +193,52 @@ const indicator = {
 // ── Strategy / Signal Rules ───────────────────────────────────────────────────
 
 const strategy = {
+  name      : 'emaCross',  // Strategy plugin from src/strategies/ — override with --strategy <name>
+
   minAtr    : 0.50,  // Min ATR in USD — skip choppy/dead markets (raised: EMA5/13 cross needs real volatility)
   maxAtr    : 35.0,  // Max ATR in USD — skip extreme news spikes
   minRrRatio: 2.0,   // Minimum acceptable Risk:Reward — 2:1 required to overcome spread+commission
-  slAtrMult : 2.0,   // ATR-based SL fallback: entry ± 2.0×ATR (floor: 1×ATR enforced in code)
+  slAtrMult : 2.0,   // ATR-based SL fallback: entry ± 2.0×ATR (floor: minSlAtr)
   tpSlMult  : 2.0,   // Take-profit = SL_distance × 2.0 (2:1 R:R — break-even win rate ~38%)
+  swingBufferAtr : 0.2,  // Structural SL sits this × ATR beyond the last swing high/low
+  minSlAtr       : 1.0,  // SL floor: never closer to entry than this × ATR (noise must not clip it)
+
+  // Min score to fire a signal: m15Trend(+1) + emaCross(+1) + any 1 scoring gate(+1) = 3
+  requiredScore : 3,
+
+  // Signal gates (src/strategy/gates.js). Score = sum of passed weights; a failed
+  // mandatory gate blocks the direction. Extra keys are options for that gate.
+  gates: {
+    m15Trend      : { enabled: true,  mandatory: true,  weight: 1 },
+    emaCross      : { enabled: true,  mandatory: true,  weight: 1, crossWithinBars: 5 },
+    m5Trend       : { enabled: true,  mandatory: false, weight: 1 },
+    rsiExhaustion : { enabled: true,  mandatory: false, weight: 1 },
+    macdMomentum  : { enabled: true,  mandatory: false, weight: 1 },
+    stochCross    : { enabled: true,  mandatory: false, weight: 1 },
+    bollingerPctB : { enabled: false, mandatory: false, weight: 1, lower: 0.05, upper: 0.95 },
+    rsiDivergence : { enabled: false, mandatory: false, weight: 1, lookback: 20 },
+    nearestSr     : { enabled: false, mandatory: false, weight: 1, lookback: 100, maxAtrDistance: 1.0 },
+  },
+
+  // ── Plugin strategy parameters (see src/strategies/) ──
+  bollingerReversion: {
+    lookbackBars  : 3,     // The close outside the band must be within the last 3 bars
+    rsiOverbought : 65,    // ...with RSI above this (sell) / below rsiOversold (buy)
+    rsiOversold   : 35,
+    slAtrBuffer   : 0.5,   // SL beyond the excursion's extreme by 0.5×ATR
+    minRrRatio    : 1.0,   // TP is the middle band — R:R is lower than the trend strategy's
+  },
+  londonBreakout: {
+    rangeStartUtc : 0,     // Asian range: bars opening in [0:00, 7:00) UTC
+    rangeEndUtc   : 7,
+    entryEndUtc   : 10,    // Breakouts accepted 7:00–10:00 UTC
+    minRangeBars  : 60,    // Need ≥ 60 of the 84 M5 range bars (skips Monday gaps)
+    minRangeAtr   : 2.0,   // Range width must be 2–12 × M5 ATR
+    maxRangeAtr   : 12.0,
+    bufferAtr     : 0.1,   // Close must clear the range by 0.1×ATR
+    stop          : 'mid', // 'mid' = range midpoint, 'opposite' = other side of the range
+    tpRr          : 2.0,   // TP = SL distance × 2.0
+  },
 };
 
 // ── Risk Management ───────────────────────────────────────────────────────────
@@ -113,10 +249,55 @@ const risk = {
   maxOpenTrades        : 2,      // Max simultaneous positions
   maxDailyDrawdownPct  : 5.0,    // Daily drawdown % limit — bot pauses if breached
   maxDailyLossUsd      : 500.0,  // Hard USD daily loss limit
+  maxTradesPerDay      : 5,      // Closed trades per UTC day — prevents overtrading on choppy days
+  // Gap between consecutive entries. cooldownBars counts signal-timeframe bars,
+  // so live and backtest agree on any timeframe; set it to null to use cooldownMin.
+  cooldownBars         : 3,      // 3 × M5 = 15 min
+  cooldownMin          : null,
+
+  // Open risk = USD lost if every open position hit its current stop (a stop
+  // trailed past entry counts 0). Caps are the lower of % of equity and USD.
+  maxOpenRiskPct       : 2.5,    // All open positions together
+  maxOpenRiskUsd       : 500.0,
+  maxDirectionRiskPct  : 1.5,    // All longs / all shorts — a second full-size long is blocked
+  maxDirectionRiskUsd  : 300.0,
+  // A new trade is also blocked when open risk + its risk exceeds what is left of
+  // the daily loss budget (the tighter of maxDailyLossUsd and maxDailyDrawdownPct)
+
+  // Circuit breakers — pauses beyond the daily limits; null disables one.
+  // See src/risk/breakers.js. Trips persist in log.riskStateFile.
+  breakers : {
+    maxDrawdownPct       : 15.0,  // Peak-to-trough % → halt until `node main.js --reset-breakers`
+    maxConsecutiveLosses : 5,     // Losing streak → pause ...
+    lossStreakPauseMin   : 240,   // ... for this many minutes
+    maxWeeklyLossPct     : 8.0,   // Realised loss this week (from Monday 00:00 UTC) → halt until next week
+    maxMonthlyLossPct    : 15.0,  // Realised loss this calendar month → halt until next month
+    outsizedLossPct      : 2.0,   // One loss ≥ this % of equity (gap / slipped stop) → stand down ...
+    outsizedStandDownMin : 240,   // ... for this many minutes
+  },
+
+  // Position sizing — how many USD a trade risks at its stop, before the
+  // maxRiskPct / maxRiskUsd caps. model: 'fixedFractional' | 'fixedUsd' |
+  // 'volTarget' | 'kelly' | 'equityCurve' — see src/risk/sizing.js
+  sizing : {
+    model          : 'fixedFractional',
+    fixedUsd       : 100.0,  // 'fixedUsd'    — USD risked per trade
+    targetAtrPct   : 0.06,   // 'volTarget'   — ATR (as % of price) at which maxRiskPct is risked
+    minScale       : 0.25,   //                 scale bounds for faster / quieter markets
+    maxScale       : 1.0,
+    kellyFraction  : 0.25,   // 'kelly'       — quarter Kelly
+    kellyWindow    : 50,     //                 rolling window of closed trades
+    kellyMinTrades : 20,     //                 sizes like fixedFractional until this many
+    kellyMinPct    : 0.25,   //                 floor, % of equity — never sizes to zero
+    ddStartPct     : 3.0,    // 'equityCurve' — drawdown from peak at which scaling starts
+    ddFullPct      : 10.0,   //                 ... and reaches ddMinScale
+    ddMinScale     : 0.25,
+  },
 
   // Trailing stop: activates once trade reaches 1% profit (price-based, not ATR-based)
   trailingSlActivationPct : 0.01,  // 1% of entry price movement to activate trail
   trailingSlDistanceMult  : 0.8,   // Trail SL at currentPrice ± 0.8×ATR once active
+  breakevenOffset         : 0.05,  // Price units past entry the first trail step locks in — per instrument
 };
 
 // ── News / Macro Filter ───────────────────────────────────────────────────────
@@ -124,9 +305,57 @@ const risk = {
 const news = {
   blackoutBeforeMins : 30,   // Minutes to avoid trading BEFORE a high-impact event
   blackoutAfterMins  : 30,   // Minutes to avoid trading AFTER a high-impact event
+                             // (a calendar entry may set its own beforeMins / afterMins)
   watchCurrencies    : ['USD', 'XAU'],
-  sessionStartUtc    : 7,    // 07:00 UTC — London open
-  sessionEndUtc      : 20,   // 20:00 UTC — NY close
+  impacts            : ['high'],  // Event impact levels that black out trading ('low' | 'medium' | 'high')
+
+  // Scheduled events with exact dates and recurrence rules — see src/data/calendar.js.
+  // Versioned with the code; extend it as release schedules are published.
+  calendarPath       : 'data/calendar/events.json',
+  liveFeed           : true,  // Also merge the Forex Factory this-week feed (live only)
+  feedRetryMin       : 15,    // After a failed feed fetch, retry this many minutes later
+
+  // Open positions ahead of a watched event (entries are already blocked):
+  //   'none'      — leave them
+  //   'close'     — close every position
+  //   'breakeven' — stop to entry ± risk.breakevenOffset once price is past it
+  //   'tighten'   — stop to price ∓ tightenAtr × ATR, if tighter
+  // Live and backtest; each action is written to log.newsLogCsv.
+  preEvent : {
+    action        : 'none',
+    minutesBefore : 15,    // Act this many minutes before the event
+    tightenAtr    : 0.5,   // 'tighten' — stop distance in ATRs
+  },
+};
+
+// ── Trading Sessions ──────────────────────────────────────────────────────────
+// When new trades may open — see src/data/sessions.js. Live and backtest.
+
+const sessions = {
+  // Named sessions in local time; the zone's daylight saving applies. `days`
+  // are local weekdays (default Monday–Friday), `market` ties a session to the
+  // holiday file, `within` makes it the overlap of other sessions.
+  defs : {
+    asia    : { tz: 'Asia/Tokyo',       start: '09:00', end: '18:00' },
+    london  : { tz: 'Europe/London',    start: '08:00', end: '17:00', market: 'UK' },
+    newYork : { tz: 'America/New_York', start: '08:00', end: '17:00', market: 'US' },
+    overlap : { within: ['london', 'newYork'] },
+    always  : { tz: 'UTC', start: '00:00', end: '24:00',
+                days: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] },
+  },
+
+  // Sessions entries may open in, per weekday ('monday' … 'sunday');
+  // `default` covers the days not listed
+  trade : {
+    default : ['london', 'newYork'],
+  },
+
+  // US / UK market holidays and early closes; null = none
+  holidayPath : 'data/calendar/holidays.json',
+
+  // No entries after this time on Friday; closePositions also flattens the
+  // book ahead of the weekend gap. null = off
+  fridayCutoff : { time: '15:00', tz: 'America/New_York', closePositions: false },
 };
 
 // ── Logging ───────────────────────────────────────────────────────────────────
@@ -134,7 +363,12 @@ const news = {
 const log = {
   logDir       : 'logs',
   tradeLogCsv  : 'logs/trades.csv',
+  newsLogCsv   : 'logs/news_actions.csv',   // Pre-event actions on open positions
   botLogFile   : 'logs/bot.log',
+  // RiskManager daily counters — restored after a restart on the same UTC day
+  riskStateFile: 'logs/risk_state.json',
+  // Contracts the live executor tracks — journaled on close even after a restart
+  positionsFile: 'logs/open_positions.json',
   logLevel     : process.env.LOG_LEVEL ?? 'info',
 };
 
@@ -144,10 +378,137 @@ const backtest = {
   dataPath      : 'data/historical/XAUUSD_M5.csv',  // M5 data for backtest
   initialEquity : 10_000.0,
   spread        : 0.25,  // Simulated spread in USD
-  commission    : 2.0,   // Round-trip commission per trade (USD)
+  commission    : 2.0,   // Round-trip commission per trade (USD) — 'units' P/L model
+
+  // P/L model: 'units'      → ounces × price move (RiskManager.calculatePositionSize)
+  //            'multiplier' → Deriv Multiplier contract, sized like TradeExecutor:
+  //                           stake × multiplier × move/entry, USD SL/TP, stop-out at −stake
+  pnlModel      : 'units',
+  // Deriv commission on Multipliers, as % of notional (stake × multiplier), charged at open.
+  // Paper trading charges it too, so paper, backtest and live agree on a trade.
+  // Approximate — check the contract details on Deriv for the current frxXAUUSD rate.
+  multiplierCommissionPct : 0.02,
+
+  // Replay the news calendar (news.calendarPath): no entries inside event
+  // blackout windows, as live. Override with --news on|off; --news compare runs both.
+  newsBlackout  : true,
+
+  // Optional M1 series (Histdata or bot CSV format) walked inside each M5 bar to
+  // decide whether SL or TP was touched first. null → SL wins ties (conservative).
+  m1DataPath    : null,  // e.g. 'data/historical/XAUUSD_M1.csv'
+
+  // Slippage on market fills (entries and stop exits; TP limit fills never slip)
+  // model: 'none' | 'fixed' | 'atr' | 'random' — see src/backtest/slippage.js
+  slippage : {
+    model    : 'none',
+    fixedUsd : 0.10,  // 'fixed'  — USD per fill
+    atrMult  : 0.05,  // 'atr'    — fraction of the signal bar's ATR
+    minUsd   : 0.00,  // 'random' — uniform in [minUsd, maxUsd]
+    maxUsd   : 0.30,
+    seed     : 42,    // 'random' — PRNG seed, so runs are repeatable
+  },
+};
+
+// ── Walk-Forward Optimisation ─────────────────────────────────────────────────
+// Used by `node main.js --optimize`. Override with --opt-spec <file.json> (same shape).
+
+const optimize = {
+  // Metric from computeMetrics() to maximise in-sample
+  objective : 'sharpeRatio',
+  // In-sample runs with fewer trades than this are not eligible to be picked
+  minTrades : 5,
+
+  // 'grid'   → every combination of the values below
+  // 'random' → `samples` combinations drawn from them (seeded, repeatable)
+  search : { mode: 'grid', samples: 30, seed: 7 },
+
+  // Dotted config paths → candidate values: [a, b, c] or { min, max, step }
+  params : {
+    'indicator.emaFast'      : [3, 5, 8],
+    'indicator.emaSlow'      : [13, 21],
+    'strategy.slAtrMult'     : { min: 1.5, max: 2.5, step: 0.5 },
+    'strategy.requiredScore' : [3, 4],
+  },
+
+  // Rolling windows, in M5 bars. Each out-of-sample window directly follows its
+  // in-sample window; the next pair starts stepBars later.
+  windows : { inSampleBars: 2000, outOfSampleBars: 750, stepBars: 750 },
 };
 
 // ── Export ────────────────────────────────────────────────────────────────────
 
-const CFG = { broker, instrument, timeframe, indicator, strategy, risk, news, log, backtest };
+const CFG = {
+  broker, instrument, instruments, portfolio, timeframe, indicator, strategy, risk, news, sessions, log, backtest,
+  optimize,
+};
 export default CFG;
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+/**
+ * Return a new config with `overrides` deep-merged over `base`.
+ * Plain objects merge key by key; arrays and scalars replace. Neither input is mutated.
+ *
+ * @param {Object} base
+ * @param {Object} overrides  Partial config, e.g. { risk: { maxRiskPct: 0.5 } }
+ * @returns {Object}
+ */
+export function mergeConfig(base, overrides = {}) {
+  const out = {};
+  for (const key of new Set([...Object.keys(base), ...Object.keys(overrides)])) {
+    const b = base[key];
+    const o = overrides[key];
+    if (o === undefined)       out[key] = isPlainObject(b) ? mergeConfig(b) : b;
+    else if (isPlainObject(o)) out[key] = mergeConfig(isPlainObject(b) ? b : {}, o);
+    else                       out[key] = o;
+  }
+  return out;
+}
+
+/**
+ * Load a JSON or YAML profile and merge it over `base`.
+ * Unknown sections are rejected so a typo does not silently fall back to a default.
+ *
+ * @param {string} path   .json, .yaml or .yml
+ * @param {Object} [base]
+ * @returns {Object}      New config object
+ */
+export function loadConfig(path, base = CFG) {
+  const text      = readFileSync(path, 'utf8');
+  const ext       = extname(path).toLowerCase();
+  const overrides = ext === '.yaml' || ext === '.yml' ? parseYaml(text) : JSON.parse(text);
+
+  if (!isPlainObject(overrides)) throw new Error(`Config profile ${path} must contain an object`);
+  const unknown = Object.keys(overrides).filter(k => !(k in base));
+  if (unknown.length) throw new Error(`Config profile ${path}: unknown section(s) ${unknown.join(', ')}`);
+
+  return mergeConfig(base, overrides);
+}
+
+/**
+ * Config for trading one symbol: its `instruments` entry merged over
+ * `instrument`, its sessions and `overrides` applied, and — for any
+ * symbol but the base one — its own risk state file, so each symbol keeps
+ * separate daily counters.
+ *
+ * @param {Object} cfg
+ * @param {string} symbol  Key of cfg.instruments, e.g. 'frxXAGUSD'
+ * @returns {Object}       New config object
+ */
+export function forInstrument(cfg, symbol) {
+  const spec = cfg.instruments[symbol];
+  if (!spec) {
+    throw new Error(`Unknown instrument '${symbol}' (configured: ${Object.keys(cfg.instruments).join(', ')})`);
+  }
+  const { overrides = {}, sessions, ...instrument } = spec;
+  const out = mergeConfig(cfg, { ...overrides, instrument: { ...instrument, symbol } });
+
+  if (sessions) out.sessions.trade = { default: sessions };
+  if (symbol !== cfg.instrument.symbol) {
+    out.log.riskStateFile = cfg.log.riskStateFile.replace(/(\.json)?$/, `_${symbol}$1`);
+    out.log.positionsFile = cfg.log.positionsFile.replace(/(\.json)?$/, `_${symbol}$1`);
+  }
+  return out;
+}
+
+const isPlainObject = v => v?.constructor === Object;
@@ -1,27 +1,33 @@
 /**
- * download-history.js — Fetch XAUUSD M5 history from Deriv and save to CSV
+ * download-history.js — Fetch M5 history for one symbol from Deriv and save to CSV
  *
  * Usage:
- *   node download-history.js
+ *   node download-history.js               → frxXAUUSD (instrument.symbol)
+ *   node download-history.js frxEURUSD     → any symbol in config `instruments`
  *
  * Requires DERIV_TOKEN and DERIV_APP_ID in your .env (same as the live bot).
  * Deriv allows up to 5000 candles per request. This script fetches multiple
  * batches going back in time to build a longer history.
  *
- * Output: data/historical/XAUUSD_M5.csv
+ * Output: the symbol's data path — instrument.dataPath, else backtest.dataPath
+ *         (data/historical/XAUUSD_M5.csv for gold)
  */
 
 import 'dotenv/config';
 import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
 import { DerivClient } from './src/data/derivClient.js';
+import CFG, { forInstrument } from './config.js';
 
-const SYMBOL      = 'frxXAUUSD';
+const SYMBOL      = process.argv[2] ?? CFG.instrument.symbol;
 const GRANULARITY = 300;           // M5 = 300 seconds
 const BATCH_SIZE  = 5000;          // Max candles per Deriv request
 const BATCHES     = 6;             // 6 × 5000 = 30 000 bars ≈ 104 days of M5
-const OUT_PATH    = 'data/historical/XAUUSD_M5.csv';
 
 async function main() {
+  const cfg     = forInstrument(CFG, SYMBOL);   // throws on a symbol with no `instruments` entry
+  const outPath = cfg.instrument.dataPath ?? cfg.backtest.dataPath;
+
   const appId = process.env.DERIV_APP_ID ?? '1089';
   const token = process.env.DERIV_TOKEN ?? '';
 
@@ -34,7 +40,7 @@ async function main() {
   console.log(`Connecting to Deriv (app_id: ${appId})...`);
   const client = new DerivClient(appId, token);
   await client.connect();
-  console.log('Connected.\n');
+  console.log(`Connected. Downloading ${SYMBOL} M5.\n`);
 
   const allCandles = new Map(); // epoch → candle, deduplication
   let endEpoch     = 'latest';
@@ -71,17 +77,17 @@ async function main() {
 
   // Sort oldest-first and write CSV
   const sorted = [...allCandles.values()].sort((a, b) => a.epoch - b.epoch);
-  mkdirSync('data/historical', { recursive: true });
+  mkdirSync(dirname(outPath), { recursive: true });
 
   const header = 'time,open,high,low,close,volume';
   const rows   = sorted.map(c =>
     `${new Date(c.epoch * 1000).toISOString().replace('T', ' ').slice(0, 19)},${c.open},${c.high},${c.low},${c.close},0`
   );
 
-  writeFileSync(OUT_PATH, [header, ...rows].join('\n'), 'utf8');
-  console.log(`\nSaved ${sorted.length} candles to ${OUT_PATH}`);
+  writeFileSync(outPath, [header, ...rows].join('\n'), 'utf8');
+  console.log(`\nSaved ${sorted.length} candles to ${outPath}`);
   console.log(`Date range: ${new Date(sorted[0].epoch * 1000).toISOString().slice(0, 10)} → ${new Date(sorted.at(-1).epoch * 1000).toISOString().slice(0, 10)}`);
-  console.log('\nRun backtest with: node main.js --backtest');
+  console.log(`\nRun backtest with: node main.js --backtest --symbols ${SYMBOL}`);
 }
 
 const sleep = ms => new Promise(r => setTimeout(r, ms));
@@ -6,23 +6,64 @@
  *   node main.js                     → Live / paper trade (requires .env)
  *   node main.js --backtest          → Backtest on historical CSV
  *   node main.js --backtest --mock   → Backtest on synthetic data (no files needed)
+ *   node main.js --backtest --pnl-model multiplier
+ *                                    → Backtest with Deriv Multiplier contract P/L
+ *   node main.js --backtest --m1 data/historical/XAUUSD_M1.csv --slippage atr
+ *                                    → Resolve SL/TP ties from M1 bars, ATR-scaled slippage
+ *   node main.js --optimize --mock   → Walk-forward parameter optimisation
+ *   node main.js --optimize --opt-spec spec.json
+ *                                    → Same, with a custom parameter grid / windows
+ *   node main.js --config profiles/conservative.yaml [...]
+ *                                    → Any mode, with a JSON/YAML profile merged over config.js
+ *   node main.js --symbols frxXAUUSD,frxXAGUSD [...]
+ *                                    → Live/paper or backtest several symbols as one portfolio
+ *   node main.js --sizing kelly [...]
+ *                                    → Any mode, with another position-sizing model
+ *   node main.js --reset-breakers    → Live/paper, clearing circuit-breaker trips (drawdown halt)
+ *   node main.js --backtest --news compare
+ *                                    → Backtest with and without the news blackout, side by side
+ *   node main.js --check-config [...]
+ *                                    → Validate and print the resolved config, then exit
+ *   node main.js --backtest --breakdown
+ *                                    → Backtest, then results by direction, hour, weekday,
+ *                                      session, ATR quartile, score and gate
+ *   node main.js --breakdown         → The same breakdown of logs/trades.csv, then exit
  *
- * Live loop interval: 60 seconds (checks once per completed candle slot)
+ * Every mode validates the config first (src/config/validate.js) and exits on
+ * errors, printing each offending key.
+ *
+ * Live loop: with a Deriv connection, candles and ticks are streamed — the
+ * strategy runs on every M5 bar close and trailing stops move on ticks.
+ * Without one (mock / CSV) the loop polls every 60 seconds. Each symbol runs
+ * its own pass; all passes and ticks share one queue.
  */
 
-import { program }     from 'commander';
-import CFG             from './config.js';
+import { program, Option } from 'commander';
+import { readFileSync } from 'fs';
+import CFG, { loadConfig, mergeConfig, forInstrument } from './config.js';
+import { checkConfig, printableConfig } from './src/config/validate.js';
 import { setupLogging, TradeJournal } from './src/logging/tradeLogger.js';
 import { DerivDataFetcher, MockDataFetcher } from './src/data/fetcher.js';
 import { NewsFilter }  from './src/data/newsFilter.js';
-import { addAllIndicators } from './src/indicators/technical.js';
-import { SignalGenerator, formatSignal } from './src/strategy/signals.js';
+import { EconomicCalendar } from './src/data/calendar.js';
+import { TradingSessions, describeHoliday } from './src/data/sessions.js';
+import { IndicatorPipeline } from './src/indicators/pipeline.js';
+import { formatSignal } from './src/strategy/signals.js';
+import { listStrategies, loadStrategy, createStrategy } from './src/strategies/index.js';
 import { RiskManager } from './src/risk/manager.js';
+import { PortfolioRisk } from './src/risk/portfolio.js';
+import { SIZING_MODELS } from './src/risk/sizing.js';
 import { TradeExecutor } from './src/execution/trader.js';
-import { BacktestEngine } from './src/backtest/engine.js';
+import { BacktestEngine, PNL_MODELS, LOOKAHEAD_AUDIT_EVERY, compareNewsBlackout } from './src/backtest/engine.js';
+import { SLIPPAGE_MODELS } from './src/backtest/slippage.js';
+import { WalkForwardOptimizer } from './src/backtest/optimizer.js';
+import { PortfolioBacktest } from './src/backtest/portfolio.js';
+import { tradeBreakdown, printBreakdown } from './src/backtest/breakdown.js';
 
 const BOT_VERSION      = '1.0.0';
-const LOOP_INTERVAL_MS = 60_000;  // 60 seconds
+const LOOP_INTERVAL_MS = 60_000;  // 60 seconds — polling fallback when not streaming
+const TICK_POSITIONS_REFRESH_MS = 5_000;  // how stale the open-position list may be on ticks
+const RECONCILE_INTERVAL_MS = 15 * 60_000;  // profit-table reconcile while running (startup does one too)
 
 // ── CLI ───────────────────────────────────────────────────────────────────────
 
@@ -30,205 +71,517 @@ program
   .name('xauusd-bot')
   .description('Automated XAU/USD scalping bot')
   .option('--backtest', 'Run backtesting mode instead of live trading')
+  .option('--optimize', 'Run walk-forward parameter optimisation')
+  .option('--opt-spec <path>', 'JSON optimisation spec merged over CFG.optimize')
   .option('--mock',     'Use synthetic data (no MetaAPI connection required)')
+  .option('--config <path>', 'JSON/YAML profile merged over config.js')
+  .option('--strategy <name>', 'Strategy from src/strategies/ (default: strategy.name)')
+  .option('--list-strategies', 'List available strategies and exit')
+  .option('--symbols <list>', 'Comma-separated symbols from config `instruments` (default: portfolio.symbols)')
+  .addOption(
+    new Option('--sizing <model>', 'Position-sizing model (default: risk.sizing.model)')
+      .choices(SIZING_MODELS),
+  )
+  .addOption(
+    new Option('--pnl-model <model>', 'Backtest P/L model (default: backtest.pnlModel)')
+      .choices(PNL_MODELS),
+  )
+  .option('--m1 <path>', 'M1 data for intrabar SL/TP ordering in the backtest (default: backtest.m1DataPath)')
+  .addOption(
+    new Option('--slippage <model>', 'Backtest slippage model (default: backtest.slippage.model)')
+      .choices(SLIPPAGE_MODELS),
+  )
+  .addOption(
+    new Option('--news <mode>', 'Backtest news blackout: on, off, or compare both (default: backtest.newsBlackout)')
+      .choices(['on', 'off', 'compare']),
+  )
+  .option('--check-config', 'Validate the config, print the resolved config per symbol and exit')
+  .option('--reset-breakers', 'Live/paper: clear circuit-breaker trips, including the drawdown halt')
+  .option('--breakdown', 'Results by direction, hour, weekday, session, ATR, score and gate — of the backtest, or of the trade journal when run alone')
+  .option('--audit-lookahead [bars]', `Backtest: recompute indicators on truncated history every N bars and report differences (default: ${LOOKAHEAD_AUDIT_EVERY})`)
   .parse(process.argv);
 
-const opts = program.opts();
+const opts    = program.opts();
+const baseCfg = opts.config ? loadConfig(opts.config) : CFG;
+const cfg     = mergeConfig(baseCfg, cliOverrides(opts));
+
+if (opts.listStrategies) {
+  for (const name of listStrategies()) {
+    const { description = '' } = await loadStrategy(name);
+    console.info(`${name.padEnd(20)} ${description}`);
+  }
+  process.exit(0);
+}
+
+const symbols = cfg.portfolio.symbols;
+
+// Check the resolved config before anything connects, logs or trades
+const validation = checkConfig(cfg, symbols);
+if (opts.checkConfig) {
+  printEffectiveConfig(cfg, symbols);
+  reportValidation(validation);
+  if (!validation.errors.length) console.info(`[Config] OK — ${symbols.join(', ')} (${validation.warnings.length} warning(s))`);
+  process.exit(validation.errors.length ? 1 : 0);
+}
+reportValidation(validation);
+if (validation.errors.length) {
+  console.error(`[Config] ${validation.errors.length} error(s) — not starting. Run with --check-config to see the resolved config.`);
+  process.exit(1);
+}
+
+const Strategy = await loadStrategy(cfg.strategy.name);
 
 // ── Entry Point ───────────────────────────────────────────────────────────────
 
-const logger = setupLogging();
+const logger = setupLogging(cfg);
 
 logger.info('='.repeat(60));
 logger.info(`  XAU/USD Scalping Bot v${BOT_VERSION}`);
-logger.info(`  Mode: ${opts.backtest ? 'BACKTEST' : (opts.mock ? 'PAPER (mock)' : CFG.broker.accountType.toUpperCase())}`);
-logger.info(`  Account: ${CFG.broker.accountType.toUpperCase()} (app_id: ${CFG.broker.appId})`);
+logger.info(`  Mode: ${opts.optimize ? 'OPTIMIZE' : opts.backtest ? 'BACKTEST' : opts.breakdown ? 'JOURNAL BREAKDOWN'
+  : (opts.mock ? 'PAPER (mock)' : cfg.broker.accountType.toUpperCase())}`);
+logger.info(`  Account: ${cfg.broker.accountType.toUpperCase()} (app_id: ${cfg.broker.appId})`);
+if (opts.config) logger.info(`  Config profile: ${opts.config}`);
+logger.info(`  Strategy: ${Strategy.strategyName}`);
+logger.info(`  Symbols: ${symbols.join(', ')}`);
+logger.info(`  Sizing: ${cfg.risk.sizing.model}`);
+logger.info(`  Limits: ${describeRiskConstants(cfg)}`);
+if (cfg.news.calendarPath) logger.info(`  News calendar: ${EconomicCalendar.load(cfg.news.calendarPath).describe()}`);
+logger.info(`  Sessions: ${new TradingSessions(cfg).describe()}`);
+for (const symbol of symbols) {
+  const symCfg = forInstrument(cfg, symbol);
+  if (symCfg.risk.breakevenOffset !== cfg.risk.breakevenOffset) {
+    logger.info(`  ${symbol}: breakeven +${symCfg.risk.breakevenOffset}`);
+  }
+  if (JSON.stringify(symCfg.sessions) !== JSON.stringify(cfg.sessions)) {
+    logger.info(`  ${symbol} sessions: ${new TradingSessions(symCfg).describe()}`);
+  }
+}
 logger.info('='.repeat(60));
 
-if (opts.backtest) {
-  await runBacktest(opts.mock);
+const backtestOptions = {
+  pnlModel   : cfg.backtest.pnlModel,
+  m1Path     : opts.m1,   // undefined → the symbol's backtest.m1DataPath
+  slippage   : cfg.backtest.slippage,
+  auditEvery : opts.auditLookahead === true ? LOOKAHEAD_AUDIT_EVERY : Number(opts.auditLookahead ?? 0),
+  strategy   : Strategy,
+};
+
+if (opts.optimize) {
+  await runOptimize(opts.mock, opts.optSpec, backtestOptions, symbols);
+} else if (opts.backtest) {
+  await runBacktest(opts.mock, backtestOptions, symbols);
+} else if (opts.breakdown) {
+  runJournalBreakdown();
 } else {
-  await runLive(opts.mock);
+  await runLive(opts.mock, symbols);
 }
 
 // ── Live / Paper Trading Loop ─────────────────────────────────────────────────
 
-async function runLive(mock = false) {
+async function runLive(mock = false, symbols = cfg.portfolio.symbols) {
   // Validate credentials for live/paper mode
-  if (!mock && !CFG.broker.derivToken) {
+  if (!mock && !cfg.broker.derivToken) {
     logger.error('DERIV_TOKEN must be set in .env');
     logger.error('Run with --backtest --mock to test without credentials.');
     process.exit(1);
   }
 
-  // Initialise fetcher (MetaAPI connection or mock)
-  const fetcher = mock ? new MockDataFetcher() : new DerivDataFetcher();
-  await fetcher.init();  // Establishes MT5 connection (or no-op for mock)
-
-  const newsFilter = new NewsFilter();
-  const signalGen  = new SignalGenerator();
-  const journal    = new TradeJournal();
+  // One desk per symbol: its own config (forInstrument), strategy, fetcher,
+  // news filter, trading sessions, indicator pipelines, risk manager and executor. The Deriv
+  // connection, paper account, journal and portfolio limits are shared.
+  const journal       = new TradeJournal(cfg);
+  const portfolioRisk = new PortfolioRisk(cfg);
+  const desks         = [];
+  let   client        = null;
+
+  for (const symbol of symbols) {
+    const symCfg   = forInstrument(cfg, symbol);
+    // The fetcher streams and serves the strategy's own timeframes
+    const strategy = createStrategy(Strategy, symCfg);
+    const tf       = strategy.timeframes;
+    const dataCfg  = mergeConfig(symCfg, { timeframe: { signalTf: tf.signal, trendTf: tf.trend ?? symCfg.timeframe.trendTf } });
+    const fetcher  = mock ? new MockDataFetcher(dataCfg) : new DerivDataFetcher(dataCfg);
+    await fetcher.init({ client });  // the first desk connects, the others reuse it
+    client ??= fetcher._client;
+
+    desks.push({
+      symbol,
+      cfg        : symCfg,
+      strategy,
+      tf,
+      fetcher,
+      newsFilter : new NewsFilter(symCfg),
+      sessions   : new TradingSessions(symCfg),
+      // Indicators are kept up to date incrementally: each pass only pushes the
+      // bars that are new since the last one (a changed series is replayed in full)
+      signalPipe : new IndicatorPipeline(symCfg, { maxBars: symCfg.timeframe.lookback }),
+      trendPipe  : new IndicatorPipeline(symCfg, { maxBars: symCfg.timeframe.trendLookback }),
+      lastAtr    : null,   // ATR of the last evaluated bar — used by tick-level trailing
+      tickQueued : false,
+      openTrades : [],     // open positions as last seen by the tick handler
+      openTradesTime : 0,
+      reconciledAt   : Date.now(),   // startup reconciles below
+    });
+  }
 
   // Get starting equity from broker
-  const accountData   = await fetcher.getAccountSummary();
-  const initialEquity = parseFloat(accountData.balance ?? accountData.equity ?? CFG.backtest.initialEquity);
+  const accountData   = await desks[0].fetcher.getAccountSummary();
+  const initialEquity = parseFloat(accountData.equity ?? accountData.balance ?? cfg.backtest.initialEquity);
   logger.info(`Starting equity: $${initialEquity.toFixed(2)}`);
 
-  const riskMgr  = new RiskManager(initialEquity);
-  // Pass the MetaAPI connection to the executor for order placement
-  const executor = new TradeExecutor(riskMgr, fetcher._client ?? null);
-
-  logger.info(`Bot running. Loop interval: ${LOOP_INTERVAL_MS / 1000}s`);
+  let paperBroker = null;
+  for (const desk of desks) {
+    // Daily counters survive restarts: restore today's state, then book any
+    // contracts that closed while the bot was down
+    desk.riskMgr = new RiskManager(initialEquity, desk.cfg, desk.cfg.log.riskStateFile, {
+      log      : msg => logger.warn(`[${desk.symbol}] ${msg}`),
+      signalTf : desk.tf.signal,
+    });
+    if (opts.resetBreakers) desk.riskMgr.resetBreakers();
+    const missed = desk.riskMgr.reconcileClosedContracts(await desk.fetcher.getClosedContracts(startOfUtcDay()));
+    if (missed) logger.info(`[${desk.symbol}] Reconciled ${missed} contract(s) closed while the bot was offline.`);
+    portfolioRisk.register(desk.symbol, desk.riskMgr);
+    // Rolling win rate / payoff for kelly sizing, from the journal's history
+    desk.riskMgr.sizer.seed(journal.recentPnl(desk.symbol, desk.cfg.risk.sizing.kellyWindow));
+
+    // Paper mode: all symbols trade from one paper account, and positions
+    // live in its broker — report them through the fetcher
+    desk.executor = new TradeExecutor(desk.riskMgr, client, desk.cfg, paperBroker, desk.cfg.log.positionsFile);
+    paperBroker ??= desk.executor.paperBroker;
+    if (paperBroker) desk.fetcher.attachPaperBroker(paperBroker);
+    // Contracts opened before a restart are still journaled when they close
+    const { restored, adopted } = await desk.executor.resumeOpenContracts(await desk.fetcher.getOpenTrades());
+    if (restored || adopted) {
+      logger.info(`[${desk.symbol}] Tracking ${restored} contract(s) from before the restart, adopted ${adopted} more.`);
+    }
 
-  // Refresh news calendar once on startup
-  await newsFilter.refreshCalendar();
+    // Refresh news calendar once on startup
+    await desk.newsFilter.refreshCalendar();
+  }
 
   let iteration = 0;
 
-  const loop = async () => {
+  /**
+   * One strategy pass for one symbol. When streaming, `barClose` is the close
+   * time of the bar that just completed and only closed bars are evaluated.
+   */
+  const loop = async (desk, barClose = null) => {
     iteration++;
     const now = new Date();
-    logger.debug(`─── Loop #${iteration} @ ${now.toISOString()} ───`);
+    const { symbol, cfg: symCfg, strategy, tf, fetcher, newsFilter, sessions, riskMgr, executor } = desk;
+    logger.debug(`─── Loop #${iteration} ${symbol} @ ${now.toISOString()} ───`);
 
     try {
-      // ── A. Update equity from broker ───────────────────────────────────────
-      if (!mock) {
+      // ── A. Update equity from broker (or the paper broker's balance) ──────
+      if (!mock || executor.paperBroker) {
         try {
           const acct = await fetcher.getAccountSummary();
-          riskMgr.updateEquity(parseFloat(acct.balance ?? acct.equity ?? riskMgr.equity));
+          // Equity counts open stakes back in, the same basis as the backtest
+          riskMgr.updateEquity(parseFloat(acct.equity ?? acct.balance ?? riskMgr.equity));
         } catch (e) {
           logger.warn(`Could not fetch account summary: ${e.message}`);
         }
       }
 
-      // ── B. Refresh news calendar (cached, so this is a no-op most of the time)
-      await newsFilter.refreshCalendar();
+      // ── A2. Journal contracts closed since the last loop (TP/SL/trail/manual/expiry)
+      const closedContracts = await executor.collectClosedContracts();
+      for (const c of closedContracts) {
+        await journal.logTrade(
+          c.signal, c.exitPrice, c.units, c.equityBefore, c.reasonClose, c.closeTime, c,
+        );
+      }
 
-      // ── C. News / session blackout check ──────────────────────────────────
-      if (newsFilter.isNewsBlackout(now)) {
-        const upcoming = newsFilter.getUpcomingEvents(2);
-        if (upcoming.length) {
-          logger.info(`BLACKOUT — upcoming events: ${upcoming.map(e => e.title).join(', ')}`);
-        } else {
-          logger.debug('Outside session or near recurring event — skipping.');
-        }
-        return; // Skip this iteration
+      // ── A3. Reconcile with Deriv's profit table — contracts the executor does
+      // not track (opened outside the bot). Startup already did it; a full-day
+      // profit_table per pass per symbol would be wasteful, so throttle it
+      if (now - desk.reconciledAt >= RECONCILE_INTERVAL_MS) {
+        desk.reconciledAt = now.getTime();
+        riskMgr.reconcileClosedContracts(await fetcher.getClosedContracts(startOfUtcDay()));
       }
 
-      // ── D. Fetch candles ───────────────────────────────────────────────────
-      let m15Candles, h1Candles;
+      // ── B. Refresh news calendar (cached, so this is a no-op most of the time)
+      await newsFilter.refreshCalendar();
+
+      // ── C. Fetch candles ───────────────────────────────────────────────────
+      let signalCandles, trendCandles;
       try {
-        [m15Candles, h1Candles] = await Promise.all([
-          fetcher.getCandles(CFG.timeframe.signalTf, CFG.timeframe.lookback),
-          fetcher.getCandles(CFG.timeframe.trendTf,  CFG.timeframe.trendLookback),
+        [signalCandles, trendCandles] = await Promise.all([
+          fetcher.getCandles(tf.signal, symCfg.timeframe.lookback, { asOf: barClose }),
+          tf.trend ? fetcher.getCandles(tf.trend, symCfg.timeframe.trendLookback, { asOf: barClose }) : null,
         ]);
       } catch (e) {
-        logger.error(`Data fetch failed: ${e.message}`);
+        logger.error(`[${symbol}] Data fetch failed: ${e.message}`);
         return;
       }
 
-      if (!m15Candles.length || !h1Candles.length) {
-        logger.warn('Empty candle data received.');
+      if (!signalCandles.length || (trendCandles && !trendCandles.length)) {
+        logger.warn(`[${symbol}] Empty candle data received.`);
         return;
       }
 
-      // ── E. Enrich with indicators ──────────────────────────────────────────
-      const m15 = addAllIndicators(m15Candles);
-      const h1  = addAllIndicators(h1Candles);
+      // ── D. Enrich with indicators ──────────────────────────────────────────
+      const signalBars = desk.signalPipe.sync(signalCandles);
+      const trendBars  = trendCandles ? desk.trendPipe.sync(trendCandles) : null;
 
-      const latestBar   = m15.at(-1);
+      const latestBar   = signalBars.at(-1);
       const currentPrice = latestBar.close;
       const currentAtr   = latestBar.atr ?? 1.0;
-      const m15Trend     = h1.at(-1)?.trendDir ?? 0;
-      const trendLabel   = { 1: 'BULL', '-1': 'BEAR', 0: 'NEUTRAL' }[m15Trend] ?? '?';
-      const m15EmaReady  = h1.at(-1)?.emaTrend != null;
-
-      logger.debug(
-        `XAU/USD: ${currentPrice} | ATR: ${currentAtr?.toFixed(2)} | M15: ${trendLabel} | ` +
-        `M15bars: ${h1.length} | M15 EMA200: ${m15EmaReady ? h1.at(-1).emaTrend.toFixed(2) : 'warmup'}`
-      );
+      desk.lastAtr = currentAtr;
+
+      if (trendBars) {
+        const trendBar    = trendBars.at(-1);
+        const trendLabel  = { 1: 'BULL', '-1': 'BEAR', 0: 'NEUTRAL' }[trendBar?.trendDir ?? 0] ?? '?';
+        logger.debug(
+          `${symbol}: ${currentPrice} | ATR: ${currentAtr?.toFixed(symCfg.instrument.pricePrecision)} | ${tf.trend}: ${trendLabel} | ` +
+          `${tf.trend} bars: ${trendBars.length} | ${tf.trend} EMA200: ${trendBar?.emaTrend?.toFixed(symCfg.instrument.pricePrecision) ?? 'warmup'}`
+        );
+      } else {
+        logger.debug(`${symbol}: ${currentPrice} | ATR: ${currentAtr?.toFixed(symCfg.instrument.pricePrecision)}`);
+      }
 
-      // ── F. Manage open trades (trailing stops) ─────────────────────────────
-      const openTrades = await fetcher.getOpenTrades();
+      // ── E. Manage open trades (paper fills, trailing stops) ────────────────
+      executor.paperBroker?.markToMarket(signalCandles, symbol);
+      let openTrades = await fetcher.getOpenTrades();
       if (openTrades.length) {
         await executor.updateTrailingStops(openTrades, currentPrice, currentAtr);
-        logger.debug(`${openTrades.length} open trade(s) — trailing stop checked.`);
+        logger.debug(`[${symbol}] ${openTrades.length} open trade(s) — trailing stop checked.`);
+      }
+
+      // ── E2. Pre-event policy — close or tighten ahead of high-impact news ──
+      const dueEvents = openTrades.length ? newsFilter.preEventDue(now) : [];
+      if (dueEvents.length) {
+        const actions = await executor.applyPreEventPolicy(openTrades, dueEvents, currentPrice, currentAtr);
+        for (const a of actions) {
+          logger.info(`[${symbol}] PRE-EVENT ${a.action} ${a.contractId}: ${a.result} — ${describeEvent(a.event)}`);
+          await journal.logNewsAction(symbol, a, now);
+        }
+        if (actions.length) openTrades = await fetcher.getOpenTrades();
+      }
+
+      // ── E3. Friday cutoff — flatten ahead of the weekend gap (if configured)
+      if (openTrades.length && sessions.closeForWeekend(now)) {
+        logger.info(`[${symbol}] Friday cutoff — closing ${openTrades.length} position(s) before the weekend.`);
+        await executor.closeAllPositions('weekend_close');
+        openTrades = await fetcher.getOpenTrades();
+      }
+
+      // ── F. Session / holiday / news blackout — no new entries ─────────────
+      const closed = sessions.entryBlock(now);
+      if (closed) {
+        logger.debug(`[${symbol}] ${describeSessionBlock(closed)} — no new entries.`);
+        return;
+      }
+      const event = newsFilter.activeEvent(now);
+      if (event) {
+        logger.info(`[${symbol}] NEWS BLACKOUT — ${describeEvent(event)}`);
+        return; // Skip this iteration
       }
 
-      // ── G. Risk gate ───────────────────────────────────────────────────────
-      const { allowed, reason } = riskMgr.canTrade(openTrades.length);
+      // ── G. Risk gate — the symbol's own limits, then the portfolio's ──────
+      const positions = executor.openPositions(openTrades);
+      const { allowed, reason } = riskMgr.canTrade(positions);
       if (!allowed) {
         const s = riskMgr.summary();
         logger.info(
-          `RISK BLOCK: ${reason} | equity=$${s.equity} | daily_pnl=$${s.dailyPnl} | ` +
+          `[${symbol}] RISK BLOCK: ${reason} | equity=$${s.equity} | daily_pnl=$${s.dailyPnl} | ` +
           `trades=${s.tradesToday} | drawdown=${s.drawdownPct}%`
         );
         return;
       }
+      let allPositions = positions;
+      if (desks.length > 1) {
+        const openByDesk = await Promise.all(desks.map(d => (d === desk ? openTrades : d.fetcher.getOpenTrades())));
+        allPositions     = desks.flatMap((d, i) => d.executor.openPositions(openByDesk[i]));
+        const portfolio  = portfolioRisk.canTrade(allPositions);
+        if (!portfolio.allowed) {
+          logger.info(`[${symbol}] RISK BLOCK: ${portfolio.reason} | portfolio daily_pnl=$${portfolioRisk.summary().dailyPnl}`);
+          return;
+        }
+      }
 
       // ── H. Signal evaluation ───────────────────────────────────────────────
-      const signal = signalGen.evaluate(m15, h1);
+      const signal = strategy.evaluate({ signal: signalBars, trend: trendBars, time: latestBar.time });
       if (!signal) {
-        const lb = signalGen.lastBar;
-        if (lb) {
-          logger.debug(
-            `No signal — SELL ${lb.sell.score}/${lb.sell.required} [${lb.sell.reasons.at(-1) ?? 'none'}] | ` +
-            `BUY ${lb.buy.score}/${lb.buy.required} [${lb.buy.reasons.at(-1) ?? 'none'}]`
-          );
-        } else {
-          logger.debug('No signal this bar.');
-        }
+        logger.debug(`[${symbol}] No signal — ${strategy.describeLastBar?.() ?? 'no setup this bar'}`);
         return;
       }
 
-      logger.info(`SIGNAL: ${formatSignal(signal)}`);
+      logger.info(`SIGNAL ${symbol}: ${formatSignal(signal)}`);
+
+      // Exposure: the sized order's risk against the open-risk caps and the
+      // rest of the day's loss budget
+      const candidate = { symbol, direction: signal.direction, riskUsd: executor.orderRiskUsd(signal) };
+      const exposure  = riskMgr.checkNewTrade(candidate, positions);
+      const combined  = exposure.allowed && desks.length > 1
+        ? portfolioRisk.checkNewTrade(candidate, allPositions)
+        : exposure;
+      if (!combined.allowed) {
+        logger.info(`[${symbol}] RISK BLOCK: ${combined.reason}`);
+        return;
+      }
 
       // ── I. Place order ─────────────────────────────────────────────────────
       const result = await executor.placeOrder(signal);
       if (!result) {
-        logger.warn('Order rejected by executor.');
+        logger.warn(`[${symbol}] Order rejected by executor.`);
       }
 
     } catch (err) {
-      logger.error(`Unexpected error in loop: ${err.message}`);
+      logger.error(`[${symbol}] Unexpected error in loop: ${err.message}`);
     }
   };
 
-  // Graceful shutdown — also closes MetaAPI connection
+  // Graceful shutdown — also closes the Deriv connection
   const doShutdown = async () => {
-    await fetcher.close();
-    shutdown(riskMgr, journal, logger);
+    for (const desk of desks) await desk.fetcher.close();
+    shutdown(desks, portfolioRisk, journal, logger);
   };
   process.on('SIGINT',  doShutdown);
   process.on('SIGTERM', doShutdown);
 
-  // Run immediately, then on interval
-  await loop();
-  setInterval(loop, LOOP_INTERVAL_MS);
+  // Everything that touches positions runs through one queue, so a strategy
+  // pass and a tick never act on the same contract at once. Bar closes always
+  // queue; a tick is dropped if a pass or another tick is already waiting.
+  let queue         = Promise.resolve();
+  let pendingPasses = 0;
+  const enqueue     = fn => (queue = queue.then(fn));
+
+  const runSerial = (desk, barClose) => {
+    pendingPasses++;
+    return enqueue(() => loop(desk, barClose).finally(() => pendingPasses--));
+  };
+
+  // Tick handler: paper fills and trailing stops between bar closes
+  const handleTick = async (desk, price) => {
+    try {
+      if (desk.executor.paperBroker) {
+        desk.executor.paperBroker.markToMarket(
+          await desk.fetcher.getCandles(desk.tf.signal, desk.cfg.timeframe.lookback), desk.symbol,
+        );
+      }
+      if (Date.now() - desk.openTradesTime > TICK_POSITIONS_REFRESH_MS) {
+        desk.openTrades     = await desk.fetcher.getOpenTrades();
+        desk.openTradesTime = Date.now();
+      }
+      if (desk.openTrades.length) await desk.executor.updateTrailingStops(desk.openTrades, price, desk.lastAtr);
+    } catch (err) {
+      logger.error(`[${desk.symbol}] Tick handling failed: ${err.message}`);
+    }
+  };
+  const onTick = (desk, { price }) => {
+    if (desk.tickQueued || pendingPasses || desk.lastAtr == null) return;
+    desk.tickQueued = true;
+    enqueue(() => handleTick(desk, price).finally(() => { desk.tickQueued = false; }));
+  };
+
+  // Each desk streams if it can. A desk whose subscriptions fail is left with
+  // none (startStreaming cleans up) and polled instead — never both, or its
+  // symbol would be evaluated twice.
+  const streamed = [];
+  const polled   = [];
+  for (const desk of desks) {
+    const ok = await desk.fetcher.startStreaming({
+      onBarClose : barClose => runSerial(desk, barClose),
+      onTick     : tick => onTick(desk, tick),
+    });
+    (ok ? streamed : polled).push(desk);
+  }
+  const list = group => group.map(d => d.symbol).join(', ');
+  if (streamed.length) {
+    logger.info(`Bot running on ${list(streamed)}. Evaluating on each signal bar close; trailing stops on ticks.`);
+    for (const desk of streamed) runSerial(desk, new Date());  // evaluate the last closed bar right away
+  }
+  if (polled.length) {
+    logger.info(`Bot running on ${list(polled)}. Loop interval: ${LOOP_INTERVAL_MS / 1000}s`);
+    const pollAll = () => Promise.all(polled.map(desk => runSerial(desk)));
+    await pollAll();
+    setInterval(pollAll, LOOP_INTERVAL_MS);
+  }
+  await queue;
 }
 
 // ── Backtest Mode ─────────────────────────────────────────────────────────────
 
-async function runBacktest(mock = false) {
+async function runBacktest(mock = false, options = {}, symbols = cfg.portfolio.symbols) {
   const dataSource = mock ? 'mock' : 'csv';
-  logger.info(`Running backtest | data source: ${dataSource}`);
-
-  const engine  = new BacktestEngine(dataSource);
+  logger.info(`Running backtest | data source: ${dataSource} | P/L model: ${options.pnlModel}`);
+
+  // Several symbols → one portfolio: per-symbol engines stepped together, equity curves merged
+  if (symbols.length > 1 && options.m1Path) logger.warn('--m1 applies to single-symbol backtests — ignored.');
+  const makeEngine = engineOptions => (symbols.length > 1
+    ? new PortfolioBacktest(symbols, dataSource, engineOptions, cfg)
+    : new BacktestEngine(dataSource, engineOptions, forInstrument(cfg, symbols[0])));
+  const engine  = makeEngine(options);
   const results = await engine.run();
   engine.plotAscii(results);
+
+  // --news compare: rerun without the blackout and show what it changed
+  if (opts.news === 'compare') {
+    logger.info('Re-running without the news blackout for comparison...');
+    const without = await makeEngine({ ...options, newsBlackout: false }).run({ quiet: true });
+    results.newsComparison = compareNewsBlackout(results, without);
+  }
+  results.breakdown = tradeBreakdown(results.trades);
+  if (opts.breakdown) printBreakdown(results.breakdown, 'BACKTEST BREAKDOWN');
   engine.saveResults(results);
 }
 
+// ── Journal Breakdown ─────────────────────────────────────────────────────────
+
+function runJournalBreakdown() {
+  const journal = new TradeJournal(cfg);
+  const trades  = journal.readTrades();
+  if (!trades.length) {
+    logger.warn(`No trades in ${cfg.log.tradeLogCsv} yet.`);
+    return;
+  }
+  // Each symbol's own sessions label its trades
+  const sessions  = new Map();
+  const sessionOf = t => {
+    if (!sessions.has(t.symbol)) {
+      sessions.set(t.symbol, new TradingSessions(t.symbol in cfg.instruments ? forInstrument(cfg, t.symbol) : cfg));
+    }
+    return sessions.get(t.symbol).label(t.entryTime);
+  };
+  printBreakdown(tradeBreakdown(trades, { sessionOf }), `JOURNAL BREAKDOWN (${cfg.log.tradeLogCsv})`);
+}
+
+// ── Walk-Forward Optimisation ─────────────────────────────────────────────────
+
+async function runOptimize(mock = false, specPath = null, options = {}, symbols = cfg.portfolio.symbols) {
+  const dataSource = mock ? 'mock' : 'csv';
+  if (symbols.length > 1) logger.warn(`Optimisation runs on one symbol — using ${symbols[0]}.`);
+  let spec = cfg.optimize;
+  if (specPath) {
+    const custom = JSON.parse(readFileSync(specPath, 'utf8'));
+    spec = {
+      ...cfg.optimize,
+      ...custom,
+      search  : { ...cfg.optimize.search,  ...custom.search },
+      windows : { ...cfg.optimize.windows, ...custom.windows },
+    };
+    logger.info(`Optimisation spec loaded from ${specPath}`);
+  }
+
+  const optimizer = new WalkForwardOptimizer(spec, dataSource, options, forInstrument(cfg, symbols[0]));
+  const report    = await optimizer.run();
+  optimizer.saveResults(report);
+}
+
 // ── Graceful Shutdown ─────────────────────────────────────────────────────────
 
-function shutdown(riskMgr, journal, logger) {
+function shutdown(desks, portfolioRisk, journal, logger) {
   logger.info('Shutdown signal received.');
-  const s     = riskMgr.summary();
+  const p     = portfolioRisk.summary();
   const stats = journal.getSummaryStats();
 
-  logger.info(
-    `Session: equity=$${s.equity} | daily_pnl=$${s.dailyPnl} | trades=${s.tradesToday}`
-  );
+  for (const { symbol } of desks) {
+    const s = p.bySymbol[symbol];
+    logger.info(
+      `Session ${symbol}: equity=$${s.equity} | daily_pnl=$${s.dailyPnl} | trades=${s.tradesToday}`
+    );
+  }
+  if (desks.length > 1) logger.info(`Session portfolio: daily_pnl=$${p.dailyPnl}`);
   if (stats) {
     logger.info(
       `All-time: ${stats.totalTrades} trades | WR ${stats.winRate}% | ` +
@@ -238,3 +591,65 @@ function shutdown(riskMgr, journal, logger) {
   logger.info('Bot stopped cleanly.');
   process.exit(0);
 }
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function startOfUtcDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/** The tunable trade-frequency, trailing and SL-placement constants, for the banner. */
+function describeRiskConstants(cfg) {
+  const r = cfg.risk;
+  const s = cfg.strategy;
+  const cooldown = r.cooldownBars != null ? `${r.cooldownBars} bars` : `${r.cooldownMin} min`;
+  return `${r.maxTradesPerDay} trades/day | cooldown ${cooldown} | breakeven +${r.breakevenOffset} | ` +
+         `SL swing buffer ${s.swingBufferAtr}×ATR, floor ${s.minSlAtr}×ATR`;
+}
+
+/** CLI flags as a partial config, merged over the profile. */
+function cliOverrides(opts) {
+  const backtest = {};
+  if (opts.pnlModel) backtest.pnlModel = opts.pnlModel;
+  if (opts.slippage) backtest.slippage = { model: opts.slippage };
+  if (opts.news)     backtest.newsBlackout = opts.news !== 'off';   // 'compare' runs with it, then without
+  return {
+    ...(opts.strategy && { strategy: { name: opts.strategy } }),
+    ...(opts.symbols  && { portfolio: { symbols: opts.symbols.split(',').map(s => s.trim()).filter(Boolean) } }),
+    ...(opts.sizing   && { risk: { sizing: { model: opts.sizing } } }),
+    backtest,
+  };
+}
+
+/** Print config errors and warnings — before the logger exists, so on the console. */
+function reportValidation({ errors, warnings }) {
+  for (const w of warnings) console.warn(`[Config] WARNING ${w}`);
+  for (const e of errors)   console.error(`[Config] ERROR   ${e}`);
+}
+
+/** --check-config: the config each symbol would trade with, token masked. */
+function printEffectiveConfig(cfg, symbols) {
+  for (const symbol of symbols) {
+    let symCfg;
+    try {
+      symCfg = forInstrument(cfg, symbol);
+    } catch (err) {
+      console.info(`# ${symbol}: ${err.message}`);
+      continue;
+    }
+    console.info(`# ${symbol}`);
+    console.info(JSON.stringify(printableConfig(symCfg), null, 2));
+  }
+}
+
+/** 'US CPI (USD, high) at 13:30 UTC [calendar]' */
+function describeEvent(ev) {
+  return `${ev.title} (${ev.currency}, ${ev.impact}) at ${ev.time.toISOString().slice(11, 16)} UTC [${ev.source}]`;
+}
+
+/** Why TradingSessions.entryBlock() refused an entry, for the log. */
+function describeSessionBlock(block) {
+  if (block.reason === 'holiday') return `Holiday: ${describeHoliday(block.holiday)}`;
+  if (block.reason === 'cutoff')  return 'Past the Friday cutoff';
+  return 'Outside trading sessions';
+}
@@ -4,15 +4,19 @@
  * Usage:
  *   node resample-m1-to-m5.js <file1.csv> [file2.csv ...]
  *
- * Supported Histdata formats (auto-detected):
+ * Supported Histdata formats (auto-detected, see src/data/histdata.js):
  *   Format A (standard):  20230102 000100,2063.45,2064.12,2062.89,2063.78,1234
  *   Format B (MT/MS):     XAUUSD,202601011800,2063.45,2064.12,2062.89,2063.78,0
  *   Format C (MT):        2026.02.01,18:06,2063.45,2064.12,2062.89,2063.78,0
  *
+ * Keep the M1 files: `node main.js --backtest --m1 <file>` uses them to
+ * resolve which of SL/TP was touched first inside an M5 bar.
+ *
  * Output: data/historical/XAUUSD_M5.csv
  */
 
 import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { parseHistdataLine } from './src/data/histdata.js';
 
 const inputPaths = process.argv.slice(2);
 if (!inputPaths.length) {
@@ -33,48 +37,13 @@ for (const inputPath of inputPaths) {
 
 function processLines(lines) {
   for (const line of lines) {
-    const parts = line.trim().split(',');
-    if (parts.length < 5) continue;
-
-    let y, mo, d, hh, mm, oIdx;
-
-    // Auto-detect format:
-    //   Format B: first column is non-numeric (symbol like "XAUUSD")
-    //   Format C: first column has dots (2026.02.01), second has colon time (18:06)
-    //   Format A: first column starts with digit + space separator (20230102 000100)
-    if (isNaN(parts[0][0])) {
-      // Format B: XAUUSD,202601011800,o,h,l,c,v
-      const dt = parts[1].trim();   // "202601011800" (12 chars)
-      y  = dt.slice(0, 4);
-      mo = dt.slice(4, 6);
-      d  = dt.slice(6, 8);
-      hh = dt.slice(8, 10);
-      mm = dt.slice(10, 12);
-      oIdx = 2;
-    } else if (parts[0].includes('.')) {
-      // Format C: 2026.02.01,18:06,o,h,l,c,v  (MT format)
-      [y, mo, d] = parts[0].split('.');
-      [hh, mm]   = parts[1].split(':');
-      oIdx = 2;
-    } else {
-      // Format A: "20230102 000100",o,h,l,c,v
-      const [datePart, timePart] = parts[0].split(' ');
-      y  = datePart.slice(0, 4);
-      mo = datePart.slice(4, 6);
-      d  = datePart.slice(6, 8);
-      hh = timePart.slice(0, 2);
-      mm = timePart.slice(2, 4);
-      oIdx = 1;
-    }
+    const bar = parseHistdataLine(line);
+    if (!bar) continue;
 
-    const slot = Math.floor(parseInt(mm, 10) / 5) * 5;
-    const key  = `${y}-${mo}-${d} ${hh}:${String(slot).padStart(2, '0')}:00`;
+    const slot = Math.floor(parseInt(bar.minute, 10) / 5) * 5;
+    const key  = `${bar.date} ${bar.hour}:${String(slot).padStart(2, '0')}:00`;
 
-    const o = parseFloat(parts[oIdx]);
-    const h = parseFloat(parts[oIdx + 1]);
-    const l = parseFloat(parts[oIdx + 2]);
-    const c = parseFloat(parts[oIdx + 3]);
-    const v = parseInt(parts[oIdx + 4] ?? '0', 10);
+    const { open: o, high: h, low: l, close: c, volume: v } = bar;
 
     if (!buckets.has(key)) {
       buckets.set(key, { time: key, open: o, high: h, low: l, close: c, volume: v });
@@ -0,0 +1,157 @@
+/**
+ * src/backtest/breakdown.js — Performance Breakdown by Trade Attribute
+ * ======================================================================
+ * computeMetrics() and the journal summary give one set of totals. This
+ * slices the same trades to show where the edge comes from:
+ *
+ *   direction  buy / sell
+ *   hour       UTC hour of entry
+ *   weekday    UTC weekday of entry
+ *   session    TradingSessions.label() at entry ('london', 'overlap', ...)
+ *   atr        ATR at entry, in quantiles of the trades' own ATRs
+ *   score      confluence score
+ *   gate       each scoring gate that fired — with the trades it did not
+ *              fire on alongside, so a gate that earns nothing stands out
+ *
+ * Each slice reports trades, win rate, expectancy ($/trade), profit factor,
+ * average R and net P/L. Works on backtest trades and on journal rows
+ * (TradeJournal.readTrades()) alike. Strategies without named gates are
+ * sliced by their `reasons` text with the numbers masked out.
+ */
+
+export const DIMENSIONS = {
+  direction : 'Direction',
+  hour      : 'Hour (UTC)',
+  weekday   : 'Weekday (UTC)',
+  session   : 'Session',
+  atr       : 'ATR quantile',
+  score     : 'Score',
+  gate      : 'Gates fired',
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Break trades down by every dimension.
+ *
+ * @param {Array}  trades  { direction, entryTime, pnlUsd, rrAchieved, atr, score,
+ *                           gates?, reasons?, session? }
+ * @param {Object} [options]
+ * @param {number}   [options.atrQuantiles]  ATR buckets (default 4 — quartiles)
+ * @param {Function} [options.sessionOf]     trade → session label, for trades without `session`
+ * @returns {Object}  { totals, direction: [...rows], hour: [...], ... }
+ *                    row: { key, trades, winRate, expectancy, profitFactor, avgR, pnlUsd }
+ *                    gate rows add `without` — the same stats for the trades the gate missed
+ */
+export function tradeBreakdown(trades, { atrQuantiles = 4, sessionOf = () => 'unknown' } = {}) {
+  const by = keyOf => groupRows(trades, keyOf);
+  const atrBucket = atrBucketer(trades.map(t => t.atr).filter(Number.isFinite), atrQuantiles);
+
+  return {
+    totals    : groupStats(trades),
+    direction : by(t => t.direction),
+    hour      : by(t => String(t.entryTime.getUTCHours()).padStart(2, '0')),
+    weekday   : by(t => `${t.entryTime.getUTCDay()} ${WEEKDAY_NAMES[t.entryTime.getUTCDay()]}`)
+      .map(row => ({ ...row, key: row.key.slice(2) })),
+    session   : by(t => t.session ?? sessionOf(t)),
+    atr       : by(t => (Number.isFinite(t.atr) ? atrBucket(t.atr) : 'unknown')),
+    score     : by(t => String(t.score ?? 'unknown')),
+    gate      : gateRows(trades),
+  };
+}
+
+/**
+ * Win rate, expectancy, profit factor, average R and net P/L of a set of trades.
+ * @param {Array} trades
+ */
+export function groupStats(trades) {
+  const pnls  = trades.map(t => t.pnlUsd);
+  const wins  = pnls.filter(p => p > 0);
+  const gross = pnls.filter(p => p <= 0).reduce((a, b) => a + b, 0);
+  const won   = wins.reduce((a, b) => a + b, 0);
+  const net   = won + gross;
+  return {
+    trades       : trades.length,
+    winRate      : trades.length ? r2(wins.length / trades.length * 100) : 0,
+    expectancy   : trades.length ? r2(net / trades.length) : 0,
+    profitFactor : gross !== 0 ? r2(won / Math.abs(gross)) : (won > 0 ? Infinity : 0),
+    avgR         : trades.length ? r2(trades.reduce((s, t) => s + (t.rrAchieved ?? 0), 0) / trades.length) : 0,
+    pnlUsd       : r2(net),
+  };
+}
+
+/**
+ * Print every dimension of a tradeBreakdown() as tables.
+ * @param {Object} breakdown
+ * @param {string} [title]
+ */
+export function printBreakdown(breakdown, title = 'PERFORMANCE BREAKDOWN') {
+  const t = breakdown.totals;
+  console.info(`\n  ${title} — ${t.trades} trades | WR ${t.winRate}% | exp $${t.expectancy} | ` +
+               `PF ${t.profitFactor} | avg R ${t.avgR}`);
+  for (const [dim, label] of Object.entries(DIMENSIONS)) {
+    const rows = breakdown[dim];
+    if (!rows.length) continue;
+    const gate = dim === 'gate';
+    console.info(`\n  ${label}`);
+    console.info(
+      `  ${''.padEnd(22)}${'Trades'.padStart(8)}${'Win %'.padStart(8)}${'Exp $'.padStart(9)}` +
+      `${'PF'.padStart(7)}${'Avg R'.padStart(7)}${'Net $'.padStart(10)}${gate ? `${'Exp $ w/o'.padStart(11)}` : ''}`
+    );
+    for (const r of rows) {
+      console.info(
+        `  ${r.key.slice(0, 21).padEnd(22)}${String(r.trades).padStart(8)}${String(r.winRate).padStart(8)}` +
+        `${String(r.expectancy).padStart(9)}${pf(r.profitFactor).padStart(7)}${String(r.avgR).padStart(7)}` +
+        `${String(r.pnlUsd).padStart(10)}${gate ? String(r.without.trades ? r.without.expectancy : '—').padStart(11) : ''}`
+      );
+    }
+  }
+  console.info('');
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Rows of groupStats() per key, in key order. */
+function groupRows(trades, keyOf) {
+  const groups = new Map();
+  for (const t of trades) {
+    const key = keyOf(t);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, 'en', { numeric: true }))
+    .map(([key, group]) => ({ key, ...groupStats(group) }));
+}
+
+/** One row per gate (or masked reason) that fired on any trade, most frequent first. */
+function gateRows(trades) {
+  const firedOn = t => (t.gates?.length ? t.gates : (t.reasons ?? []).map(maskNumbers));
+  const names   = [...new Set(trades.flatMap(firedOn))];
+  return names
+    .map(key => {
+      const fired = trades.filter(t => firedOn(t).includes(key));
+      return { key, ...groupStats(fired), without: groupStats(trades.filter(t => !fired.includes(t))) };
+    })
+    .sort((a, b) => b.trades - a.trades);
+}
+
+/** value → 'Q2 (1.8–2.4)' for `n` equal-count buckets over `values`. */
+function atrBucketer(values, n) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const edges  = Array.from({ length: n - 1 }, (_, i) => sorted[Math.floor(sorted.length * (i + 1) / n)]);
+  return v => {
+    const q  = edges.filter(e => v >= e).length;
+    const lo = q === 0 ? sorted[0] : edges[q - 1];
+    const hi = q === n - 1 ? sorted.at(-1) : edges[q];
+    return `Q${q + 1} (${fmt(lo)}–${fmt(hi)})`;
+  };
+}
+
+/** 'RSI(28.4) oversold' → 'RSI(#) oversold' — reasons differ only in their numbers. */
+const maskNumbers = reason => reason.replace(/-?\d+(\.\d+)?/g, '#');
+
+/** Profit factor cell — 'inf' when a group never lost. */
+const pf  = v => (v === Infinity ? 'inf' : String(v));
+const fmt = v => (v >= 100 ? v.toFixed(0) : v >= 1 ? v.toFixed(2) : v.toPrecision(2));
+const r2  = v => Math.round(v * 100) / 100;
@@ -8,128 +8,389 @@
  *   - Spread deducted on entry
  *   - Commission deducted per round-trip
  *   - SL/TP hit detection uses next bar's high/low
- *   - If both SL and TP hit same bar, SL wins (conservative)
- *   - No future data leak: indicators computed on data up to current bar only
+ *   - If both SL and TP hit same bar, SL wins (conservative) — unless an M1 series
+ *     is loaded (--m1), in which case the M1 bars inside the M5 bar decide
+ *   - Optional slippage on entries and stop exits (fixed / ATR / random)
+ *   - Trailing stop ratcheted every bar with RiskManager.calculateTrailingStop()
+ *     (the same rule the live loop applies) — trailed exits close as 'trailing_stop'
+ *   - Circuit breakers (CFG.risk.breakers) trip on the simulated clock exactly as
+ *     live; results.breakerTrips counts the trips per breaker
+ *   - Up to CFG.risk.maxOpenTrades concurrent positions, each managed on its own;
+ *     the real open positions go to RiskManager.canTrade() as they do live, and
+ *     a sized order must pass checkNewTrade() (open-risk caps, daily budget) —
+ *     each position's risk is what it loses at its current (trailed) stop
+ *   - One symbol per engine (the config's `instrument`); PortfolioBacktest steps
+ *     several engines together through replay() and adds the portfolio limits
+ *   - No future data leak: indicators are streamed bar by bar through
+ *     IndicatorPipeline, so each bar only sees data up to itself (O(1) per bar);
+ *     swing points appear on the bar that confirms them and a trend-timeframe
+ *     bar (M15 by default) is only visible once its last M5 bar has closed
+ *   - Signals come from a strategy plugin (src/strategies/, default emaCross)
+ *     through the same evaluate(ctx) call the live loop makes
+ *   - Optional look-ahead audit (auditEvery): every N bars the indicators are
+ *     recomputed from scratch on the history truncated at that bar and compared
+ *     with the values the backtest used — any difference is reported
+ *   - Entries only inside the trading sessions (CFG.sessions) — the live
+ *     loop's TradingSessions, with holidays and the Friday cutoff, checked at
+ *     each bar's close; a cutoff with closePositions closes as 'weekend_close'
+ *   - News blackout replayed from the calendar file (CFG.news.calendarPath) with
+ *     the live NewsFilter, checked at each bar's close as the live loop does.
+ *     results.news counts the signals that fell in a blackout window — skipped
+ *     with the blackout on, traded (and tagged `newsEvent`) with it off, so two
+ *     runs show what the filter is worth (--news compare)
+ *   - Pre-event policy (CFG.news.preEvent) on open trades, applied on the bar
+ *     close that first finds a watched event within minutesBefore: 'close' fills
+ *     at the next open ('pre_event_close'), 'breakeven' / 'tighten' move the stop
+ *     with RiskManager.preEventStop() ('pre_event_stop' when it is hit).
+ *     results.preEvent counts what was done
+ *
+ * P/L models (CFG.backtest.pnlModel or --pnl-model):
+ *   units      — ounces from RiskManager.calculatePositionSize(), P/L = move × units,
+ *                flat round-trip commission
+ *   multiplier — mirrors the live Deriv Multiplier contract: stake from the same
+ *                calculateStake() the executor uses (clamped to minStake/maxStake),
+ *                P/L = stake × multiplier × move/entry − commission, exits at the
+ *                USD stop-loss/take-profit amounts, stop-out when the loss reaches the stake
+ * Both size from RiskManager.sizeTrade() (CFG.risk.sizing); each trade keeps
+ * the sizing decision — model, USD risk and inputs — under `sizing`.
  *
  * Metrics computed:
  *   Total return, annualised return, max drawdown, Sharpe, Sortino,
- *   win rate, profit factor, avg R:R, expectancy
+ *   win rate, profit factor, avg R:R, expectancy, P/L split by exit reason
  */
 
 import { writeFileSync, mkdirSync } from 'fs';
-import { MetaApiDataFetcher, MockDataFetcher } from '../data/fetcher.js';
+import { join } from 'path';
+import { MetaApiDataFetcher, MockDataFetcher, TF_TO_SECONDS } from '../data/fetcher.js';
 import { addAllIndicators } from '../indicators/technical.js';
-import { SignalGenerator } from '../strategy/signals.js';
+import { IndicatorPipeline } from '../indicators/pipeline.js';
+import EmaCrossStrategy from '../strategies/emaCross.js';
+import { createStrategy } from '../strategies/index.js';
 import { RiskManager } from '../risk/manager.js';
+import { calculateStake } from '../execution/trader.js';
+import { multiplierCommission } from '../execution/paperBroker.js';
+import { loadM1Candles } from '../data/histdata.js';
+import { createSlippageModel } from './slippage.js';
+import { NewsFilter } from '../data/newsFilter.js';
+import { EconomicCalendar } from '../data/calendar.js';
+import { TradingSessions, HolidayCalendar } from '../data/sessions.js';
 import CFG from '../../config.js';
 
-const WARMUP_BARS = 250; // Bars needed for EMA200 + other long indicators to warm up
+export const WARMUP_BARS = 250; // Bars needed for EMA200 + other long indicators to warm up
+const M5_MS       = 5 * 60 * 1000;
+
+export const LOOKAHEAD_AUDIT_EVERY = 100;   // default bars between audit checks
+const AUDIT_EXAMPLES = 20;                  // mismatches kept in the results
+
+export const PNL_MODELS = ['units', 'multiplier'];
+
+// M1 path → bars grouped by M5 slot; shared across engines (the M1 file can be large)
+const M1_BUCKET_CACHE = new Map();
+// Calendar path → EconomicCalendar; shared across engines (optimizer windows, portfolio symbols)
+const CALENDAR_CACHE  = new Map();
+// Holiday file path → HolidayCalendar; shared the same way
+const HOLIDAY_CACHE   = new Map();
 
 export class BacktestEngine {
   /**
    * @param {'csv'|'mock'|'oanda'} dataSource
+   * @param {Object} [options]
+   * @param {'units'|'multiplier'} [options.pnlModel]  Defaults to CFG.backtest.pnlModel
+   * @param {string|null} [options.m1Path]    M1 file for intrabar fills. Defaults to CFG.backtest.m1DataPath
+   * @param {Object}      [options.slippage]  Slippage spec. Defaults to CFG.backtest.slippage
+   * @param {number}      [options.auditEvery]  Look-ahead audit every N bars (0 = off, the default)
+   * @param {Function}    [options.strategy]  Strategy class from src/strategies/ (default: emaCross)
+   * @param {Object}      [options.portfolio]  Portfolio limits checked after the engine's own
+   *                                           RiskManager (PortfolioBacktest): canTrade(time) and
+   *                                           checkNewTrade(position, time) → { allowed, reason }
+   * @param {boolean}     [options.newsBlackout]  No entries in news windows. Defaults to CFG.backtest.newsBlackout
+   * @param {Object} [cfg]  Bot config for the whole run (strategy, risk, indicators, ...)
    */
-  constructor(dataSource = 'csv') {
+  constructor(dataSource = 'csv', options = {}, cfg = CFG) {
+    const {
+      pnlModel = cfg.backtest.pnlModel,
+      m1Path   = cfg.backtest.m1DataPath,
+      slippage = cfg.backtest.slippage,
+      auditEvery = 0,
+      strategy = EmaCrossStrategy,
+      portfolio = null,
+      newsBlackout = cfg.backtest.newsBlackout,
+    } = options;
+    if (!PNL_MODELS.includes(pnlModel)) {
+      throw new Error(`Unknown P/L model '${pnlModel}' (expected one of: ${PNL_MODELS.join(', ')})`);
+    }
+    this._cfg        = cfg;
     this._dataSource = dataSource;
-    this._signalGen  = new SignalGenerator();
+    this._pnlModel   = pnlModel;
+    this._m1Path     = m1Path;
+    this._slippage   = slippage;
+    this._auditEvery = auditEvery;
+    this._portfolio  = portfolio;
+    this._strategy   = createStrategy(strategy, cfg);
+    this._newsBlackout = newsBlackout;
+    this._news       = new NewsFilter(cfg, { calendar: loadCalendar(cfg.news.calendarPath) });
+    this._sessions   = new TradingSessions(cfg, { holidays: loadHolidays(cfg.sessions.holidayPath) });
+
+    // Live simulation state — read by PortfolioBacktest between bars
+    this.riskManager = null;
+    this.openTrades  = [];
+
+    // Data is M5; the trend timeframe is resampled from it
+    const { signal, trend = null } = this._strategy.timeframes;
+    if (signal !== '5m') {
+      throw new Error(`Backtest runs on M5 data — strategy signal timeframe '${signal}' is not supported`);
+    }
+    this._trendMs = trend ? TF_TO_SECONDS[trend] * 1000 : null;
+    if (this._trendMs && this._trendMs % M5_MS !== 0) {
+      throw new Error(`Trend timeframe '${trend}' is not a multiple of M5`);
+    }
   }
 
   // ── Run ───────────────────────────────────────────────────────────────────
 
-  async run() {
-    console.info('='.repeat(60));
-    console.info('STARTING BACKTEST');
-    console.info(`Initial equity: $${CFG.backtest.initialEquity}`);
-    console.info(`Data source:    ${this._dataSource}`);
-    console.info('='.repeat(60));
+  /**
+   * Run the backtest.
+   *
+   * @param {Object}  [options]
+   * @param {Array}   [options.candles]  M5 candles to use instead of loading the data source
+   *                                     (the optimizer passes window slices here)
+   * @param {boolean} [options.quiet]    Suppress progress output and the summary box
+   * @returns {Promise<Object>}  computeMetrics() results plus pnlModel / fillModel
+   */
+  async run({ candles = null, quiet = false } = {}) {
+    const log = quiet ? () => {} : console.info;
+    this._logHeader(log);
+
+    const m5Full = candles ?? await this._loadData();
+    const replay = this.replay(m5Full, { quiet });
+    let step;
+    do step = replay.next(); while (!step.done);
+    return step.value;
+  }
+
+  /**
+   * The simulation itself, one M5 bar per step: yields each bar's time after
+   * it has been processed and returns the results when the data ends. run()
+   * drains it; PortfolioBacktest interleaves several symbols bar by bar.
+   *
+   * @param {Array}   m5Full  M5 candles, oldest first
+   * @param {Object}  [options]
+   * @param {boolean} [options.quiet]
+   * @returns {Generator<Date, Object>}
+   */
+  *replay(m5Full, { quiet = false } = {}) {
+    const cfg = this._cfg;
+    const log = quiet ? () => {} : console.info;
 
-    const m5Full = await this._loadData();
     if (!m5Full || m5Full.length < WARMUP_BARS + 10) {
       throw new Error(`Not enough candle data (need >${WARMUP_BARS} bars).`);
     }
 
-    // Pre-compute indicators on FULL dataset (faster than per-bar recalculation)
-    console.info(`Calculating indicators on ${m5Full.length} bars...`);
-    const m5Enriched = addAllIndicators(m5Full);
+    // Indicators are updated incrementally as each bar is replayed
+    const m5Pipe    = new IndicatorPipeline(cfg, { maxBars: WARMUP_BARS });
+    const trendPipe = this._trendMs ? new IndicatorPipeline(cfg, { maxBars: WARMUP_BARS }) : null;
 
-    // Resample M5 → M15 to match live trendTf='15m' (was wrongly resampling to H1)
-    const m15TrendFull     = resampleToM15(m5Full);
-    const m15TrendEnriched = addAllIndicators(m15TrendFull);
+    // Resample M5 → the strategy's trend timeframe (live fetches it directly)
+    const trendFull = this._trendMs ? resample(m5Full, this._trendMs) : [];
+    let   trendNext = 0;   // index of the next trend bar to feed trendPipe
+
+    const m1ByM5Bar = this._m1Path ? this._loadM1Buckets(m5Full) : null;
+    const slippage  = createSlippageModel(this._slippage);
+    const fillStats = { ambiguousExits: 0, resolvedByM1: 0, tpFirstByM1: 0, slippageUsd: 0 };
+    let exposureBlocks = 0;   // sized orders refused by the open-risk checks
+    const news      = { blackout: this._newsBlackout, calendar: this._news.calendar.describe(), signalsInBlackout: 0, byEvent: {} };
+    const newsSeen  = new Set();
+    const preEvent  = { action: cfg.news.preEvent.action, closed: 0, stopsMoved: 0, unchanged: 0 };
+    const preEventSeen = new Map();   // trade entry + event → 'done' | 'unchanged' (retried, counted once)
+    const audit     = this._auditEvery ? { barsChecked: 0, mismatches: 0, examples: [] } : null;
 
     // ── Main Loop ─────────────────────────────────────────────────────────────
-    let equity       = CFG.backtest.initialEquity;
+    let equity       = cfg.backtest.initialEquity;
     const equityCurve  = [];   // [{ time, equity }]
     const trades       = [];
-    const riskMgr      = new RiskManager(equity);
-    let openTrade      = null;
+    const riskMgr      = this.riskManager = new RiskManager(equity, cfg, null, {
+      log      : quiet ? null : console.warn,
+      signalTf : this._strategy.timeframes.signal,
+    });
+    const openTrades   = this.openTrades  = [];   // up to cfg.risk.maxOpenTrades positions, managed independently
+
+    const closePosition = (trade, exitTime, exitPrice, reason) => {
+      const pnl = calcPnl(trade, exitPrice);
+      equity   += pnl;
+      riskMgr.updateEquity(equity, exitTime);
+      riskMgr.recordTradeClosed(pnl, null, exitTime);
+      trades.push({
+        ...trade,
+        exitTime,
+        exitPrice,
+        reasonClose : reason,
+        pnlUsd      : pnl,
+        rrAchieved  : pnl / (trade.riskUsd || 1),
+      });
+    };
 
-    console.info(`Iterating ${m5Enriched.length} bars (warmup: ${WARMUP_BARS})...`);
+    log(`Iterating ${m5Full.length} bars (warmup: ${WARMUP_BARS})...`);
 
-    for (let i = WARMUP_BARS; i < m5Enriched.length - 1; i++) {
-      const bar         = m5Enriched[i];
-      const nextBar     = m5Enriched[i + 1];
+    for (let i = 0; i < m5Full.length - 1; i++) {
+      const bar         = m5Pipe.push(m5Full[i]);
+      const nextBar     = m5Full[i + 1];
       const currentTime = bar.time;
 
-      // Session filter: only trade during London + NY hours (07:00-20:00 UTC)
-      const barHour = new Date(currentTime).getUTCHours();
-      const inSession = barHour >= CFG.news.sessionStartUtc && barHour < CFG.news.sessionEndUtc;
+      // Trend bars that have closed by this bar's close (mirrors live trendTf)
+      while (trendNext < trendFull.length && isBarClosed(trendFull[trendNext], this._trendMs, currentTime)) {
+        trendPipe.push(trendFull[trendNext++]);
+      }
+      if (i < WARMUP_BARS) continue;
 
-      // M15 trend slice up to current time (mirrors live trendTf='15m')
-      const m15TrendSlice = m15TrendEnriched.filter(c => c.time <= currentTime);
-      if (m15TrendSlice.length < 50) {
+      if (audit && (i - WARMUP_BARS) % this._auditEvery === 0) {
+        const diffs = auditLookahead(m5Full.slice(0, i + 1), bar, trendPipe?.candles.at(-1), this._trendMs, cfg);
+        audit.barsChecked++;
+        audit.mismatches += diffs.length;
+        audit.examples.push(...diffs.slice(0, AUDIT_EXAMPLES - audit.examples.length));
+      }
+
+      if (trendPipe && trendPipe.candles.length < 50) {
         equityCurve.push({ time: currentTime, equity });
+        yield currentTime;
         continue;
       }
 
       const currentAtr = bar.atr ?? 1.0;
+      // Checked at this bar's close — when the live loop evaluates it
+      const barClose   = new Date(currentTime.getTime() + M5_MS);
+      const newsEvent  = this._news.activeEvent(barClose);
+      const dueEvents  = openTrades.length ? this._news.preEventDue(barClose) : [];
+      // Sessions, holidays and the Friday cutoff — the live loop's TradingSessions
+      const inSession  = !this._sessions.entryBlock(barClose);
+      const weekendClose = openTrades.length > 0 && this._sessions.closeForWeekend(barClose);
+
+      // ── Manage open trades ────────────────────────────────────────────────
+      for (const trade of [...openTrades]) {
+        // Ratchet the trailing stop on this bar's close, exactly as the live loop does
+        const trailedSl = riskMgr.calculateTrailingStop(
+          trade.direction, trade.entryPrice, bar.close, currentAtr, trade.stopLoss,
+        );
+        if (trailedSl !== trade.stopLoss) {
+          trade.stopLoss = trailedSl;
+          trade.trailed  = true;
+        }
+
+        // Friday cutoff with closePositions: out at the next open
+        if (weekendClose) {
+          const slip = slippage(currentAtr);
+          fillStats.slippageUsd += slip;
+          closePosition(trade, nextBar.time, nextBar.open + (trade.direction === 'buy' ? -slip : slip), 'weekend_close');
+          openTrades.splice(openTrades.indexOf(trade), 1);
+          continue;
+        }
+
+        // Pre-event policy on this bar's close; a close fills at the next open
+        // As live: a stop the policy cannot move yet is tried again next bar
+        const eventKey = ev => `${trade.entryTime.getTime()}|${ev.title}@${ev.time.getTime()}`;
+        const due      = dueEvents.filter(ev => preEventSeen.get(eventKey(ev)) !== 'done');
+        if (due.length && preEvent.action === 'close') {
+          const slip = slippage(currentAtr);
+          fillStats.slippageUsd += slip;
+          closePosition(trade, nextBar.time, nextBar.open + (trade.direction === 'buy' ? -slip : slip), 'pre_event_close');
+          openTrades.splice(openTrades.indexOf(trade), 1);
+          preEvent.closed++;
+          continue;
+        }
+        if (due.length) {
+          const newSl = riskMgr.preEventStop(
+            preEvent.action, trade.direction, trade.entryPrice, bar.close, currentAtr, trade.stopLoss,
+          );
+          if (newSl !== trade.stopLoss) {
+            trade.stopLoss = newSl;
+            trade.preEvent = preEvent.action;
+            preEvent.stopsMoved++;
+            if (due.some(ev => preEventSeen.get(eventKey(ev)) === 'unchanged')) preEvent.unchanged--;
+            for (const ev of due) preEventSeen.set(eventKey(ev), 'done');
+          } else {
+            if (due.some(ev => !preEventSeen.has(eventKey(ev)))) preEvent.unchanged++;
+            for (const ev of due) preEventSeen.set(eventKey(ev), 'unchanged');
+          }
+        }
 
-      // ── Manage open trade ─────────────────────────────────────────────────
-      if (openTrade) {
-        const { exitPrice, reason } = checkExit(openTrade, nextBar);
+        const m1Bars = m1ByM5Bar?.get(nextBar.time.getTime());
+        const { exitPrice, reason, ambiguous, resolvedByM1 } = checkExit(trade, nextBar, m1Bars);
         if (exitPrice !== null) {
-          const pnl = calcPnl(openTrade, exitPrice);
-          equity   += pnl;
-          riskMgr.updateEquity(equity);
-          riskMgr.recordTradeClosed(pnl);
-          trades.push({
-            ...openTrade,
-            exitTime    : nextBar.time,
-            exitPrice,
-            reasonClose : reason,
-            pnlUsd      : pnl,
-            rrAchieved  : pnl / (Math.abs(openTrade.entryPrice - openTrade.stopLoss) * openTrade.units || 1),
-          });
-          openTrade = null;
+          if (ambiguous)    fillStats.ambiguousExits++;
+          if (resolvedByM1) fillStats.resolvedByM1++;
+          if (resolvedByM1 && reason === 'take_profit') fillStats.tpFirstByM1++;
+
+          // Stops fill at market and slip against us; TP is a limit fill
+          let fillPrice = exitPrice;
+          if (reason !== 'take_profit') {
+            const slip = slippage(currentAtr);
+            fillStats.slippageUsd += slip;
+            fillPrice += trade.direction === 'buy' ? -slip : slip;
+          }
+          closePosition(trade, nextBar.time, fillPrice, reason);
+          openTrades.splice(openTrades.indexOf(trade), 1);
         }
       }
 
       // ── Check for new signal ──────────────────────────────────────────────
-      if (!openTrade && inSession) {
-        const { allowed } = riskMgr.canTrade(0, currentTime);
+      if (inSession) {
+        const allowed = riskMgr.canTrade(this.openPositions(), currentTime).allowed &&
+          (!this._portfolio || this._portfolio.canTrade(currentTime).allowed);
         if (allowed) {
-          const m5Slice  = m5Enriched.slice(0, i + 1);
-          const signal   = this._signalGen.evaluate(m5Slice, m15TrendSlice);
+          const ctx = { signal: m5Pipe.candles, trend: trendPipe?.candles ?? null, time: currentTime };
+          // In a blackout the live bot never asks the strategy. Count what it would
+          // have said on a copy, so a strategy that remembers firing is not changed
+          let signal = newsEvent && this._newsBlackout
+            ? probeStrategy(this._strategy).evaluate(ctx)
+            : this._strategy.evaluate(ctx);
+          if (signal && newsEvent) {
+            // Once per event and direction — a setup that persists for several bars counts once
+            const key = `${newsEvent.title}@${newsEvent.time.getTime()}:${signal.direction}`;
+            if (!newsSeen.has(key)) {
+              newsSeen.add(key);
+              news.signalsInBlackout++;
+              news.byEvent[newsEvent.title] = (news.byEvent[newsEvent.title] ?? 0) + 1;
+            }
+            if (this._newsBlackout) signal = null;
+          }
 
           if (signal) {
-            // Fill on next bar's open + spread
-            const halfSpread = CFG.backtest.spread / 2;
+            // Fill on next bar's open + spread + slippage
+            const halfSpread = cfg.backtest.spread / 2;
+            const slip       = slippage(currentAtr);
+            fillStats.slippageUsd += slip;
             let fillPrice    = nextBar.open;
-            fillPrice += signal.direction === 'buy' ? halfSpread : -halfSpread;
-
-            const units = riskMgr.calculatePositionSize(signal);
-            if (units > 0) {
-              equity   -= CFG.backtest.commission;  // Deduct commission
-              openTrade = {
+            fillPrice += signal.direction === 'buy' ? halfSpread + slip : -(halfSpread + slip);
+
+            // Both models size from the engine's equity (net of entry commissions)
+            const sizing   = riskMgr.sizeTrade(signal, equity);
+            const position = this._pnlModel === 'multiplier'
+              ? openMultiplierPosition(signal, fillPrice, sizing, cfg)
+              : openUnitsPosition(signal, fillPrice, sizing, riskMgr);
+            const candidate = position && { symbol: cfg.instrument.symbol, direction: signal.direction,
+                                            riskUsd: Math.min(position.riskUsd, position.stake ?? Infinity) };
+            const exposureOk = candidate &&
+              riskMgr.checkNewTrade(candidate, this.openPositions(), currentTime).allowed &&
+              (!this._portfolio || this._portfolio.checkNewTrade(candidate, currentTime).allowed);
+            if (candidate && !exposureOk) exposureBlocks++;
+            if (exposureOk) {
+              if (this._pnlModel === 'units') equity -= cfg.backtest.commission;  // Deduct commission
+              const trade = {
                 entryTime   : nextBar.time,
                 direction   : signal.direction,
                 entryPrice  : fillPrice,
                 stopLoss    : signal.stopLoss,
                 takeProfit  : signal.takeProfit,
-                units,
+                ...position,
                 score       : signal.score,
                 atr         : signal.atr,
                 reasons     : signal.reasons,
+                gates       : signal.gates ?? [],
+                session     : this._sessions.label(nextBar.time),
+                trailed     : false,
+                ...(newsEvent && { newsEvent: newsEvent.title }),
               };
+              trade.initialStopLoss = trade.stopLoss;
+              openTrades.push(trade);
               riskMgr.recordTradeOpened(currentTime);
             }
           }
@@ -137,30 +398,75 @@ export class BacktestEngine {
       }
 
       equityCurve.push({ time: currentTime, equity });
+      yield currentTime;
     }
 
-    // Force-close any trade still open at the end of data
-    if (openTrade) {
-      const lastPrice = m5Enriched.at(-1).close;
-      const pnl       = calcPnl(openTrade, lastPrice);
-      equity += pnl;
-      trades.push({
-        ...openTrade,
-        exitTime    : m5Enriched.at(-1).time,
-        exitPrice   : lastPrice,
-        reasonClose : 'end_of_data',
-        pnlUsd      : pnl,
-        rrAchieved  : pnl / (Math.abs(openTrade.entryPrice - openTrade.stopLoss) * openTrade.units || 1),
-      });
+    // Force-close any trades still open at the end of data
+    const lastBar = m5Full.at(-1);
+    for (const trade of openTrades.splice(0)) {
+      closePosition(trade, lastBar.time, lastBar.close, 'end_of_data');
     }
 
-    console.info(`Backtest complete. ${trades.length} trades simulated.`);
+    log(`Backtest complete. ${trades.length} trades simulated.`);
 
-    const results = computeMetrics(trades, equityCurve, CFG.backtest.initialEquity, equity);
-    printSummary(results);
+    const results = computeMetrics(trades, equityCurve, cfg.backtest.initialEquity, equity);
+    results.pnlModel  = this._pnlModel;
+    results.fillModel = {
+      intrabar      : m1ByM5Bar ? 'm1' : 'm5',
+      slippageModel : this._slippage?.model ?? 'none',
+      ...fillStats,
+      slippageUsd   : r2(fillStats.slippageUsd),
+    };
+    results.exposureBlocks = exposureBlocks;
+    results.sizingModel    = cfg.risk.sizing.model;
+    results.breakerTrips   = { ...riskMgr.breakers.tripCounts };
+    results.news           = news;
+    results.preEvent       = preEvent;
+    if (audit) {
+      results.lookaheadAudit = audit;
+      log(`Look-ahead audit: ${audit.barsChecked} bars checked, ${audit.mismatches} differing value(s)`);
+      for (const d of audit.examples) {
+        log(`  ${d.time.toISOString()} ${d.timeframe} ${d.field}: used ${d.used}, truncated history ${d.truth}`);
+      }
+    }
+    if (!quiet) printSummary(results);
     return results;
   }
 
+  /**
+   * Open positions as RiskManager / PortfolioRisk see them: the USD each
+   * loses at its current stop (0 once the trail has passed entry).
+   * @returns {Array<{symbol, direction: 'buy'|'sell', riskUsd: number}>}
+   */
+  openPositions() {
+    return this.openTrades.map(t => ({
+      symbol   : this._cfg.instrument.symbol,
+      direction: t.direction,
+      riskUsd  : Math.max(0, -calcPnl(t, t.stopLoss)),
+    }));
+  }
+
+  _logHeader(log) {
+    log('='.repeat(60));
+    log('STARTING BACKTEST');
+    log(`Symbol:         ${this._cfg.instrument.symbol}`);
+    log(`Initial equity: $${this._cfg.backtest.initialEquity}`);
+    log(`Data source:    ${this._dataSource}`);
+    log(`Strategy:       ${this._strategy.constructor.strategyName ?? this._strategy.constructor.name}`);
+    log(`P/L model:      ${this._pnlModel}`);
+    log(`Sizing:         ${this._cfg.risk.sizing.model}`);
+    log(`Intrabar fills: ${this._m1Path ? `M1 (${this._m1Path})` : 'M5 — SL wins ties'}`);
+    log(`Slippage:       ${this._slippage?.model ?? 'none'}`);
+    log(`News blackout:  ${this._newsBlackout ? 'on' : 'off'} — ${this._news.calendar.describe()}`);
+    log(`Sessions:       ${this._sessions.describe()}`);
+    if (this._cfg.news.preEvent.action !== 'none') {
+      const { action, minutesBefore } = this._cfg.news.preEvent;
+      log(`Pre-event:      ${action} ${minutesBefore} min before watched events`);
+    }
+    if (this._auditEvery) log(`Look-ahead audit: every ${this._auditEvery} bars`);
+    log('='.repeat(60));
+  }
+
   // ── Plot (ASCII equity curve to console) ─────────────────────────────────
 
   plotAscii(results) {
@@ -190,29 +496,48 @@ export class BacktestEngine {
   // ── Save Results ──────────────────────────────────────────────────────────
 
   saveResults(results) {
-    mkdirSync(CFG.log.logDir, { recursive: true });
+    mkdirSync(this._cfg.log.logDir, { recursive: true });
     const { trades, equityCurve, ...stats } = results;
-    writeFileSync(
-      'logs/backtest_results.json',
-      JSON.stringify(stats, null, 2),
-      'utf8',
-    );
-    console.info('Results saved to logs/backtest_results.json');
+    const path = join(this._cfg.log.logDir, 'backtest_results.json');
+    writeFileSync(path, JSON.stringify(stats, null, 2), 'utf8');
+    console.info(`Results saved to ${path}`);
   }
 
   // ── Internal ──────────────────────────────────────────────────────────────
 
+  /**
+   * Load the M1 series and group it by the M5 bar each minute belongs to.
+   * @returns {Map<number, Array>}  M5 bar time (ms) → its M1 bars, oldest first
+   */
+  _loadM1Buckets(m5Candles) {
+    const cached = M1_BUCKET_CACHE.get(this._m1Path);  // the optimizer builds many engines
+    if (cached) return cached;
+    const m1 = loadM1Candles(this._m1Path);
+    const buckets = new Map();
+    for (const c of m1) {
+      const slot = Math.floor(c.time.getTime() / M5_MS) * M5_MS;
+      if (!buckets.has(slot)) buckets.set(slot, []);
+      buckets.get(slot).push(c);
+    }
+    const covered = m5Candles.filter(c => buckets.has(c.time.getTime())).length;
+    console.info(`Loaded ${m1.length} M1 bars — covering ${covered}/${m5Candles.length} M5 bars.`);
+    if (!covered) console.warn('M1 data does not overlap the M5 series — falling back to SL-wins ties.');
+    M1_BUCKET_CACHE.set(this._m1Path, buckets);
+    return buckets;
+  }
+
+  /** Load the M5 series for this engine's data source and symbol. */
   async _loadData() {
     if (this._dataSource === 'mock') {
-      return new MockDataFetcher().getCandles('5m', 5000);
+      return new MockDataFetcher(this._cfg).getCandles('5m', 5000);
     }
     if (this._dataSource === 'live') {
-      const f = new MetaApiDataFetcher();
+      const f = new MetaApiDataFetcher(this._cfg);
       await f.init();
-      return f.getCandles(CFG.timeframe.signalTf, 5000);
+      return f.getCandles(this._cfg.timeframe.signalTf, 5000);
     }
     // csv (default)
-    const f = new MetaApiDataFetcher();
+    const f = new MetaApiDataFetcher(this._cfg);
     return f._loadFromCsv();
   }
 }
@@ -220,22 +545,19 @@ export class BacktestEngine {
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 /**
- * Resample M5 candles to M15 by grouping into 15-minute UTC buckets.
- * Matches live trendTf='15m' so backtest and live use identical trend data.
+ * Resample M5 candles into `periodMs` UTC buckets (e.g. M15, H1).
+ * Each candle is stamped with its bucket's open time, like Deriv's candles.
  */
-function resampleToM15(candles) {
+function resample(candles, periodMs) {
   const buckets = new Map();
   for (const c of candles) {
-    const d    = new Date(c.time);
-    const slot = Math.floor(d.getUTCMinutes() / 15) * 15;
-    const key  = `${d.getUTCFullYear()}-${d.getUTCMonth()}-${d.getUTCDate()}-${d.getUTCHours()}-${slot}`;
+    const key = Math.floor(new Date(c.time).getTime() / periodMs) * periodMs;
     if (!buckets.has(key)) buckets.set(key, []);
     buckets.get(key).push(c);
   }
-  return [...buckets.values()]
-    .filter(group => group.length > 0)
-    .map(group => ({
-      time   : group[0].time,
+  return [...buckets.entries()]
+    .map(([key, group]) => ({
+      time   : new Date(key),
       open   : group[0].open,
       high   : Math.max(...group.map(c => c.high)),
       low    : Math.min(...group.map(c => c.low)),
@@ -245,37 +567,165 @@ function resampleToM15(candles) {
     .sort((a, b) => a.time - b.time);
 }
 
+/** True once the M5 bar opening at `m5Time` has closed the `periodMs` bucket. */
+function isBarClosed(bucketBar, periodMs, m5Time) {
+  return bucketBar.time.getTime() + periodMs <= new Date(m5Time).getTime() + M5_MS;
+}
+
+/**
+ * Look-ahead audit for one bar: recompute M5 and trend-timeframe indicators
+ * from scratch on the history truncated at this bar and compare them with the
+ * values the backtest used. Anything that differs was computed with data from
+ * the future.
+ *
+ * @param {Array}  m5History  Raw M5 candles up to and including the bar
+ * @param {Object} usedM5     Enriched M5 bar the backtest evaluated
+ * @param {Object} usedTrend  Latest enriched trend bar the backtest saw (or undefined)
+ * @param {number|null} trendMs  Trend timeframe in ms, null if the strategy has none
+ * @returns {Array}  [{ time, timeframe, field, used, truth }]
+ */
+function auditLookahead(m5History, usedM5, usedTrend, trendMs, cfg) {
+  const time    = usedM5.time;
+  const truthM5 = addAllIndicators(m5History, cfg).at(-1);
+  const diffs   = diffBars(usedM5, truthM5, 'M5', time);
+  if (trendMs) {
+    const closed     = resample(m5History, trendMs).filter(c => isBarClosed(c, trendMs, time));
+    const truthTrend = addAllIndicators(closed, cfg).at(-1);
+    diffs.push(...diffBars(usedTrend, truthTrend, 'trend', time));
+  }
+  return diffs;
+}
+
+function diffBars(used = {}, truth = {}, timeframe, time) {
+  const keys  = new Set([...Object.keys(used), ...Object.keys(truth)]);
+  const diffs = [];
+  for (const field of keys) {
+    const a = comparable(used[field]);
+    const b = comparable(truth[field]);
+    const same = a === b || (typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) < 1e-9);
+    if (!same) diffs.push({ time, timeframe, field, used: a, truth: b });
+  }
+  return diffs;
+}
+
+const comparable = v => (v instanceof Date ? v.toISOString() : v ?? null);
+
+/**
+ * 'units' model — size in ounces from the sizing model's USD risk.
+ * @returns {Object|null}  Position fields, or null if the size is zero
+ */
+function openUnitsPosition(signal, fillPrice, sizing, riskMgr) {
+  const units = riskMgr.calculatePositionSize(signal, sizing);
+  if (units <= 0) return null;
+  return {
+    pnlModel : 'units',
+    sizing,
+    units,
+    riskUsd  : Math.abs(fillPrice - signal.stopLoss) * units,
+  };
+}
+
 /**
- * Check if SL or TP was hit on the next bar.
- * @returns {{ exitPrice: number|null, reason: string }}
+ * 'multiplier' model — stake and USD limit orders exactly as TradeExecutor sends them.
+ * Deriv closes the contract when its P/L (after commission) reaches the USD
+ * stop-loss/take-profit amount, so those amounts are converted back into
+ * price levels around the actual fill.
+ * @returns {Object|null}  Position fields, or null if the stake is below Deriv's minimum
+ */
+function openMultiplierPosition(signal, fillPrice, sizing, cfg) {
+  const { stake, stopLossUsd, takeProfitUsd } = calculateStake(sizing.riskUsd, signal, cfg);
+  if (stake < cfg.instrument.minStake) return null;
+
+  const multiplier = cfg.instrument.multiplier;
+  const commission = multiplierCommission(stake, multiplier, cfg);
+  const sign       = signal.direction === 'buy' ? 1 : -1;
+  // Price at which the contract shows `pnl` (commission already charged)
+  const priceAtPnl = pnl => fillPrice * (1 + sign * (pnl + commission) / (stake * multiplier));
+
+  return {
+    pnlModel     : 'multiplier',
+    sizing,
+    units        : stake * multiplier / fillPrice,  // notional ounces, for reference
+    stake,
+    multiplier,
+    commission,
+    stopLossUsd,
+    takeProfitUsd,
+    riskUsd      : stopLossUsd,
+    stopLoss     : priceAtPnl(-stopLossUsd),
+    takeProfit   : priceAtPnl(takeProfitUsd),
+    stopOut      : priceAtPnl(-stake),
+  };
+}
+
+/**
+ * Check if SL or TP (or the Multiplier stop-out) was hit on the next bar.
+ * When both are inside the bar and its M1 bars are available, the first M1
+ * bar that touches a level decides; otherwise SL wins (conservative).
+ *
+ * @param {Object} trade
+ * @param {Object} nextBar
+ * @param {Array}  [m1Bars]  M1 bars inside nextBar, oldest first
+ * @returns {{ exitPrice: number|null, reason: string, ambiguous?: boolean, resolvedByM1?: boolean }}
  */
-function checkExit(trade, nextBar) {
-  const { high, low } = nextBar;
-  const { direction, stopLoss: sl, takeProfit: tp } = trade;
+function checkExit(trade, nextBar, m1Bars = null) {
+  const { direction, takeProfit: tp } = trade;
+  const isBuy = direction === 'buy';
+
+  // Stop-out sits inside the SL when the SL amount is larger than the stake
+  let sl = trade.stopLoss;
+  let slReason = 'stop_loss';
+  if (trade.stopOut != null && (isBuy ? trade.stopOut > sl : trade.stopOut < sl)) {
+    sl       = trade.stopOut;
+    slReason = 'stop_out';
+  }
 
-  const slHit = direction === 'buy' ? low  <= sl : high >= sl;
-  const tpHit = direction === 'buy' ? high >= tp : low  <= tp;
+  const touches = ({ high, low }) => ({
+    slHit : isBuy ? low  <= sl : high >= sl,
+    tpHit : isBuy ? high >= tp : low  <= tp,
+  });
+  const { slHit, tpHit } = touches(nextBar);
+
+  // A stop the trail (or the pre-event policy) has moved closes under that name
+  if (slReason === 'stop_loss' && trade.preEvent)     slReason = 'pre_event_stop';
+  else if (slReason === 'stop_loss' && trade.trailed) slReason = 'trailing_stop';
+
+  if (slHit && tpHit && m1Bars?.length) {
+    for (const m1 of m1Bars) {
+      const hit = touches(m1);
+      // Both inside one M1 bar too — still SL first
+      if (hit.slHit) return { exitPrice: sl, reason: slReason,      ambiguous: true, resolvedByM1: true };
+      if (hit.tpHit) return { exitPrice: tp, reason: 'take_profit', ambiguous: true, resolvedByM1: true };
+    }
+  }
 
   // If both hit same bar, SL wins (conservative)
-  if (slHit) return { exitPrice: sl, reason: 'stop_loss'   };
+  if (slHit) return { exitPrice: sl, reason: slReason, ambiguous: tpHit };
   if (tpHit) return { exitPrice: tp, reason: 'take_profit' };
   return { exitPrice: null, reason: '' };
 }
 
 function calcPnl(trade, exitPrice) {
-  return trade.direction === 'buy'
-    ? (exitPrice - trade.entryPrice) * trade.units
-    : (trade.entryPrice - exitPrice) * trade.units;
+  const move = trade.direction === 'buy'
+    ? exitPrice - trade.entryPrice
+    : trade.entryPrice - exitPrice;
+
+  if (trade.pnlModel === 'multiplier') {
+    const pnl = trade.stake * trade.multiplier * move / trade.entryPrice - trade.commission;
+    return Math.max(pnl, -trade.stake);  // a Multiplier can never lose more than its stake
+  }
+  return move * trade.units;
 }
 
-function computeMetrics(trades, equityCurve, initialEquity, finalEquity) {
+export function computeMetrics(trades, equityCurve, initialEquity, finalEquity) {
   if (!trades.length) {
     return {
       trades, equityCurve,
       totalReturnPct: 0, annReturnPct: 0, maxDrawdownPct: 0,
       sharpeRatio: 0, sortinoRatio: 0,
       winRate: 0, profitFactor: 0, totalTrades: 0,
-      avgRr: 0, expectancy: 0, initialEquity, finalEquity,
+      avgRr: 0, expectancy: 0, exitBreakdown: {}, trailingStopPnl: 0, trailingStopTrades: 0,
+      initialEquity, finalEquity,
     };
   }
 
@@ -326,6 +776,16 @@ function computeMetrics(trades, equityCurve, initialEquity, finalEquity) {
   const grossWin  = wins.reduce((a, b) => a + b, 0);
   const grossLoss = Math.abs(loss.reduce((a, b) => a + b, 0));
 
+  // P/L split by exit reason (take_profit, stop_loss, trailing_stop, ...)
+  const exitBreakdown = {};
+  for (const t of trades) {
+    const e = exitBreakdown[t.reasonClose] ??= { trades: 0, wins: 0, pnlUsd: 0 };
+    e.trades++;
+    if (t.pnlUsd > 0) e.wins++;
+    e.pnlUsd += t.pnlUsd;
+  }
+  for (const e of Object.values(exitBreakdown)) e.pnlUsd = r2(e.pnlUsd);
+
   return {
     trades,
     equityCurve,
@@ -339,16 +799,20 @@ function computeMetrics(trades, equityCurve, initialEquity, finalEquity) {
     totalTrades    : trades.length,
     avgRr          : r2(trades.reduce((s, t) => s + t.rrAchieved, 0) / trades.length),
     expectancy     : r2(pnls.reduce((a, b) => a + b, 0) / pnls.length),
+    exitBreakdown,
+    trailingStopPnl    : exitBreakdown.trailing_stop?.pnlUsd ?? 0,
+    trailingStopTrades : exitBreakdown.trailing_stop?.trades ?? 0,
     initialEquity,
     finalEquity    : r2(finalEquity),
   };
 }
 
-function printSummary(r) {
+export function printSummary(r) {
   const line = '═'.repeat(48);
   console.info(`\n╔${line}╗`);
   console.info(`║${'  BACKTEST RESULTS SUMMARY'.padEnd(48)}║`);
   console.info(`╠${line}╣`);
+  console.info(`║  P/L Model:         ${String(r.pnlModel).padEnd(27)}║`);
   console.info(`║  Initial Equity:    $${String(r.initialEquity).padEnd(26)}║`);
   console.info(`║  Final Equity:      $${String(r.finalEquity).padEnd(26)}║`);
   console.info(`║  Total Return:      ${(r.totalReturnPct + '%').padEnd(27)}║`);
@@ -360,10 +824,89 @@ function printSummary(r) {
   console.info(`║  Avg R:R Achieved:  ${String(r.avgRr).padEnd(27)}║`);
   console.info(`║  Expectancy/trade:  $${String(r.expectancy).padEnd(26)}║`);
   console.info(`╠${line}╣`);
+  for (const [reason, e] of Object.entries(r.exitBreakdown ?? {})) {
+    const label = `${reason}:`.padEnd(18);
+    console.info(`║  ${label} ${`${e.trades} trades | $${e.pnlUsd}`.padEnd(27)}║`);
+  }
+  if (Object.keys(r.exitBreakdown ?? {}).length) console.info(`╠${line}╣`);
+  if (r.fillModel) {
+    const f = r.fillModel;
+    console.info(`║  Intrabar fills:    ${`${f.intrabar} (${f.resolvedByM1}/${f.ambiguousExits} ties via M1)`.padEnd(27)}║`);
+    console.info(`║  Slippage:          ${`${f.slippageModel} ($${f.slippageUsd} total)`.padEnd(27)}║`);
+    if (r.exposureBlocks) console.info(`║  Exposure blocks:   ${String(r.exposureBlocks).padEnd(27)}║`);
+    if (r.news) {
+      const n = r.news;
+      const detail = n.blackout ? `on (${n.signalsInBlackout} suppressed)` : `off (${n.signalsInBlackout} in windows)`;
+      console.info(`║  News blackout:     ${detail.padEnd(27)}║`);
+    }
+    if (r.preEvent && r.preEvent.action !== 'none') {
+      const p = r.preEvent;
+      const detail = p.action === 'close' ? `close (${p.closed} closed)` : `${p.action} (${p.stopsMoved}/${p.stopsMoved + p.unchanged} moved)`;
+      console.info(`║  Pre-event:         ${detail.padEnd(27)}║`);
+    }
+    for (const [breaker, n] of Object.entries(r.breakerTrips ?? {})) {
+      console.info(`║  ${`Trips ${breaker}:`.padEnd(18)} ${String(n).padEnd(27)}║`);
+    }
+    console.info(`╠${line}╣`);
+  }
   console.info(`║  Max Drawdown:      ${(r.maxDrawdownPct + '%').padEnd(27)}║`);
   console.info(`║  Sharpe Ratio:      ${String(r.sharpeRatio).padEnd(27)}║`);
   console.info(`║  Sortino Ratio:     ${String(r.sortinoRatio).padEnd(27)}║`);
   console.info(`╚${line}╝\n`);
 }
 
+/**
+ * --news compare: the same backtest with the news blackout on and off.
+ * The trades the filter would skip are the off run's trades tagged `newsEvent`.
+ *
+ * @param {Object} on   Results with the blackout
+ * @param {Object} off  Results without it
+ * @returns {Object}    Summary of both runs (saved with the results)
+ */
+export function compareNewsBlackout(on, off) {
+  const row = r => ({
+    trades      : r.totalTrades,
+    winRate     : r.winRate,
+    profitFactor: r.profitFactor,
+    netPnlUsd   : r2(r.finalEquity - r.initialEquity),
+    maxDrawdownPct : r.maxDrawdownPct,
+  });
+  const inWindows = off.trades.filter(t => t.newsEvent);
+  const comparison = {
+    on : row(on),
+    off: row(off),
+    newsTrades   : inWindows.length,
+    newsTradesPnl: r2(inWindows.reduce((s, t) => s + t.pnlUsd, 0)),
+  };
+
+  console.info('  News blackout comparison:');
+  console.info(`  ${''.padEnd(14)}${'Trades'.padStart(8)}${'Win %'.padStart(8)}${'PF'.padStart(8)}` +
+               `${'Net P/L $'.padStart(12)}${'Max DD %'.padStart(10)}`);
+  for (const [label, r] of [['Blackout on', comparison.on], ['Blackout off', comparison.off]]) {
+    console.info(
+      `  ${label.padEnd(14)}${String(r.trades).padStart(8)}${String(r.winRate).padStart(8)}` +
+      `${String(r.profitFactor).padStart(8)}${String(r.netPnlUsd).padStart(12)}${String(r.maxDrawdownPct).padStart(10)}`
+    );
+  }
+  console.info(`  Trades inside news windows (blackout off): ${comparison.newsTrades}, P/L $${comparison.newsTradesPnl}\n`);
+  return comparison;
+}
+
+/** Calendar for `path`, loaded once per process; null → no events. */
+function loadCalendar(path) {
+  if (!path) return new EconomicCalendar();
+  if (!CALENDAR_CACHE.has(path)) CALENDAR_CACHE.set(path, EconomicCalendar.load(path));
+  return CALENDAR_CACHE.get(path);
+}
+
+/** Holiday file for `path`, loaded once per process; null → no holidays. */
+function loadHolidays(path) {
+  if (!path) return new HolidayCalendar();
+  if (!HOLIDAY_CACHE.has(path)) HOLIDAY_CACHE.set(path, HolidayCalendar.load(path));
+  return HOLIDAY_CACHE.get(path);
+}
+
+/** Shallow copy of a strategy: evaluate() on it leaves the original's state alone. */
+const probeStrategy = strategy => Object.assign(Object.create(Object.getPrototypeOf(strategy)), strategy);
+
 const r2 = v => Math.round(v * 100) / 100;
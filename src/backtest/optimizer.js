@@ -0,0 +1,335 @@
+/**
+ * src/backtest/optimizer.js — Walk-Forward Parameter Optimisation
+ * =================================================================
+ * Tunes strategy/indicator parameters without fitting to the whole history.
+ *
+ * For each rolling window:
+ *   1. In-sample  — run BacktestEngine for every candidate parameter set and
+ *                   pick the one with the best objective (e.g. Sharpe)
+ *   2. Out-of-sample — run only that winner on the following, unseen bars and
+ *                   record its computeMetrics() results
+ *
+ *   bars:  |──── in-sample ────|── OOS ──|
+ *                    |──── in-sample ────|── OOS ──|        (shifted by stepBars)
+ *
+ * The OOS results are the honest estimate of live performance. The report also
+ * names the parameter set that is most STABLE across windows — highest
+ * (mean − std) of its in-sample objective — which tends to generalise better
+ * than whichever set happened to win the most recent window.
+ *
+ * Each parameter set runs on its own config copy (mergeConfig), so the base
+ * config is never modified.
+ *
+ * Usage: node main.js --optimize [--mock] [--opt-spec spec.json]
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { BacktestEngine, WARMUP_BARS } from './engine.js';
+import { createRng } from './slippage.js';
+import CFG, { mergeConfig } from '../../config.js';
+
+// Infinite objectives (e.g. profit factor with no losers) are capped so the
+// stability mean/std stay finite
+const OBJECTIVE_CAP = 100;
+
+const REPORT_METRICS = [
+  'totalReturnPct', 'sharpeRatio', 'profitFactor', 'winRate',
+  'totalTrades', 'maxDrawdownPct', 'expectancy',
+];
+
+export class WalkForwardOptimizer {
+  /**
+   * @param {Object} spec           Optimisation spec, merged over cfg.optimize
+   * @param {string} dataSource     'csv' | 'mock'
+   * @param {Object} engineOptions  Passed to every BacktestEngine (pnlModel, m1Path, slippage)
+   * @param {Object} [cfg]          Base config the parameter sets are applied to
+   */
+  constructor(spec = {}, dataSource = 'csv', engineOptions = {}, cfg = CFG) {
+    this._cfg           = cfg;
+    this._spec          = { ...cfg.optimize, ...spec };
+    this._dataSource    = dataSource;
+    this._engineOptions = engineOptions;
+  }
+
+  // ── Run ───────────────────────────────────────────────────────────────────
+
+  async run() {
+    const { objective, minTrades, windows: w } = this._spec;
+
+    const candles   = await new BacktestEngine(this._dataSource, this._engineOptions, this._cfg)._loadData();
+    const windows   = buildWindows(candles.length, w);
+    const paramSets = buildParamSets(this._spec).filter(set => isValidParamSet(set, this._cfg));
+
+    console.info('='.repeat(60));
+    console.info('WALK-FORWARD OPTIMISATION');
+    console.info(`Data:       ${candles.length} bars (${this._dataSource})`);
+    console.info(`Windows:    ${windows.length} × (IS ${w.inSampleBars} / OOS ${w.outOfSampleBars}, step ${w.stepBars})`);
+    console.info(`Candidates: ${paramSets.length} parameter sets (${this._spec.search.mode})`);
+    console.info(`Objective:  ${objective} (min ${minTrades} trades in-sample)`);
+    console.info('='.repeat(60));
+
+    if (!windows.length) {
+      throw new Error(
+        `Not enough data for one window (need ${w.inSampleBars + w.outOfSampleBars} bars, have ${candles.length}).`
+      );
+    }
+    if (!paramSets.length) throw new Error('Optimisation spec produced no valid parameter sets.');
+
+    const results  = [];
+    const isScores = [];   // [window][set] → objective, or null if too few trades
+
+    for (const [wi, win] of windows.entries()) {
+      console.info(`[Optimize] Window ${wi + 1}/${windows.length} — testing ${paramSets.length} sets in-sample...`);
+      const isCandles = candles.slice(win.isStart, win.isEnd);
+
+      const scores = [];
+      for (const params of paramSets) {
+        const m = await this._runWith(params, isCandles);
+        scores.push(m.totalTrades >= minTrades ? objectiveOf(m, objective) : null);
+      }
+      isScores.push(scores);
+
+      const bestIdx = argmax(scores);
+      if (bestIdx < 0) {
+        console.warn(`[Optimize] Window ${wi + 1}: no set reached ${minTrades} trades — skipped.`);
+        results.push({ window: wi + 1, ...windowTimes(candles, win), best: null, outOfSample: null });
+        continue;
+      }
+
+      const best = paramSets[bestIdx];
+      const oos  = await this._runWith(best, oosSlice(candles, win));
+      results.push({
+        window      : wi + 1,
+        ...windowTimes(candles, win),
+        best        : { params: best, inSampleObjective: scores[bestIdx] },
+        outOfSample : pick(oos, REPORT_METRICS),
+      });
+    }
+
+    // ── Stability across windows ───────────────────────────────────────────
+    const selectedCount = new Map();
+    for (const r of results) {
+      if (r.best) selectedCount.set(paramKey(r.best.params), (selectedCount.get(paramKey(r.best.params)) ?? 0) + 1);
+    }
+
+    let stable = null;
+    paramSets.forEach((params, si) => {
+      const vals = isScores.map(ws => ws[si]);
+      if (vals.some(v => v == null)) return;  // must qualify in every window
+      const mean  = vals.reduce((a, b) => a + b, 0) / vals.length;
+      const std   = Math.sqrt(vals.reduce((s, v) => s + (v - mean) ** 2, 0) / vals.length);
+      const score = mean - std;
+      if (!stable || score > stable.score) stable = { params, mean, std, score };
+    });
+
+    if (stable) {
+      console.info('[Optimize] Running the most stable set on every out-of-sample window...');
+      stable.outOfSample = [];
+      for (const win of windows) {
+        stable.outOfSample.push(pick(await this._runWith(stable.params, oosSlice(candles, win)), REPORT_METRICS));
+      }
+      stable.timesSelected = selectedCount.get(paramKey(stable.params)) ?? 0;
+      stable.mean  = r2(stable.mean);
+      stable.std   = r2(stable.std);
+      stable.score = r2(stable.score);
+    }
+
+    const report = {
+      objective,
+      windows        : results,
+      outOfSample    : aggregateOos(results.map(r => r.outOfSample).filter(Boolean)),
+      mostStable     : stable,
+      candidates     : paramSets.length,
+    };
+
+    printReport(report);
+    return report;
+  }
+
+  saveResults(report) {
+    mkdirSync(this._cfg.log.logDir, { recursive: true });
+    const path = join(this._cfg.log.logDir, 'optimize_results.json');
+    writeFileSync(path, JSON.stringify(report, null, 2), 'utf8');
+    console.info(`Results saved to ${path}`);
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /** Run one quiet backtest on a copy of the config with `params` applied. */
+  _runWith(params, candles) {
+    const engine = new BacktestEngine(this._dataSource, this._engineOptions, configWith(this._cfg, params));
+    return engine.run({ candles, quiet: true });
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Rolling windows over `n` bars.
+ * @returns {Array<{isStart, isEnd, oosEnd}>}  Bar indices, end-exclusive
+ */
+function buildWindows(n, { inSampleBars, outOfSampleBars, stepBars }) {
+  if (inSampleBars < WARMUP_BARS + 10) {
+    throw new Error(`inSampleBars must exceed the ${WARMUP_BARS}-bar indicator warm-up.`);
+  }
+  const windows = [];
+  for (let start = 0; start + inSampleBars + outOfSampleBars <= n; start += stepBars) {
+    windows.push({ isStart: start, isEnd: start + inSampleBars, oosEnd: start + inSampleBars + outOfSampleBars });
+  }
+  return windows;
+}
+
+/** OOS bars plus the warm-up bars before them, so trading starts exactly at the OOS window. */
+function oosSlice(candles, win) {
+  return candles.slice(win.isEnd - WARMUP_BARS, win.oosEnd);
+}
+
+function windowTimes(candles, win) {
+  return {
+    period : {
+      inSample    : [candles[win.isStart].time, candles[win.isEnd - 1].time],
+      outOfSample : [candles[win.isEnd].time,   candles[win.oosEnd - 1].time],
+    },
+  };
+}
+
+/** Candidate values for one parameter: [a, b] as-is, { min, max, step } expanded. */
+function expandValues(spec) {
+  if (Array.isArray(spec)) return spec;
+  const { min, max, step } = spec;
+  const values = [];
+  for (let v = min; v <= max + step / 1e6; v += step) values.push(Math.round(v * 1e6) / 1e6);
+  return values;
+}
+
+/** All parameter sets from the spec — full grid or a seeded random sample. */
+function buildParamSets({ params, search }) {
+  const paths = Object.keys(params);
+
+  if (search.mode === 'random') {
+    const rng  = createRng(search.seed ?? 1);
+    const sets = new Map();
+    for (let i = 0; i < search.samples * 10 && sets.size < search.samples; i++) {
+      const set = {};
+      for (const path of paths) {
+        const spec = params[path];
+        if (!Array.isArray(spec) && spec.step == null) {
+          set[path] = Math.round((spec.min + rng() * (spec.max - spec.min)) * 1e4) / 1e4;
+        } else {
+          const values = expandValues(spec);
+          set[path] = values[Math.floor(rng() * values.length)];
+        }
+      }
+      sets.set(paramKey(set), set);
+    }
+    return [...sets.values()];
+  }
+
+  if (search.mode !== 'grid') throw new Error(`Unknown search mode '${search.mode}' (expected grid or random)`);
+
+  return paths.reduce(
+    (sets, path) => sets.flatMap(set => expandValues(params[path]).map(v => ({ ...set, [path]: v }))),
+    [{}],
+  );
+}
+
+/** Reject combinations that make no sense, e.g. a fast EMA slower than the slow one. */
+function isValidParamSet(set, cfg) {
+  const value = path => set[path] ?? readPath(cfg, path);
+  return value('indicator.emaFast')  < value('indicator.emaSlow')
+      && value('indicator.macdFast') < value('indicator.macdSlow');
+}
+
+/** A copy of `cfg` with the dotted-path values in `set` applied. */
+function configWith(cfg, set) {
+  const overrides = {};
+  for (const [path, value] of Object.entries(set)) {
+    readPath(cfg, path);  // validates the path
+    const [section, key] = path.split('.');
+    overrides[section] = { ...overrides[section], [key]: value };
+  }
+  return mergeConfig(cfg, overrides);
+}
+
+function readPath(cfg, path) {
+  const [section, key] = path.split('.');
+  if (!(section in cfg) || !(key in cfg[section])) throw new Error(`Unknown config parameter '${path}'`);
+  return cfg[section][key];
+}
+
+function objectiveOf(metrics, objective) {
+  const v = metrics[objective];
+  if (v === undefined) throw new Error(`Unknown objective '${objective}'`);
+  return Number.isFinite(v) ? v : Math.sign(v) * OBJECTIVE_CAP;
+}
+
+function argmax(values) {
+  let best = -1;
+  values.forEach((v, i) => {
+    if (v != null && (best < 0 || v > values[best])) best = i;
+  });
+  return best;
+}
+
+/** Chain the OOS windows into one track record. */
+function aggregateOos(oosList) {
+  if (!oosList.length) return null;
+  const compounded = oosList.reduce((eq, m) => eq * (1 + m.totalReturnPct / 100), 1);
+  return {
+    windows          : oosList.length,
+    totalTrades      : oosList.reduce((s, m) => s + m.totalTrades, 0),
+    compoundReturnPct: r2((compounded - 1) * 100),
+    avgSharpe        : r2(oosList.reduce((s, m) => s + m.sharpeRatio, 0) / oosList.length),
+    worstDrawdownPct : r2(Math.min(...oosList.map(m => m.maxDrawdownPct))),
+    profitableWindows: oosList.filter(m => m.totalReturnPct > 0).length,
+  };
+}
+
+/** Box width grows to the widest row so long parameter lists are not cut off. */
+function printReport(report) {
+  const rows = [];   // strings, or null for a divider
+  const row  = text => rows.push(text);
+  const rule = () => rows.push(null);
+  row('  WALK-FORWARD RESULTS (out-of-sample)');
+  rule();
+  for (const r of report.windows) {
+    row(`  #${r.window} OOS ${fmtDate(r.period.outOfSample[0])} → ${fmtDate(r.period.outOfSample[1])}`);
+    if (!r.best) {
+      row('      no eligible parameter set in-sample');
+      continue;
+    }
+    const m = r.outOfSample;
+    row(`      ret ${m.totalReturnPct}% | ${m.totalTrades} trades | WR ${m.winRate}% | PF ${m.profitFactor} | SR ${m.sharpeRatio}`);
+    row(`      IS ${report.objective} ${r2(r.best.inSampleObjective)} ← ${fmtParams(r.best.params)}`);
+  }
+  rule();
+  const a = report.outOfSample;
+  if (a) {
+    row(`  OOS combined: ${a.compoundReturnPct}% over ${a.windows} windows (${a.profitableWindows} profitable) | ${a.totalTrades} trades`);
+    row(`  Avg Sharpe ${a.avgSharpe} | worst drawdown ${a.worstDrawdownPct}%`);
+    rule();
+  }
+  const s = report.mostStable;
+  if (s) {
+    row(`  Most stable: ${fmtParams(s.params)}`);
+    row(`  IS ${report.objective} mean ${s.mean} ± ${s.std} | picked in ${s.timesSelected} window(s)`);
+    row(`  Its OOS returns: ${s.outOfSample.map(m => `${m.totalReturnPct}%`).join(', ')}`);
+  } else {
+    row('  Most stable: none qualified in every window');
+  }
+
+  const width = Math.max(78, ...rows.map(t => (t?.length ?? 0) + 2));
+  const line  = '═'.repeat(width);
+  console.info(`\n╔${line}╗`);
+  for (const text of rows) {
+    console.info(text === null ? `╠${line}╣` : `║${text.padEnd(width)}║`);
+  }
+  console.info(`╚${line}╝\n`);
+}
+
+const paramKey  = set => JSON.stringify(Object.entries(set).sort());
+const fmtParams = set => Object.entries(set).map(([k, v]) => `${k.split('.')[1]}=${v}`).join(' ');
+const fmtDate   = t => new Date(t).toISOString().slice(0, 10);
+const pick      = (obj, keys) => Object.fromEntries(keys.map(k => [k, obj[k]]));
+const r2        = v => Math.round(v * 100) / 100;
@@ -0,0 +1,211 @@
+/**
+ * src/backtest/portfolio.js — Multi-Symbol Portfolio Backtest
+ * =============================================================
+ * Backtests several symbols as one account:
+ *
+ *   - One BacktestEngine per symbol, configured with forInstrument() (its own
+ *     data path, precision, spread, ATR bounds, session and risk limits)
+ *   - The starting equity is split equally between the symbols
+ *   - The engines are stepped bar by bar in time order, so the portfolio
+ *     limits (max open trades, combined daily loss / drawdown, open and
+ *     correlated risk) see every symbol's positions as they stand at that
+ *     moment — as the live loop does
+ *   - The equity curves are merged by summing each symbol's equity, carried
+ *     forward between its own bars; metrics are computed on the merged curve
+ *     and the combined trade list, with a per-symbol breakdown alongside
+ *
+ * M1 intrabar data (--m1) is a single-symbol option and is not used here.
+ */
+
+import { BacktestEngine, computeMetrics, printSummary } from './engine.js';
+import { PortfolioRisk } from '../risk/portfolio.js';
+import CFG, { forInstrument, mergeConfig } from '../../config.js';
+
+export class PortfolioBacktest {
+  /**
+   * @param {string[]} symbols      Keys of cfg.instruments
+   * @param {'csv'|'mock'} dataSource
+   * @param {Object} [options]      BacktestEngine options (pnlModel, slippage, strategy, ...)
+   * @param {Object} [cfg]          Base bot config
+   */
+  constructor(symbols, dataSource = 'csv', options = {}, cfg = CFG) {
+    this._cfg   = cfg;
+    this._risk  = new PortfolioRisk(cfg, { sharedAccount: false });
+    const share = cfg.backtest.initialEquity / symbols.length;
+
+    this._desks = symbols.map(symbol => {
+      const symCfg = mergeConfig(forInstrument(cfg, symbol), { backtest: { initialEquity: share } });
+      const engine = new BacktestEngine(dataSource, {
+        ...options,
+        m1Path        : null,
+        portfolio     : {
+          canTrade      : time => this._risk.canTrade(this._positions(), time),
+          checkNewTrade : (position, time) => this._risk.checkNewTrade(position, this._positions(), time),
+        },
+      }, symCfg);
+      return { symbol, engine };
+    });
+  }
+
+  // ── Run ───────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {Object}  [options]
+   * @param {boolean} [options.quiet]  Suppress progress output and the summary boxes
+   * @returns {Promise<Object>}  computeMetrics() results on the merged curve, plus
+   *                             `symbols` and `bySymbol` (each symbol's own metrics)
+   */
+  async run({ quiet = false } = {}) {
+    const cfg = this._cfg;
+    const log = quiet ? () => {} : console.info;
+
+    log('='.repeat(60));
+    log('STARTING PORTFOLIO BACKTEST');
+    log(`Symbols:        ${this._desks.map(d => d.symbol).join(', ')}`);
+    log(`Initial equity: $${cfg.backtest.initialEquity} (split equally)`);
+    log(`Portfolio:      max ${cfg.portfolio.maxOpenTrades} open | daily loss $${cfg.portfolio.maxDailyLossUsd} | ` +
+        `daily DD ${cfg.portfolio.maxDailyDrawdownPct}% | open risk $${cfg.portfolio.maxOpenRiskUsd} | ` +
+        `correlated $${cfg.portfolio.maxCorrelatedRiskUsd}`);
+    log('='.repeat(60));
+
+    for (const desk of this._desks) {
+      const candles = await desk.engine._loadData();
+      log(`${desk.symbol}: ${candles.length} M5 bars`);
+      desk.replay = desk.engine.replay(candles, { quiet: true });
+      try {
+        desk.step = desk.replay.next();
+      } catch (err) {
+        throw new Error(`${desk.symbol}: ${err.message}`);
+      }
+    }
+
+    // Advance whichever symbol is furthest behind, one bar at a time
+    for (;;) {
+      const active = this._desks.filter(d => !d.step.done);
+      if (!active.length) break;
+      const desk = active.reduce((a, b) => (b.step.value < a.step.value ? b : a));
+      desk.step  = desk.replay.next();
+    }
+
+    const results = this._merge();
+    log(`Portfolio backtest complete. ${results.totalTrades} trades simulated.`);
+    if (!quiet) {
+      printSummary(results);
+      printSymbolTable(results.bySymbol);
+    }
+    return results;
+  }
+
+  plotAscii(results) {
+    this._desks[0].engine.plotAscii(results);
+  }
+
+  saveResults(results) {
+    this._desks[0].engine.saveResults(results);
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /** Open positions across every symbol's engine, for the portfolio limits. */
+  _positions() {
+    const positions = [];
+    for (const { symbol, engine } of this._desks) {
+      if (!engine.riskManager) continue;   // not started yet
+      this._risk.register(symbol, engine.riskManager);
+      positions.push(...engine.openPositions());
+    }
+    return positions;
+  }
+
+  /** Combine the per-symbol results into one set of portfolio metrics. */
+  _merge() {
+    const perSymbol = this._desks.map(d => ({ symbol: d.symbol, r: d.step.value }));
+
+    const trades = perSymbol
+      .flatMap(({ symbol, r }) => r.trades.map(t => ({ ...t, symbol })))
+      .sort((a, b) => a.exitTime - b.exitTime);
+
+    const initialEquity = perSymbol.reduce((s, { r }) => s + r.initialEquity, 0);
+    const finalEquity   = perSymbol.reduce((s, { r }) => s + r.finalEquity, 0);
+    const equityCurve   = mergeEquityCurves(perSymbol.map(({ r }) => r));
+
+    const results = computeMetrics(trades, equityCurve, initialEquity, finalEquity);
+    results.pnlModel  = perSymbol[0].r.pnlModel;
+    results.sizingModel = perSymbol[0].r.sizingModel;
+    results.fillModel = sumFillModels(perSymbol.map(({ r }) => r.fillModel));
+    results.exposureBlocks = perSymbol.reduce((s, { r }) => s + r.exposureBlocks, 0);
+    results.breakerTrips   = {};
+    for (const { r } of perSymbol) {
+      for (const [breaker, n] of Object.entries(r.breakerTrips)) {
+        results.breakerTrips[breaker] = (results.breakerTrips[breaker] ?? 0) + n;
+      }
+    }
+    results.news = { ...perSymbol[0].r.news, signalsInBlackout: 0, byEvent: {} };
+    for (const { r } of perSymbol) {
+      results.news.signalsInBlackout += r.news.signalsInBlackout;
+      for (const [event, n] of Object.entries(r.news.byEvent)) {
+        results.news.byEvent[event] = (results.news.byEvent[event] ?? 0) + n;
+      }
+    }
+    results.preEvent = { ...perSymbol[0].r.preEvent, closed: 0, stopsMoved: 0, unchanged: 0 };
+    for (const { r } of perSymbol) {
+      results.preEvent.closed     += r.preEvent.closed;
+      results.preEvent.stopsMoved += r.preEvent.stopsMoved;
+      results.preEvent.unchanged  += r.preEvent.unchanged;
+    }
+    results.symbols   = perSymbol.map(({ symbol }) => symbol);
+    results.bySymbol  = {};
+    for (const { symbol, r } of perSymbol) {
+      const { trades: _t, equityCurve: _c, ...stats } = r;
+      results.bySymbol[symbol] = stats;
+    }
+    return results;
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Sum several equity curves on the union of their timestamps. Each curve's
+ * last known equity is carried forward (its initial equity before it starts).
+ */
+function mergeEquityCurves(results) {
+  const times = [...new Set(results.flatMap(r => r.equityCurve.map(p => p.time.getTime())))]
+    .sort((a, b) => a - b);
+
+  const cursors = results.map(r => ({ curve: r.equityCurve, i: 0, equity: r.initialEquity }));
+  return times.map(t => {
+    let equity = 0;
+    for (const c of cursors) {
+      while (c.i < c.curve.length && c.curve[c.i].time.getTime() <= t) c.equity = c.curve[c.i++].equity;
+      equity += c.equity;
+    }
+    return { time: new Date(t), equity };
+  });
+}
+
+function sumFillModels(models) {
+  const out = { ...models[0], ambiguousExits: 0, resolvedByM1: 0, tpFirstByM1: 0, slippageUsd: 0 };
+  for (const m of models) {
+    out.ambiguousExits += m.ambiguousExits;
+    out.resolvedByM1   += m.resolvedByM1;
+    out.tpFirstByM1    += m.tpFirstByM1;
+    out.slippageUsd    += m.slippageUsd;
+  }
+  out.slippageUsd = Math.round(out.slippageUsd * 100) / 100;
+  return out;
+}
+
+function printSymbolTable(bySymbol) {
+  console.info('  Per symbol:');
+  console.info(`  ${'Symbol'.padEnd(12)}${'Trades'.padStart(8)}${'Win %'.padStart(8)}${'PF'.padStart(8)}` +
+               `${'Return %'.padStart(10)}${'Max DD %'.padStart(10)}${'Final $'.padStart(12)}`);
+  for (const [symbol, r] of Object.entries(bySymbol)) {
+    console.info(
+      `  ${symbol.padEnd(12)}${String(r.totalTrades).padStart(8)}${String(r.winRate).padStart(8)}` +
+      `${String(r.profitFactor).padStart(8)}${String(r.totalReturnPct).padStart(10)}` +
+      `${String(r.maxDrawdownPct).padStart(10)}${String(r.finalEquity).padStart(12)}`
+    );
+  }
+  console.info('');
+}
@@ -0,0 +1,53 @@
+/**
+ * src/backtest/slippage.js — Backtest Slippage Models
+ * =====================================================
+ * Slippage is the adverse distance (USD price units) between the level the
+ * backtest wanted and the price it got. It is applied to market fills only:
+ * entries and stop exits. Take-profit exits are limit fills and never slip.
+ *
+ * Models (CFG.backtest.slippage.model):
+ *   none   — 0
+ *   fixed  — fixedUsd on every fill
+ *   atr    — atrMult × ATR of the signal bar (wider in fast markets)
+ *   random — uniform in [minUsd, maxUsd], from a seeded PRNG so runs repeat
+ */
+
+export const SLIPPAGE_MODELS = ['none', 'fixed', 'atr', 'random'];
+
+/**
+ * Build a slippage function from a config spec.
+ *
+ * @param {Object} spec  CFG.backtest.slippage
+ * @returns {(atr: number) => number}  Adverse slippage in USD for one fill
+ */
+export function createSlippageModel(spec) {
+  const { model = 'none', fixedUsd = 0, atrMult = 0, minUsd = 0, maxUsd = 0, seed = 1 } = spec ?? {};
+
+  switch (model) {
+    case 'none':   return () => 0;
+    case 'fixed':  return () => fixedUsd;
+    case 'atr':    return atr => (atr ?? 0) * atrMult;
+    case 'random': {
+      const rng = createRng(seed);
+      return () => minUsd + rng() * (maxUsd - minUsd);
+    }
+    default:
+      throw new Error(`Unknown slippage model '${model}' (expected one of: ${SLIPPAGE_MODELS.join(', ')})`);
+  }
+}
+
+/**
+ * Seeded PRNG (mulberry32) — deterministic uniform values in [0, 1).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,473 @@
+/**
+ * src/config/validate.js — Config Schema & Sanity Checks
+ * ========================================================
+ * main.js runs this before anything else. Two layers:
+ *
+ *   1. Schema — every key's type and range (an env var typo that turns
+ *      DERIV_MULTIPLIER into NaN, a negative period), plus unknown keys, so a
+ *      misspelt key in a profile does not silently fall back to a default.
+ *      `strategy` may hold extra objects: a plugin's parameters live under
+ *      `strategy.<name>` (see src/strategies/index.js).
+ *   2. Rules — relations between keys: emaFast < emaSlow, minAtr < maxAtr,
+ *      session start before end, the multiplier one Deriv offers, ...
+ *
+ * The base config and each traded symbol's forInstrument() config are
+ * checked; a symbol only reports what its overrides broke. Errors stop live
+ * trading; warnings are printed and ignored.
+ */
+
+import { forInstrument } from '../../config.js';
+import { TF_TO_SECONDS } from '../data/fetcher.js';
+import { listStrategies } from '../strategies/index.js';
+import { SIZING_MODELS } from '../risk/sizing.js';
+import { SLIPPAGE_MODELS } from '../backtest/slippage.js';
+import { EconomicCalendar, IMPACTS, WEEKDAYS } from '../data/calendar.js';
+import { TradingSessions } from '../data/sessions.js';
+import { PRE_EVENT_ACTIONS } from '../data/newsFilter.js';
+
+// Where a value can come from besides config.js — named in the message
+const ENV_VARS = {
+  'broker.appId'          : 'DERIV_APP_ID',
+  'broker.accountType'    : 'ACCOUNT_TYPE',
+  'instrument.multiplier' : 'DERIV_MULTIPLIER',
+  'log.logLevel'          : 'LOG_LEVEL',
+};
+
+// ── Schema ────────────────────────────────────────────────────────────────────
+
+const num   = (o = {}) => ({ type: 'number', ...o });   // min, max, gt, int, nullable
+const int   = (o = {}) => num({ int: true, ...o });
+const str   = (o = {}) => ({ type: 'string', ...o });   // oneOf, nonEmpty, nullable
+const bool  = (o = {}) => ({ type: 'boolean', ...o });
+const list  = (item, o = {}) => ({ type: 'array', item, ...o });
+const obj   = (shape, o = {}) => ({ type: 'object', shape, ...o });   // extra: schema for other keys
+const mapOf = (value, o = {}) => obj({}, { extra: value, ...o });
+
+const pct      = (o = {}) => num({ gt: 0, max: 100, ...o });
+const utcHour  = () => num({ min: 0, max: 24 });
+const tf       = (o = {}) => str({ oneOf: Object.keys(TF_TO_SECONDS), ...o });
+const path     = (o = {}) => str({ nonEmpty: true, ...o });
+const optional = s => ({ ...s, nullable: true });
+const clock    = () => str({ pattern: /^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/, describe: 'an HH:MM time' });
+
+const INSTRUMENT = {
+  symbol         : str({ nonEmpty: true }),
+  pricePrecision : int({ min: 0, max: 10 }),
+  multiplier     : int({ gt: 0 }),
+  multipliers    : list(int({ gt: 0 }), { minItems: 1 }),
+  minStake       : num({ gt: 0 }),
+  maxStake       : num({ gt: 0 }),
+  minUnits       : int({ min: 1 }),
+  dataPath       : optional(path()),
+  mockPrice      : num({ gt: 0 }),
+};
+
+// Every `instruments` entry: a partial instrument, its sessions and overrides
+// (checked again, merged, as the symbol's own config)
+const INSTRUMENT_SPEC = obj({
+  ...Object.fromEntries(Object.entries(INSTRUMENT).map(([k, s]) => [k, optional(s)])),
+  sessions        : optional(list(str({ nonEmpty: true }), { minItems: 1 })),
+  overrides       : optional(obj({}, { extra: obj({}, { extra: { type: 'any' } }) })),
+});
+
+const GATE = obj({ enabled: bool(), mandatory: bool(), weight: num({ min: 0 }) }, { extra: { type: 'any' } });
+
+export const SCHEMA = obj({
+  broker : obj({
+    appId       : str({ pattern: /^\d+$/, describe: 'a numeric app id' }),
+    derivToken  : str(),
+    accountType : str({ oneOf: ['demo', 'real'] }),
+  }),
+  instrument  : obj(INSTRUMENT),
+  instruments : mapOf(INSTRUMENT_SPEC),
+  portfolio   : obj({
+    symbols              : list(str({ nonEmpty: true }), { minItems: 1 }),
+    maxOpenTrades        : int({ min: 1 }),
+    maxDailyLossUsd      : num({ gt: 0 }),
+    maxDailyDrawdownPct  : pct(),
+    maxOpenRiskUsd       : num({ gt: 0 }),
+    correlationGroups    : list(list(str({ nonEmpty: true }), { minItems: 2 })),
+    maxCorrelatedRiskUsd : num({ gt: 0 }),
+  }),
+  timeframe : obj({
+    signalTf      : tf(),
+    trendTf       : tf(),
+    lookback      : int({ min: 50 }),
+    trendLookback : int({ min: 50 }),
+  }),
+  indicator : obj({
+    emaFast       : int({ min: 1 }),
+    emaSlow       : int({ min: 1 }),
+    emaTrend      : int({ min: 1 }),
+    rsiPeriod     : int({ min: 1 }),
+    rsiOverbought : num({ min: 0, max: 100 }),
+    rsiOversold   : num({ min: 0, max: 100 }),
+    macdFast      : int({ min: 1 }),
+    macdSlow      : int({ min: 1 }),
+    macdSignal    : int({ min: 1 }),
+    stochK        : int({ min: 1 }),
+    stochD        : int({ min: 1 }),
+    stochSmooth   : int({ min: 1 }),
+    stochOb       : num({ min: 0, max: 100 }),
+    stochOs       : num({ min: 0, max: 100 }),
+    atrPeriod     : int({ min: 1 }),
+    bbPeriod      : int({ min: 2 }),
+    bbStd         : num({ gt: 0 }),
+    swingWindow   : int({ min: 1 }),
+  }),
+  strategy : obj({
+    name           : str({ nonEmpty: true }),
+    minAtr         : num({ min: 0 }),
+    maxAtr         : num({ gt: 0 }),
+    minRrRatio     : num({ gt: 0 }),
+    slAtrMult      : num({ gt: 0 }),
+    tpSlMult       : num({ gt: 0 }),
+    swingBufferAtr : num({ min: 0 }),
+    minSlAtr       : num({ gt: 0 }),
+    requiredScore  : num({ min: 0 }),
+    gates          : mapOf(GATE),
+    londonBreakout : obj({
+      rangeStartUtc : utcHour(),
+      rangeEndUtc   : utcHour(),
+      entryEndUtc   : utcHour(),
+      minRangeBars  : int({ min: 1 }),
+      minRangeAtr   : num({ gt: 0 }),
+      maxRangeAtr   : num({ gt: 0 }),
+      bufferAtr     : num({ min: 0 }),
+      stop          : str({ oneOf: ['mid', 'opposite'] }),
+      tpRr          : num({ gt: 0 }),
+    }),
+  }, { extra: obj({}, { extra: { type: 'any' } }) }),   // plugin parameters
+  risk : obj({
+    maxRiskPct          : pct(),
+    maxRiskUsd          : num({ gt: 0 }),
+    maxOpenTrades       : int({ min: 1 }),
+    maxDailyDrawdownPct : pct(),
+    maxDailyLossUsd     : num({ gt: 0 }),
+    maxTradesPerDay     : int({ min: 1 }),
+    cooldownBars        : optional(int({ min: 0 })),
+    cooldownMin         : optional(num({ min: 0 })),
+    maxOpenRiskPct      : pct(),
+    maxOpenRiskUsd      : num({ gt: 0 }),
+    maxDirectionRiskPct : pct(),
+    maxDirectionRiskUsd : num({ gt: 0 }),
+    breakers : obj({
+      maxDrawdownPct       : optional(pct()),
+      maxConsecutiveLosses : optional(int({ min: 1 })),
+      lossStreakPauseMin   : num({ min: 0 }),
+      maxWeeklyLossPct     : optional(pct()),
+      maxMonthlyLossPct    : optional(pct()),
+      outsizedLossPct      : optional(pct()),
+      outsizedStandDownMin : num({ min: 0 }),
+    }),
+    sizing : obj({
+      model          : str({ oneOf: SIZING_MODELS }),
+      fixedUsd       : num({ gt: 0 }),
+      targetAtrPct   : num({ gt: 0 }),
+      minScale       : num({ gt: 0 }),
+      maxScale       : num({ gt: 0 }),
+      kellyFraction  : num({ gt: 0, max: 1 }),
+      kellyWindow    : int({ min: 1 }),
+      kellyMinTrades : int({ min: 1 }),
+      kellyMinPct    : pct(),
+      ddStartPct     : num({ min: 0, max: 100 }),
+      ddFullPct      : pct(),
+      ddMinScale     : num({ min: 0, max: 1 }),
+    }),
+    trailingSlActivationPct : num({ min: 0 }),
+    trailingSlDistanceMult  : num({ gt: 0 }),
+    breakevenOffset         : num({ min: 0 }),
+  }),
+  news : obj({
+    blackoutBeforeMins : num({ min: 0 }),
+    blackoutAfterMins  : num({ min: 0 }),
+    watchCurrencies    : list(str({ pattern: /^[A-Z]{3}$/, describe: 'a 3-letter currency code' })),
+    impacts            : list(str({ oneOf: IMPACTS })),
+    calendarPath       : optional(path()),
+    liveFeed           : bool(),
+    feedRetryMin       : num({ gt: 0 }),
+    preEvent           : obj({
+      action        : str({ oneOf: PRE_EVENT_ACTIONS }),
+      minutesBefore : num({ gt: 0 }),
+      tightenAtr    : num({ gt: 0 }),
+    }),
+  }),
+  sessions : obj({
+    defs         : mapOf(obj({
+      tz     : optional(str({ nonEmpty: true })),
+      start  : optional(clock()),
+      end    : optional(clock()),
+      days   : optional(list(str({ oneOf: WEEKDAYS }), { minItems: 1 })),
+      market : optional(str({ nonEmpty: true })),
+      within : optional(list(str({ nonEmpty: true }), { minItems: 2 })),
+    })),
+    trade        : obj(Object.fromEntries(['default', ...WEEKDAYS].map(d => [d, optional(list(str({ nonEmpty: true })))]))),
+    holidayPath  : optional(path()),
+    fridayCutoff : optional(obj({
+      time           : clock(),
+      tz             : str({ nonEmpty: true }),
+      closePositions : bool(),
+    })),
+  }),
+  log : obj({
+    logDir        : path(),
+    tradeLogCsv   : path(),
+    newsLogCsv    : path(),
+    botLogFile    : path(),
+    riskStateFile : path(),
+    positionsFile : path(),
+    logLevel      : str({ oneOf: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] }),
+  }),
+  backtest : obj({
+    dataPath                : path(),
+    initialEquity           : num({ gt: 0 }),
+    spread                  : num({ min: 0 }),
+    commission              : num({ min: 0 }),
+    pnlModel                : str({ oneOf: ['units', 'multiplier'] }),
+    multiplierCommissionPct : num({ min: 0 }),
+    m1DataPath              : optional(path()),
+    newsBlackout            : bool(),
+    slippage : obj({
+      model    : str({ oneOf: SLIPPAGE_MODELS }),
+      fixedUsd : num({ min: 0 }),
+      atrMult  : num({ min: 0 }),
+      minUsd   : num({ min: 0 }),
+      maxUsd   : num({ min: 0 }),
+      seed     : int(),
+    }),
+  }),
+  optimize : obj({
+    objective : str({ nonEmpty: true }),
+    minTrades : int({ min: 0 }),
+    search    : obj({ mode: str({ oneOf: ['grid', 'random'] }), samples: int({ min: 1 }), seed: int() }),
+    params    : mapOf({ type: 'any' }),
+    windows   : obj({ inSampleBars: int({ min: 1 }), outOfSampleBars: int({ min: 1 }), stepBars: int({ min: 1 }) }),
+  }),
+});
+
+// ── Rules ─────────────────────────────────────────────────────────────────────
+// [keys, test, message] — test(cfg) true means fine. Skipped when a key it
+// reads already failed the schema.
+
+const RULES = [
+  [['indicator.emaFast', 'indicator.emaSlow'], c => c.indicator.emaFast < c.indicator.emaSlow,
+    'emaFast must be shorter than emaSlow'],
+  [['indicator.emaSlow', 'indicator.emaTrend'], c => c.indicator.emaSlow < c.indicator.emaTrend,
+    'emaSlow must be shorter than emaTrend'],
+  [['indicator.macdFast', 'indicator.macdSlow'], c => c.indicator.macdFast < c.indicator.macdSlow,
+    'macdFast must be shorter than macdSlow'],
+  [['indicator.rsiOversold', 'indicator.rsiOverbought'], c => c.indicator.rsiOversold < c.indicator.rsiOverbought,
+    'rsiOversold must be below rsiOverbought'],
+  [['indicator.stochOs', 'indicator.stochOb'], c => c.indicator.stochOs < c.indicator.stochOb,
+    'stochOs must be below stochOb'],
+  [['strategy.minAtr', 'strategy.maxAtr'], c => c.strategy.minAtr < c.strategy.maxAtr,
+    'minAtr must be below maxAtr'],
+  [['strategy.name'], c => listStrategies().includes(c.strategy.name),
+    `must be a strategy in src/strategies/ (${listStrategies().join(', ')})`],
+  [['instrument.multiplier', 'instrument.multipliers'], c => c.instrument.multipliers.includes(c.instrument.multiplier),
+    c => `multiplier ${c.instrument.multiplier} is not one Deriv offers for ${c.instrument.symbol} ` +
+         `(${c.instrument.multipliers.join(', ')})`],
+  [['instrument.minStake', 'instrument.maxStake'], c => c.instrument.minStake <= c.instrument.maxStake,
+    'minStake must not exceed maxStake'],
+  [['timeframe.signalTf', 'timeframe.trendTf'], c => TF_TO_SECONDS[c.timeframe.trendTf] > TF_TO_SECONDS[c.timeframe.signalTf],
+    'trendTf must be a longer timeframe than signalTf'],
+  [['risk.cooldownBars', 'risk.cooldownMin'], c => c.risk.cooldownBars != null || c.risk.cooldownMin != null,
+    'cooldownBars and cooldownMin are both null — set one'],
+  [['risk.sizing.minScale', 'risk.sizing.maxScale'], c => c.risk.sizing.minScale <= c.risk.sizing.maxScale,
+    'sizing.minScale must not exceed maxScale'],
+  [['risk.sizing.ddStartPct', 'risk.sizing.ddFullPct'], c => c.risk.sizing.ddStartPct < c.risk.sizing.ddFullPct,
+    'sizing.ddStartPct must be below ddFullPct'],
+  [['backtest.slippage.minUsd', 'backtest.slippage.maxUsd'], c => c.backtest.slippage.minUsd <= c.backtest.slippage.maxUsd,
+    'slippage.minUsd must not exceed maxUsd'],
+  [['strategy.londonBreakout.rangeStartUtc', 'strategy.londonBreakout.rangeEndUtc', 'strategy.londonBreakout.entryEndUtc'],
+    c => c.strategy.londonBreakout.rangeStartUtc < c.strategy.londonBreakout.rangeEndUtc &&
+         c.strategy.londonBreakout.rangeEndUtc < c.strategy.londonBreakout.entryEndUtc,
+    'londonBreakout needs rangeStartUtc < rangeEndUtc < entryEndUtc'],
+  [['strategy.londonBreakout.minRangeAtr', 'strategy.londonBreakout.maxRangeAtr'],
+    c => c.strategy.londonBreakout.minRangeAtr < c.strategy.londonBreakout.maxRangeAtr,
+    'londonBreakout.minRangeAtr must be below maxRangeAtr'],
+  [['portfolio.symbols', 'instruments'], c => c.portfolio.symbols.every(s => s in c.instruments),
+    c => `unknown symbol(s) ${c.portfolio.symbols.filter(s => !(s in c.instruments)).join(', ')}`],
+  [['portfolio.correlationGroups', 'instruments'], c => c.portfolio.correlationGroups.flat().every(s => s in c.instruments),
+    c => `unknown symbol(s) ${c.portfolio.correlationGroups.flat().filter(s => !(s in c.instruments)).join(', ')}`],
+];
+
+// Legal but probably not intended — printed, never fatal
+const WARNINGS = [
+  [['risk.maxRiskPct'], c => c.risk.maxRiskPct <= 3,
+    c => `${c.risk.maxRiskPct}% risk per trade is aggressive for a scalper`],
+  [['risk.maxRiskUsd', 'risk.maxDailyLossUsd'], c => c.risk.maxRiskUsd <= c.risk.maxDailyLossUsd,
+    'one full-size loss exceeds the daily USD loss limit'],
+  [['news.preEvent.minutesBefore', 'news.blackoutBeforeMins'],
+    c => c.news.preEvent.action === 'none' || c.news.preEvent.minutesBefore <= c.news.blackoutBeforeMins,
+    'the pre-event policy acts before the entry blackout starts — new trades can open after it'],
+  [['risk.maxDirectionRiskPct', 'risk.maxOpenRiskPct'], c => c.risk.maxDirectionRiskPct <= c.risk.maxOpenRiskPct,
+    'the per-direction open-risk cap is looser than the total cap'],
+];
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+/**
+ * Check one resolved config.
+ * @param {Object} cfg
+ * @returns {{ errors: string[], warnings: string[] }}  One line per violation, key first
+ */
+export function validateConfig(cfg) {
+  const errors = [];
+  const badKeys = new Set();
+  checkValue(cfg, SCHEMA, '', (key, message) => {
+    badKeys.add(key);
+    errors.push(`${key} ${message}${ENV_VARS[key] ? ` (from ${ENV_VARS[key]})` : ''}`);
+  });
+
+  const applyRules = (rules, out) => {
+    for (const [keys, test, message] of rules) {
+      if (keys.some(k => [...badKeys].some(b => b === k || b.startsWith(`${k}.`)))) continue;
+      if (!test(cfg)) out.push(`${keys.join(' / ')}: ${typeof message === 'function' ? message(cfg) : message}`);
+    }
+  };
+  applyRules(RULES, errors);
+  const warnings = [];
+  applyRules(WARNINGS, warnings);
+  return { errors, warnings };
+}
+
+/**
+ * Check the base config and each symbol's resolved config, load each news
+ * calendar file and build each symbol's trading sessions. A symbol reports only the problems the base does not
+ * already have.
+ *
+ * @param {Object}   cfg
+ * @param {string[]} symbols  Traded symbols (keys of cfg.instruments)
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function checkConfig(cfg, symbols) {
+  const base = validateConfig(cfg);
+  const out  = { errors: [...base.errors], warnings: [...base.warnings] };
+  const calendars = new Set();
+  if (base.errors.some(e => e.startsWith('instruments'))) return out;   // cannot resolve symbols
+
+  for (const symbol of symbols.filter(s => s in cfg.instruments)) {   // unknown ones: a rule above
+    let symCfg;
+    try {
+      symCfg = forInstrument(cfg, symbol);
+    } catch (err) {
+      out.errors.push(`[${symbol}] ${err.message}`);
+      continue;
+    }
+    const own = validateConfig(symCfg);
+    out.errors.push(...own.errors.filter(e => !base.errors.includes(e)).map(e => `[${symbol}] ${e}`));
+    out.warnings.push(...own.warnings.filter(w => !base.warnings.includes(w)).map(w => `[${symbol}] ${w}`));
+    if (typeof symCfg.news?.calendarPath === 'string') calendars.add(symCfg.news.calendarPath);
+
+    // Session names, time zones and the holiday file are checked by building them
+    if (!own.errors.some(e => e.startsWith('sessions'))) {
+      try {
+        new TradingSessions(symCfg);
+      } catch (err) {
+        const e = err.message.startsWith('sessions') ? err.message : `sessions.holidayPath ${err.message}`;
+        if (!out.errors.includes(e)) out.errors.push(e);
+      }
+    }
+  }
+
+  // Calendar files are read at startup anyway — a bad entry is a config error too
+  for (const file of calendars) {
+    try {
+      EconomicCalendar.load(file);
+    } catch (err) {
+      out.errors.push(`news.calendarPath ${err.message.startsWith(file) ? err.message : `${file}: ${err.message}`}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * A copy of `cfg` that is safe to print: the API token masked, and values
+ * JSON cannot show (Infinity, patterns) as strings.
+ */
+export function printableConfig(cfg) {
+  return JSON.parse(JSON.stringify(cfg, (key, value) => {
+    if (key === 'derivToken') return value ? `${'*'.repeat(8)}${String(value).slice(-4)}` : '';
+    if (value === Infinity || value === -Infinity || Number.isNaN(value)) return String(value);
+    return value;
+  }));
+}
+
+// ── Internal ──────────────────────────────────────────────────────────────────
+
+/** Walk `value` against `schema`, calling fail(key, message) for each violation. */
+function checkValue(value, schema, key, fail) {
+  if (schema.type === 'any') return;
+  if (value == null) {
+    if (!schema.nullable) fail(key, `is missing — expected ${describe(schema)}`);
+    return;
+  }
+  const got = `= ${show(value)} — expected ${describe(schema)}`;
+
+  switch (schema.type) {
+    case 'number': {
+      const bad = typeof value !== 'number' || Number.isNaN(value) ||
+        (schema.int && !Number.isInteger(value)) ||
+        (schema.min != null && value < schema.min) ||
+        (schema.max != null && value > schema.max) ||
+        (schema.gt  != null && value <= schema.gt);
+      if (bad) fail(key, got);
+      return;
+    }
+    case 'string': {
+      const bad = typeof value !== 'string' ||
+        (schema.nonEmpty && !value) ||
+        (schema.oneOf && !schema.oneOf.includes(value)) ||
+        (schema.pattern && !schema.pattern.test(value));
+      if (bad) fail(key, got);
+      return;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') fail(key, got);
+      return;
+    case 'array':
+      if (!Array.isArray(value) || value.length < (schema.minItems ?? 0)) {
+        fail(key, got);
+        return;
+      }
+      value.forEach((v, i) => checkValue(v, schema.item, `${key}[${i}]`, fail));
+      return;
+    case 'object': {
+      if (value?.constructor !== Object) {
+        fail(key, got);
+        return;
+      }
+      for (const [k, s] of Object.entries(schema.shape)) checkValue(value[k], s, join(key, k), fail);
+      for (const k of Object.keys(value)) {
+        if (k in schema.shape) continue;
+        if (schema.extra) checkValue(value[k], schema.extra, join(key, k), fail);
+        else fail(join(key, k), 'is not a known setting (typo?)');
+      }
+    }
+  }
+}
+
+function describe(schema) {
+  switch (schema.type) {
+    case 'number': {
+      const bounds = [
+        schema.gt  != null && `> ${schema.gt}`,
+        schema.min != null && `≥ ${schema.min}`,
+        schema.max != null && `≤ ${schema.max}`,
+      ].filter(Boolean).join(', ');
+      return `${schema.int ? 'an integer' : 'a number'}${bounds ? ` ${bounds}` : ''}${schema.nullable ? ' or null' : ''}`;
+    }
+    case 'string':
+      if (schema.oneOf)    return `one of ${schema.oneOf.map(v => `'${v}'`).join(', ')}`;
+      if (schema.describe) return schema.describe;
+      return `${schema.nonEmpty ? 'a non-empty string' : 'a string'}${schema.nullable ? ' or null' : ''}`;
+    case 'boolean': return 'true or false';
+    case 'array':   return `a list${schema.minItems ? ` of at least ${schema.minItems}` : ''}`;
+    case 'object':  return 'an object';
+    default:        return 'a value';
+  }
+}
+
+const join = (key, k) => (key ? `${key}.${k}` : k);
+const show = v => (typeof v === 'number' && !Number.isFinite(v) ? String(v) : JSON.stringify(v));
@@ -0,0 +1,300 @@
+/**
+ * src/data/calendar.js — Economic Calendar File
+ * ===============================================
+ * Scheduled macro events from a local, versioned file (CFG.news.calendarPath),
+ * so the live bot and the backtest black out the same, real dates.
+ *
+ * JSON format:
+ *   {
+ *     "version": "2026.10",
+ *     "events": [   // one release each
+ *       { "title": "FOMC Rate Decision", "currency": "USD", "impact": "high",
+ *         "date": "2026-10-28", "time": "14:00", "tz": "America/New_York",
+ *         "beforeMins": 60, "afterMins": 90 },
+ *       { "title": "...", "currency": "EUR", "impact": "high", "utc": "2026-10-29T13:15:00Z" }
+ *     ],
+ *     "rules": [    // recurring releases, expanded on demand
+ *       { "title": "Non-Farm Payrolls", "currency": "USD", "impact": "high",
+ *         "every": "month", "nth": 1, "weekday": "friday",      // nth -1 = last
+ *         "time": "08:30", "tz": "America/New_York",
+ *         "from": "2025-01-01", "until": null, "except": ["2025-07-04"] }
+ *     ]
+ *   }
+ *
+ * `every: "week"` repeats on `weekday` each week. Local times are converted
+ * with the zone's daylight-saving rules, so an 08:30 New York release is 13:30
+ * UTC in winter and 12:30 UTC in summer. beforeMins / afterMins are optional
+ * and replace CFG.news.blackoutBeforeMins / blackoutAfterMins for that event.
+ *
+ * A .csv file holds dated events only: a header row naming the same fields
+ * (title, currency, impact, utc or date + time + tz, beforeMins, afterMins).
+ * A title with a comma is quoted ("Fed Chair Powell Speaks, Q&A"); lines
+ * starting with # are comments.
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parse } from 'csv-parse/sync';
+
+export const IMPACTS = ['low', 'medium', 'high'];
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export class EconomicCalendar {
+  /**
+   * @param {Object} [spec]
+   * @param {Array}  [spec.events]   Raw events (see the file format above)
+   * @param {Array}  [spec.rules]    Raw recurrence rules
+   * @param {string} [spec.version]
+   * @param {string} [spec.source]   File the spec came from — used in error messages
+   */
+  constructor({ events = [], rules = [], version = null, source = 'calendar' } = {}) {
+    this.version = version;
+    this.source  = source;
+    this._events = events.map((raw, i) => parseEvent(raw, `${source}: event #${i + 1}`));
+    this._rules  = rules.map((raw, i) => parseRule(raw, `${source}: rule #${i + 1}`));
+    this._months = new Map();   // 'YYYY-MM' (UTC) → events in that month, sorted
+
+    // Widest blackout window any single entry asks for — bounds a lookup
+    this.maxWindowMins = Math.max(0, ...[...this._events, ...this._rules]
+      .flatMap(e => [e.beforeMins ?? 0, e.afterMins ?? 0]));
+  }
+
+  /**
+   * Load a calendar file.
+   * @param {string} path  .json or .csv
+   * @returns {EconomicCalendar}
+   */
+  static load(path) {
+    const text = readFileSync(path, 'utf8');
+    if (extname(path).toLowerCase() === '.csv') {
+      return new EconomicCalendar({ events: parseCsv(text), source: path });
+    }
+    const spec = JSON.parse(text);
+    if (spec?.constructor !== Object) throw new Error(`Calendar ${path} must contain an object`);
+    return new EconomicCalendar({ ...spec, source: path });
+  }
+
+  get eventCount() { return this._events.length; }
+  get ruleCount()  { return this._rules.length; }
+
+  /** One-line summary for the startup banner. */
+  describe() {
+    return `${this.source}${this.version ? ` v${this.version}` : ''} ` +
+      `(${this.eventCount} dated event(s), ${this.ruleCount} rule(s))`;
+  }
+
+  /**
+   * Every event — dated and rule-generated — with from ≤ time ≤ to, oldest first.
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {CalendarEvent[]}
+   */
+  eventsBetween(from, to) {
+    const out = [];
+    const cur = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    while (cur <= to) {
+      for (const ev of this._month(cur.getUTCFullYear(), cur.getUTCMonth())) {
+        if (ev.time >= from && ev.time <= to) out.push(ev);
+      }
+      cur.setUTCMonth(cur.getUTCMonth() + 1);
+    }
+    return out;
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /** Events whose UTC time falls in month `m` (0-based) of `y`, memoised. */
+  _month(y, m) {
+    const key = `${y}-${m}`;
+    if (!this._months.has(key)) {
+      const inMonth = ev => ev.time.getUTCFullYear() === y && ev.time.getUTCMonth() === m;
+      // A local date near a month edge can land in the neighbouring UTC month
+      const ruleEvents = [-1, 0, 1].flatMap(d => {
+        const local = new Date(Date.UTC(y, m + d, 1));
+        return this._rules.flatMap(rule => expandRule(rule, local.getUTCFullYear(), local.getUTCMonth()));
+      });
+      this._months.set(key, [...this._events, ...ruleEvents].filter(inMonth).sort((a, b) => a.time - b.time));
+    }
+    return this._months.get(key);
+  }
+}
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {Date}   time
+ * @property {string} title
+ * @property {string} currency    e.g. 'USD'
+ * @property {string} impact      'low' | 'medium' | 'high'
+ * @property {number|null} beforeMins  null → CFG.news default
+ * @property {number|null} afterMins
+ * @property {string} source      'calendar' | 'rule' | 'feed'
+ */
+
+/**
+ * UTC instant of a wall-clock time in an IANA zone (DST-aware).
+ *
+ * @param {number} y, m, d  Local date (m 0-based)
+ * @param {number} hh, mm   Local time
+ * @param {string} tz       e.g. 'America/New_York'; 'UTC' for none
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(y, m, d, hh, mm, tz = 'UTC') {
+  const wall = Date.UTC(y, m, d, hh, mm);
+  if (tz === 'UTC') return new Date(wall);
+  // The offset at the wall time read as UTC is right except within hours of a
+  // DST change; a second pass with the offset at the first guess settles it
+  const guess = wall - tzOffsetMs(wall, tz);
+  return new Date(wall - tzOffsetMs(guess, tz));
+}
+
+/**
+ * Wall-clock date and time of an instant in an IANA zone (DST-aware).
+ *
+ * @param {Date}   date
+ * @param {string} tz
+ * @returns {{ y: number, m: number, d: number, weekday: number, minutes: number }}
+ *          m 1-based, weekday 0 = Sunday, minutes since local midnight
+ */
+export function localTime(date, tz = 'UTC') {
+  const ms    = date.getTime();
+  const local = new Date(tz === 'UTC' ? ms : ms + tzOffsetMs(ms, tz));
+  return {
+    y       : local.getUTCFullYear(),
+    m       : local.getUTCMonth() + 1,
+    d       : local.getUTCDate(),
+    weekday : local.getUTCDay(),
+    minutes : local.getUTCHours() * 60 + local.getUTCMinutes(),
+  };
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' date, rejecting impossible ones.
+ * @returns {number[]}  [y, m, d], m 1-based
+ */
+export function parseDate(value, where) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? ''));
+  const [y, m, d] = match ? match.slice(1).map(Number) : [];
+  if (!match || new Date(Date.UTC(y, m - 1, d)).getUTCDate() !== d || m > 12) {
+    throw new Error(`${where}: date '${value}' must be a YYYY-MM-DD date`);
+  }
+  return [y, m, d];
+}
+
+/**
+ * Parse an 'HH:MM' wall-clock time.
+ * @returns {number[]}  [hh, mm]
+ */
+export function parseClock(value, where) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${where}: time '${value}' must be HH:MM`);
+  }
+  return [Number(match[1]), Number(match[2])];
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+/** Offset of `tz` from UTC at instant `utcMs`, in ms (New York in winter: −5 h). */
+function tzOffsetMs(utcMs, tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  const p = Object.fromEntries(formatters.get(tz).formatToParts(new Date(utcMs)).map(x => [x.type, Number(x.value)]));
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+function parseEvent(raw, where) {
+  const base = parseCommon(raw, where);
+  let time;
+  if (raw.utc) {
+    time = new Date(raw.utc);
+  } else {
+    const [y, m, d] = parseDate(raw.date, where);
+    const [hh, mm]  = parseClock(raw.time, where);
+    time = zonedTimeToUtc(y, m - 1, d, hh, mm, base.tz);
+  }
+  if (Number.isNaN(time.getTime())) throw new Error(`${where}: needs 'utc' or 'date' + 'time'`);
+  const { tz, ...event } = base;
+  return { ...event, time, source: 'calendar' };
+}
+
+function parseRule(raw, where) {
+  const rule = parseCommon(raw, where);
+  if (!['month', 'week'].includes(raw.every)) throw new Error(`${where}: 'every' must be 'month' or 'week'`);
+  const weekday = WEEKDAYS.indexOf(String(raw.weekday).toLowerCase());
+  if (weekday < 0) throw new Error(`${where}: unknown weekday '${raw.weekday}'`);
+  if (raw.every === 'month' && ![1, 2, 3, 4, -1].includes(raw.nth)) {
+    throw new Error(`${where}: 'nth' must be 1–4 or -1 (last)`);
+  }
+  const [hh, mm] = parseClock(raw.time, where);
+  return {
+    ...rule,
+    every : raw.every,
+    nth   : raw.nth ?? null,
+    weekday, hh, mm,
+    from  : raw.from  ? parseDate(raw.from, where).join('-')  : null,
+    until : raw.until ? parseDate(raw.until, where).join('-') : null,
+    except: new Set((raw.except ?? []).map(d => parseDate(d, where).join('-'))),
+  };
+}
+
+/** Fields shared by events and rules. */
+function parseCommon(raw, where) {
+  if (!raw?.title) throw new Error(`${where}: missing 'title'`);
+  const currency = String(raw.currency ?? '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) throw new Error(`${where} (${raw.title}): 'currency' must be a 3-letter code`);
+  const impact = String(raw.impact ?? '').toLowerCase();
+  if (!IMPACTS.includes(impact)) throw new Error(`${where} (${raw.title}): 'impact' must be one of ${IMPACTS.join(', ')}`);
+  const mins = key => {
+    if (raw[key] == null || raw[key] === '') return null;
+    const v = Number(raw[key]);
+    if (!Number.isFinite(v) || v < 0) throw new Error(`${where} (${raw.title}): '${key}' must be a number ≥ 0`);
+    return v;
+  };
+  const tz = raw.tz || 'UTC';
+  try {
+    zonedTimeToUtc(2000, 0, 1, 0, 0, tz);
+  } catch {
+    throw new Error(`${where} (${raw.title}): unknown time zone '${tz}'`);
+  }
+  return { title: raw.title, currency, impact, beforeMins: mins('beforeMins'), afterMins: mins('afterMins'), tz };
+}
+
+/** Occurrences of `rule` on local dates in month `m` (0-based) of `y`. */
+function expandRule(rule, y, m) {
+  const days    = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  const first   = (rule.weekday - new Date(Date.UTC(y, m, 1)).getUTCDay() + 7) % 7 + 1;   // first matching day
+  const matches = [];
+  for (let d = first; d <= days; d += 7) matches.push(d);
+
+  const picked = rule.every === 'week' ? matches
+    : [rule.nth === -1 ? matches.at(-1) : matches[rule.nth - 1]].filter(Boolean);
+
+  const { hh, mm, tz, every, nth, weekday, from, until, except, ...event } = rule;
+  return picked
+    .map(d => [y, m + 1, d].join('-'))
+    .filter(date => (!from || cmpDate(date, from) >= 0) && (!until || cmpDate(date, until) <= 0) && !except.has(date))
+    .map(date => {
+      const [, , d] = date.split('-').map(Number);
+      return { ...event, time: zonedTimeToUtc(y, m, d, hh, mm, tz), source: 'rule' };
+    });
+}
+
+/** Compare 'Y-M-D' strings (unpadded) as dates. */
+function cmpDate(a, b) {
+  const [ay, am, ad] = a.split('-').map(Number);
+  const [by, bm, bd] = b.split('-').map(Number);
+  return (ay - by) || (am - bm) || (ad - bd);
+}
+
+/** CSV rows keyed by the header — a row may leave its trailing optional fields off. */
+function parseCsv(text) {
+  return parse(text, { columns: true, comment: '#', skip_empty_lines: true, trim: true, relax_column_count: true });
+}
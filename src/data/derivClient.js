@@ -6,8 +6,11 @@
  * Features:
  *   - Promise-based send() — each request gets a unique req_id and
  *     resolves when the matching response arrives
+ *   - subscribe() — streams (ticks, candles) routed by subscription.id
  *   - Auto-reconnect with exponential back-off on disconnect
- *   - Re-authenticates automatically after reconnect
+ *   - Re-authenticates and re-subscribes automatically after reconnect; a
+ *     stream Deriv refuses then (e.g. a closed market) is retried on its own
+ *     without dropping the connection
  *   - Single shared instance avoids duplicate connections
  *
  * Deriv API docs: https://api.deriv.com/
@@ -17,6 +20,7 @@
 import WebSocket from 'ws';
 
 const WS_BASE = 'wss://ws.binaryws.com/websockets/v3';
+const STREAM_RETRY_MS = 60_000;   // retry a stream that failed to resume after a reconnect
 
 export class DerivClient {
   /**
@@ -27,10 +31,13 @@ export class DerivClient {
     this._appId    = appId;
     this._token    = token;
     this._ws       = null;
-    this._pending  = new Map();   // reqId → { resolve, reject }
+    this._pending  = new Map();   // reqId → { resolve, reject, stream }
+    this._streams  = new Set();   // active subscriptions: { payload, onMessage, id }
+    this._streamById = new Map(); // subscription.id → stream
     this._reqId    = 1;
     this._ready    = false;       // true after authorize succeeds
     this._reconnectDelay = 1000;  // ms, doubles on each failed attempt
+    this._reconnecting   = false; // a reconnect attempt is scheduled or running
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
@@ -53,26 +60,39 @@ export class DerivClient {
    * @returns {Promise<Object>}  The full Deriv response object
    */
   send(payload, timeout = 30_000) {
-    return new Promise((resolve, reject) => {
-      if (!this._ws || this._ws.readyState !== WebSocket.OPEN) {
-        return reject(new Error('DerivClient: WebSocket is not open'));
-      }
-
-      const reqId = this._reqId++;
-      const msg   = { ...payload, req_id: reqId };
-
-      const timer = setTimeout(() => {
-        this._pending.delete(reqId);
-        reject(new Error(`DerivClient: request ${reqId} timed out (${JSON.stringify(payload)})`));
-      }, timeout);
+    return this._request(payload, timeout, null);
+  }
 
-      this._pending.set(reqId, {
-        resolve: (data) => { clearTimeout(timer); resolve(data); },
-        reject:  (err)  => { clearTimeout(timer); reject(err);   },
-      });
+  /**
+   * Start a stream (e.g. { ticks: 'frxXAUUSD' } or a ticks_history candles
+   * request). `subscribe: 1` is added. Every message of the stream — the
+   * first response included — is passed to onMessage. After a reconnect the
+   * stream is re-requested, so onMessage sees a fresh first response (for
+   * candles: the full history again, which fills any gap).
+   *
+   * @param {Object}   payload
+   * @param {Function} onMessage  (data) => void
+   * @returns {Promise<Object>}   Stream handle, for unsubscribe()
+   */
+  async subscribe(payload, onMessage) {
+    const stream = { payload: { ...payload, subscribe: 1 }, onMessage, id: null };
+    this._streams.add(stream);
+    try {
+      await this._startStream(stream);
+    } catch (err) {
+      this._streams.delete(stream);
+      throw err;
+    }
+    return stream;
+  }
 
-      this._ws.send(JSON.stringify(msg));
-    });
+  /** Stop a stream started with subscribe(). */
+  async unsubscribe(stream) {
+    this._streams.delete(stream);
+    if (stream.id) {
+      this._streamById.delete(stream.id);
+      await this.send({ forget: stream.id }).catch(() => {});
+    }
   }
 
   /**
@@ -108,13 +128,26 @@ export class DerivClient {
         // Route to waiting promise
         const reqId = data.req_id;
         if (reqId && this._pending.has(reqId)) {
-          const { resolve, reject } = this._pending.get(reqId);
+          const { resolve, reject, stream } = this._pending.get(reqId);
           this._pending.delete(reqId);
           if (data.error) {
             reject(new Error(`Deriv API error [${data.error.code}]: ${data.error.message}`));
           } else {
+            // Register before resolving so the next stream message finds its handler
+            if (stream && data.subscription?.id) {
+              stream.id = data.subscription.id;
+              this._streamById.set(stream.id, stream);
+            }
             resolve(data);
           }
+          return;
+        }
+
+        // Stream updates after the first response
+        const stream = this._streamById.get(data.subscription?.id);
+        if (stream) {
+          if (data.error) console.warn(`[Deriv] Stream error: ${data.error.message}`);
+          else            stream.onMessage(data);
         }
       });
 
@@ -124,6 +157,8 @@ export class DerivClient {
           reject(new Error('WebSocket closed before response'));
         }
         this._pending.clear();
+        this._streamById.clear();   // subscription ids die with the socket
+        for (const stream of this._streams) stream.id = null;
         this._ready = false;
         console.warn('[Deriv] WebSocket closed — scheduling reconnect...');
         this._scheduleReconnect();
@@ -135,6 +170,35 @@ export class DerivClient {
     });
   }
 
+  _request(payload, timeout, stream) {
+    return new Promise((resolve, reject) => {
+      if (!this._ws || this._ws.readyState !== WebSocket.OPEN) {
+        return reject(new Error('DerivClient: WebSocket is not open'));
+      }
+
+      const reqId = this._reqId++;
+      const msg   = { ...payload, req_id: reqId };
+
+      const timer = setTimeout(() => {
+        this._pending.delete(reqId);
+        reject(new Error(`DerivClient: request ${reqId} timed out (${JSON.stringify(payload)})`));
+      }, timeout);
+
+      this._pending.set(reqId, {
+        resolve: (data) => { clearTimeout(timer); resolve(data); },
+        reject:  (err)  => { clearTimeout(timer); reject(err);   },
+        stream,
+      });
+
+      this._ws.send(JSON.stringify(msg));
+    });
+  }
+
+  async _startStream(stream) {
+    const first = await this._request(stream.payload, 30_000, stream);
+    stream.onMessage(first);
+  }
+
   async _authorize() {
     if (!this._token) {
       console.warn('[Deriv] No API token — operating in read-only mode (no trading).');
@@ -149,6 +213,9 @@ export class DerivClient {
   }
 
   _scheduleReconnect() {
+    // One attempt at a time — a socket that fails to open emits 'close' too
+    if (this._reconnecting) return;
+    this._reconnecting = true;
     const delay = this._reconnectDelay;
     this._reconnectDelay = Math.min(delay * 2, 30_000); // Cap at 30s
     console.info(`[Deriv] Reconnecting in ${delay / 1000}s...`);
@@ -156,11 +223,60 @@ export class DerivClient {
       try {
         await this._openSocket();
         await this._authorize();
-        console.info('[Deriv] Reconnected successfully ✓');
       } catch (err) {
         console.error('[Deriv] Reconnect failed:', err.message);
+        this._dropSocket();
+        this._reconnecting = false;
         this._scheduleReconnect();
+        return;
       }
+      this._reconnecting = false;
+      const resumed = await this._resumeStreams();
+      console.info(
+        `[Deriv] Reconnected successfully ✓${this._streams.size ? ` (${resumed}/${this._streams.size} stream(s) resumed)` : ''}`
+      );
     }, delay);
   }
+
+  /**
+   * Re-request every stream on the new connection. A stream that fails is
+   * retried on its own; the others, and the connection, carry on.
+   * @returns {Promise<number>}  How many streams resumed
+   */
+  async _resumeStreams() {
+    let resumed = 0;
+    for (const stream of this._streams) {
+      try {
+        await this._startStream(stream);
+        resumed++;
+      } catch (err) {
+        console.warn(`[Deriv] Could not resume stream ${JSON.stringify(stream.payload)}: ${err.message}`);
+        this._retryStream(stream);
+      }
+    }
+    return resumed;
+  }
+
+  _retryStream(stream) {
+    setTimeout(async () => {
+      // Unsubscribed, already resumed, or the socket is down (the reconnect resumes it)
+      if (!this._streams.has(stream) || stream.id || this._ws?.readyState !== WebSocket.OPEN) return;
+      try {
+        await this._startStream(stream);
+        console.info(`[Deriv] Stream ${JSON.stringify(stream.payload)} resumed ✓`);
+      } catch (err) {
+        console.warn(`[Deriv] Stream ${JSON.stringify(stream.payload)} still unavailable: ${err.message}`);
+        this._retryStream(stream);
+      }
+    }, STREAM_RETRY_MS);
+  }
+
+  /** Abandon the current socket without letting its 'close' start another reconnect. */
+  _dropSocket() {
+    if (!this._ws) return;
+    this._ws.removeAllListeners();
+    this._ws.on('error', () => {});   // a late error on a dropped socket is expected
+    this._ws.terminate();
+    this._ws = null;
+  }
 }
@@ -1,7 +1,13 @@
 /**
  * src/data/fetcher.js — Market Data Fetcher (Deriv.com WebSocket API)
  * ====================================================================
- * Uses the free Deriv WebSocket API to stream XAU/USD candle data.
+ * Uses the free Deriv WebSocket API to stream candle data for one symbol
+ * (`instrument.symbol` — frxXAUUSD by default). Multi-symbol runs create one
+ * fetcher per symbol, sharing a single connection (init({ client })).
+ *
+ * Once startStreaming() succeeds, candles arrive through ticks_history
+ * subscriptions into a rolling in-memory buffer per timeframe, and
+ * getCandles() reads that buffer instead of re-downloading the history.
  *
  * Why Deriv?
  *   - 100% free, no subscription, no credit card
@@ -24,7 +30,7 @@ import { DerivClient } from "./derivClient.js";
 import CFG from "../../config.js";
 
 // Map human-readable timeframe strings to Deriv granularity (seconds)
-const TF_TO_SECONDS = {
+export const TF_TO_SECONDS = {
   "1m": 60,
   "3m": 180,
   "5m": 300,
@@ -39,17 +45,43 @@ const TF_TO_SECONDS = {
 // ── DerivDataFetcher ──────────────────────────────────────────────────────────
 
 export class DerivDataFetcher {
-  constructor() {
+  /**
+   * @param {Object} [cfg]  Bot config — reads `broker`, `instrument` and `backtest`
+   */
+  constructor(cfg = CFG) {
+    this._cfg = cfg;
     this._client = null;
+    this._ownsClient = false;
     this._ready = false;
+    this._paperBroker = null;
+    this._buffers = new Map(); // timeframe → { granularity, count, candles } (streaming)
+    this._streams = [];        // subscription handles, for stopStreaming()
+  }
+
+  /**
+   * Route account and position queries to a local PaperBroker (paper mode),
+   * so getOpenTrades() reports the simulated contracts the executor holds.
+   * @param {PaperBroker} broker
+   */
+  attachPaperBroker(broker) {
+    this._paperBroker = broker;
   }
 
   /**
    * Must be called once at bot startup before any other method.
    * Establishes the Deriv WebSocket connection and authenticates.
+   *
+   * @param {Object} [options]
+   * @param {DerivClient} [options.client]  Reuse another fetcher's connection
+   *                                        (one per process, several symbols)
    */
-  async init() {
-    const { appId, derivToken } = CFG.broker;
+  async init({ client = null } = {}) {
+    if (client) {
+      this._client = client;
+      this._ready = client.isReady;
+      return;
+    }
+    const { appId, derivToken } = this._cfg.broker;
     if (!appId) {
       console.warn("[Fetcher] No DERIV_APP_ID set — CSV/mock mode only.");
       return;
@@ -57,6 +89,7 @@ export class DerivDataFetcher {
     try {
       this._client = new DerivClient(appId, derivToken || "");
       await this._client.connect();
+      this._ownsClient = true;
       this._ready = true;
     } catch (err) {
       console.error("[Fetcher] Failed to connect to Deriv:", err.message);
@@ -68,19 +101,25 @@ export class DerivDataFetcher {
    * Fetch OHLCV candles for the configured symbol.
    *
    * @param {string} timeframe  e.g. '5m', '15m', '1h'
-   * @param {number} count      Number of completed candles to fetch
+   * @param {number} count      Number of candles to return
+   * @param {Object} [options]
+   * @param {Date}   [options.asOf]  Only bars that had closed by this time — drops
+   *                                 the still-forming bar. Default: all bars.
    * @returns {Promise<Array<{time,open,high,low,close,volume}>>}
    */
-  async getCandles(timeframe, count = 300) {
-    if (!this._ready) return this._loadFromCsv();
-
+  async getCandles(timeframe, count = 300, { asOf = null } = {}) {
     const granularity = TF_TO_SECONDS[timeframe] ?? 300;
 
+    const buffer = this._buffers.get(timeframe);
+    if (buffer) return selectCandles(buffer.candles.map((c) => ({ ...c })), count, asOf, granularity);
+
+    if (!this._ready) return this._loadFromCsv();
+
     try {
       // Use end:'latest' + count so Deriv counts back through actual trading bars,
       // skipping weekends/market-close gaps automatically.
       const res = await this._client.send({
-        ticks_history: CFG.instrument.symbol,
+        ticks_history: this._cfg.instrument.symbol,
         style: "candles",
         granularity,
         end: "latest",
@@ -95,31 +134,114 @@ export class DerivDataFetcher {
         return this._loadFromCsv();
       }
 
-      // Deriv candle shape: { epoch, open, high, low, close }
-      // No volume from Deriv — use 0 as placeholder
-      return res.candles.map((c) => ({
-        time: new Date(c.epoch * 1000),
-        open: parseFloat(c.open),
-        high: parseFloat(c.high),
-        low: parseFloat(c.low),
-        close: parseFloat(c.close),
-        volume: 0,
-      }));
+      return selectCandles(res.candles.map(toCandle), count, asOf, granularity);
     } catch (err) {
       console.error("[Fetcher] getCandles error:", err.message);
       throw err;
     }
   }
 
+  // ── Streaming ───────────────────────────────────────────────────────────────
+
+  /**
+   * Subscribe to live candles for the signal and trend timeframes, plus ticks.
+   *
+   * @param {Object}   handlers
+   * @param {Function} [handlers.onBarClose]  (closeTime: Date) — a signal-TF bar just closed
+   * @param {Function} [handlers.onTick]      ({ price, time }) — every tick
+   * @returns {Promise<boolean>}  false when not connected or a subscription failed — nothing
+   *                              is left streaming then, and the caller should poll instead
+   */
+  async startStreaming({ onBarClose = null, onTick = null } = {}) {
+    if (!this._ready) return false;
+    const { signalTf, trendTf, lookback, trendLookback } = this._cfg.timeframe;
+    try {
+      await this._streamCandles(trendTf, trendLookback, null);
+      await this._streamCandles(signalTf, lookback, onBarClose);
+      if (onTick) {
+        this._streams.push(await this._client.subscribe({ ticks: this._cfg.instrument.symbol }, (data) => {
+          if (!data.tick) return;
+          onTick({
+            price: parseFloat(data.tick.quote),
+            time: new Date(data.tick.epoch * 1000),
+          });
+        }));
+      }
+      console.info(
+        `[Fetcher] Streaming ${this._cfg.instrument.symbol} ${signalTf}/${trendTf} candles and ticks.`,
+      );
+      return true;
+    } catch (err) {
+      console.error("[Fetcher] Could not start streaming:", err.message);
+      await this.stopStreaming();
+      return false;
+    }
+  }
+
+  /** Cancel every subscription and drop the buffers — getCandles() downloads again. */
+  async stopStreaming() {
+    const streams = this._streams.splice(0);
+    for (const stream of streams) await this._client.unsubscribe(stream);
+    this._buffers.clear();
+  }
+
+  /**
+   * Keep a rolling buffer of `count` closed bars (+ the forming one) for a timeframe.
+   * The subscription's first message carries the history; each `ohlc` update
+   * then either revises the forming bar or starts a new one, which means the
+   * previous bar has closed.
+   */
+  async _streamCandles(timeframe, count, onBarClose) {
+    const granularity = TF_TO_SECONDS[timeframe] ?? 300;
+    const buffer = { granularity, count, candles: [] };
+    this._buffers.set(timeframe, buffer);
+
+    const stream = await this._client.subscribe(
+      {
+        ticks_history: this._cfg.instrument.symbol,
+        style: "candles",
+        granularity,
+        end: "latest",
+        count: count + 1,
+        adjust_start_time: 1,
+      },
+      (data) => {
+        // First message (also re-sent after a reconnect, filling any gap)
+        if (data.candles) {
+          buffer.candles = data.candles.map(toCandle);
+          return;
+        }
+        if (!data.ohlc) return;
+
+        const bar = toCandle({ ...data.ohlc, epoch: data.ohlc.open_time });
+        const last = buffer.candles.at(-1);
+        if (last && bar.time < last.time) return; // out of order
+        if (last && bar.time.getTime() === last.time.getTime()) {
+          buffer.candles[buffer.candles.length - 1] = bar;
+          return;
+        }
+
+        buffer.candles.push(bar);
+        if (buffer.candles.length > count + 1) buffer.candles.shift();
+        if (last && onBarClose) onBarClose(bar.time);
+      },
+    );
+    this._streams.push(stream);
+  }
+
   /**
-   * Fetch account balance and equity from Deriv.
+   * Fetch account balance and equity from Deriv. Deriv takes a contract's
+   * stake out of the balance while it is open, so equity adds the stakes of
+   * every open contract back — opening a position is not a drawdown.
+   * Open P/L is not included, as in the backtest.
    * @returns {Promise<{balance, equity, currency}>}
    */
   async getAccountSummary() {
+    if (this._paperBroker) return this._paperBroker.getAccountSummary();
     if (!this._ready || !this._client?.isReady) {
       return {
-        balance: CFG.backtest.initialEquity,
-        equity: CFG.backtest.initialEquity,
+        balance: this._cfg.backtest.initialEquity,
+        equity: this._cfg.backtest.initialEquity,
       };
     }
     try {
@@ -132,25 +254,33 @@ export class DerivDataFetcher {
             "  Real accounts (CR...) need a deposit before trading.",
         );
       }
+      const open = await this._client.send({ portfolio: 1 });
+      const stakes = (open.portfolio?.contracts ?? []).reduce(
+        (sum, c) => sum + parseFloat(c.buy_price ?? 0),
+        0,
+      );
       return {
         balance: bal,
-        equity: bal,
+        equity: bal + stakes,
         currency: res.balance?.currency ?? "USD",
       };
     } catch (err) {
       console.warn("[Fetcher] Could not fetch balance:", err.message);
       return {
-        balance: CFG.backtest.initialEquity,
-        equity: CFG.backtest.initialEquity,
+        balance: this._cfg.backtest.initialEquity,
+        equity: this._cfg.backtest.initialEquity,
       };
     }
   }
 
   /**
-   * Fetch all currently open Multiplier contracts.
+   * Fetch the open Multiplier contracts on this fetcher's symbol.
    * @returns {Promise<Array>}
    */
   async getOpenTrades() {
+    if (this._paperBroker) {
+      return this._paperBroker.getOpenContracts(this._cfg.instrument.symbol);
+    }
     if (!this._ready || !this._client?.isReady) return [];
     try {
       const res = await this._client.send({ portfolio: 1 });
@@ -158,7 +288,7 @@ export class DerivDataFetcher {
       return (res.portfolio?.contracts ?? []).filter(
         (c) =>
           c.contract_type?.startsWith("MULT") &&
-          c.underlying === CFG.instrument.symbol,
+          c.underlying === this._cfg.instrument.symbol,
       );
     } catch (err) {
       console.warn("[Fetcher] Could not fetch open trades:", err.message);
@@ -166,13 +296,49 @@ export class DerivDataFetcher {
     }
   }
 
+  /**
+   * Multiplier contracts on our symbol closed since `since`, from Deriv's
+   * profit_table — used to reconcile risk state after a restart.
+   * @param {Date} since
+   * @returns {Promise<Array<{contractId, profit, sellTime}>>}
+   */
+  async getClosedContracts(since) {
+    if (this._paperBroker || !this._ready || !this._client?.isReady) return [];
+    try {
+      const res = await this._client.send({
+        profit_table: 1,
+        description: 1,
+        date_from: Math.floor(since.getTime() / 1000),
+        limit: 500,
+        sort: "ASC",
+      });
+      // Shortcodes read MULTUP_<SYMBOL>_<stake>_... — match the whole symbol
+      // segment, so R_10 does not pick up R_100 contracts
+      const symbol = this._cfg.instrument.symbol.toUpperCase();
+      const prefixes = [`MULTUP_${symbol}_`, `MULTDOWN_${symbol}_`];
+      return (res.profit_table?.transactions ?? [])
+        .filter((t) =>
+          prefixes.some((p) => t.shortcode?.toUpperCase().startsWith(p)),
+        )
+        .map((t) => ({
+          contractId: String(t.contract_id),
+          profit: parseFloat(t.sell_price) - parseFloat(t.buy_price),
+          sellTime: new Date(t.sell_time * 1000),
+        }));
+    } catch (err) {
+      console.warn("[Fetcher] Could not fetch profit table:", err.message);
+      return [];
+    }
+  }
+
   /** Load candles from local CSV (used when not connected to Deriv API). */
   async _loadFromCsv() {
-    const path = CFG.backtest.dataPath;
+    const { symbol, dataPath } = this._cfg.instrument;
+    const path = dataPath ?? this._cfg.backtest.dataPath;
     if (!existsSync(path)) {
       console.warn(`[Fetcher] CSV file not found: ${path}`);
       console.warn(
-        "[Fetcher] Place a XAUUSD_M5.csv in data/historical/ for offline use.",
+        `[Fetcher] Run 'node download-history.js ${symbol}' to create it for offline use.`,
       );
       return [];
     }
@@ -195,9 +361,9 @@ export class DerivDataFetcher {
     });
   }
 
-  /** Close the Deriv WebSocket connection gracefully. */
+  /** Close the Deriv WebSocket connection gracefully (unless it is shared from another fetcher). */
   async close() {
-    if (this._client) {
+    if (this._client && this._ownsClient) {
       this._client.close();
     }
   }
@@ -209,15 +375,32 @@ export { DerivDataFetcher as MetaApiDataFetcher };
 // ── MockDataFetcher ───────────────────────────────────────────────────────────
 
 /**
- * Generates synthetic M5 XAU/USD candles for offline/backtest testing.
+ * Generates synthetic M5 candles for offline/backtest testing, starting at
+ * `instrument.mockPrice` (gold-like volatility, scaled to that price).
  * No credentials or network required.
  */
 export class MockDataFetcher {
+  /**
+   * @param {Object} [cfg]  Bot config — reads `instrument` and `backtest.initialEquity`
+   */
+  constructor(cfg = CFG) {
+    this._cfg = cfg;
+    this._paperBroker = null;
+  }
+
   async init() {}
 
+  /** See DerivDataFetcher.attachPaperBroker(). */
+  attachPaperBroker(broker) {
+    this._paperBroker = broker;
+  }
+
   async getCandles(timeframe, count = 300) {
     const candles = [];
-    let price    = 2350.0;
+    const { mockPrice = 2350.0, pricePrecision = 2 } = this._cfg.instrument;
+    const scale  = mockPrice / 2350.0;
+    const px     = v => parseFloat(v.toFixed(pricePrecision));
+    let price    = mockPrice;
     const now    = Date.now();
     const tfMs   = { '5m': 300_000, '15m': 900_000, '1h': 3_600_000 };
     const interval = tfMs[timeframe] ?? 300_000;
@@ -237,23 +420,23 @@ export class MockDataFetcher {
       }
 
       // Drift 0.25 per bar + noise ±$1.50 → ATR ~$2, matches real gold M5
-      const drift = trendDir * 0.25;
-      const noise = (Math.random() - 0.5) * 3.0;
+      const drift = trendDir * 0.25 * scale;
+      const noise = (Math.random() - 0.5) * 3.0 * scale;
       const chg   = drift + noise;
 
       const o = price;
       const c = price + chg;
-      const wickUp   = Math.random() * (trendDir === -1 ? 1.0 : 0.5);
-      const wickDown = Math.random() * (trendDir ===  1 ? 1.0 : 0.5);
+      const wickUp   = Math.random() * (trendDir === -1 ? 1.0 : 0.5) * scale;
+      const wickDown = Math.random() * (trendDir ===  1 ? 1.0 : 0.5) * scale;
       const h = Math.max(o, c) + wickUp;
       const l = Math.min(o, c) - wickDown;
 
       candles.push({
         time  : new Date(now - i * interval),
-        open  : parseFloat(o.toFixed(2)),
-        high  : parseFloat(h.toFixed(2)),
-        low   : parseFloat(l.toFixed(2)),
-        close : parseFloat(c.toFixed(2)),
+        open  : px(o),
+        high  : px(h),
+        low   : px(l),
+        close : px(c),
         volume: Math.floor(200 + Math.random() * 1000),
       });
       price = c;
@@ -262,14 +445,47 @@ export class MockDataFetcher {
   }
 
   async getAccountSummary() {
+    if (this._paperBroker) return this._paperBroker.getAccountSummary();
     return {
-      balance: CFG.backtest.initialEquity,
-      equity: CFG.backtest.initialEquity,
+      balance: this._cfg.backtest.initialEquity,
+      equity: this._cfg.backtest.initialEquity,
     };
   }
 
   async getOpenTrades() {
+    return this._paperBroker ? this._paperBroker.getOpenContracts(this._cfg.instrument.symbol) : [];
+  }
+
+  /** Paper contracts are journaled by the executor as they close — nothing to reconcile. */
+  async getClosedContracts() {
     return [];
   }
+
+  /** No live feed — the caller polls getCandles() instead. */
+  async startStreaming() {
+    return false;
+  }
+  async stopStreaming() {}
   async close() {}
 }
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+// Deriv candle shape: { epoch, open, high, low, close }
+// No volume from Deriv — use 0 as placeholder
+const toCandle = (c) => ({
+  time: new Date(c.epoch * 1000),
+  open: parseFloat(c.open),
+  high: parseFloat(c.high),
+  low: parseFloat(c.low),
+  close: parseFloat(c.close),
+  volume: 0,
+});
+
+/** Last `count` candles, optionally only those closed by `asOf`. */
+function selectCandles(candles, count, asOf, granularity) {
+  const closed = asOf
+    ? candles.filter((c) => c.time.getTime() + granularity * 1000 <= asOf.getTime())
+    : candles;
+  return closed.slice(-count);
+}
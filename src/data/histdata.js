@@ -0,0 +1,105 @@
+/**
+ * src/data/histdata.js — Histdata M1 CSV Parsing
+ * ================================================
+ * Shared by resample-m1-to-m5.js (M1 → M5 conversion) and the backtest's
+ * intrabar fill model, which walks the M1 series inside each M5 bar.
+ *
+ * Supported line formats (auto-detected):
+ *   Format A (standard):  20230102 000100,2063.45,2064.12,2062.89,2063.78,1234
+ *   Format B (MT/MS):     XAUUSD,202601011800,2063.45,2064.12,2062.89,2063.78,0
+ *   Format C (MT):        2026.02.01,18:06,2063.45,2064.12,2062.89,2063.78,0
+ *   Format D (bot CSV):   2026-02-01 18:06:00,2063.45,2064.12,2062.89,2063.78,0
+ *
+ * Timestamps are returned as wall-clock strings exactly as they appear in the
+ * file — no timezone conversion — so M1 bars line up with the M5 CSV that
+ * resample-m1-to-m5.js produced from the same files.
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Parse one Histdata line.
+ * @param {string} line
+ * @returns {{date: string, hour: string, minute: string, open, high, low, close, volume}|null}
+ *          null for headers, blank or malformed lines
+ */
+export function parseHistdataLine(line) {
+  const parts = line.trim().split(',');
+  if (parts.length < 5) return null;
+
+  let y, mo, d, hh, mm, oIdx;
+
+  // Auto-detect format:
+  //   Format B: first column is non-numeric (symbol like "XAUUSD")
+  //   Format C: first column has dots (2026.02.01), second has colon time (18:06)
+  //   Format D: first column is an ISO-style date (2026-02-01 18:06:00)
+  //   Format A: first column starts with digit + space separator (20230102 000100)
+  if (isNaN(parts[0][0])) {
+    if (parts[0].trim().toLowerCase() === 'time') return null;  // CSV header row
+    // Format B: XAUUSD,202601011800,o,h,l,c,v
+    const dt = parts[1].trim();   // "202601011800" (12 chars)
+    y  = dt.slice(0, 4);
+    mo = dt.slice(4, 6);
+    d  = dt.slice(6, 8);
+    hh = dt.slice(8, 10);
+    mm = dt.slice(10, 12);
+    oIdx = 2;
+  } else if (parts[0].includes('.')) {
+    // Format C: 2026.02.01,18:06,o,h,l,c,v  (MT format)
+    [y, mo, d] = parts[0].split('.');
+    [hh, mm]   = parts[1].split(':');
+    oIdx = 2;
+  } else if (parts[0].includes('-')) {
+    // Format D: 2026-02-01 18:06:00,o,h,l,c,v  (what this bot writes)
+    const stamp = parts[0].trim();
+    [y, mo, d] = stamp.slice(0, 10).split('-');
+    hh = stamp.slice(11, 13);
+    mm = stamp.slice(14, 16);
+    oIdx = 1;
+  } else {
+    // Format A: "20230102 000100",o,h,l,c,v
+    const [datePart, timePart] = parts[0].split(' ');
+    y  = datePart.slice(0, 4);
+    mo = datePart.slice(4, 6);
+    d  = datePart.slice(6, 8);
+    hh = timePart.slice(0, 2);
+    mm = timePart.slice(2, 4);
+    oIdx = 1;
+  }
+
+  const bar = {
+    date   : `${y}-${mo}-${d}`,
+    hour   : hh,
+    minute : mm,
+    open   : parseFloat(parts[oIdx]),
+    high   : parseFloat(parts[oIdx + 1]),
+    low    : parseFloat(parts[oIdx + 2]),
+    close  : parseFloat(parts[oIdx + 3]),
+    volume : parseInt(parts[oIdx + 4] ?? '0', 10) || 0,
+  };
+  return Number.isFinite(bar.open) ? bar : null;
+}
+
+/**
+ * Load one or more M1 files into candles { time: Date, open, high, low, close, volume }.
+ * Times are built the same way the M5 CSV loader builds them, so both series
+ * share one clock.
+ *
+ * @param {string|string[]} paths
+ * @returns {Array}  Sorted oldest first, duplicates removed
+ */
+export function loadM1Candles(paths) {
+  const byTime = new Map();
+  for (const path of [].concat(paths)) {
+    const lines = readFileSync(path, 'utf8').trim().split('\n');
+    for (const line of lines) {
+      const b = parseHistdataLine(line);
+      if (!b) continue;
+      const time = new Date(`${b.date} ${b.hour}:${b.minute}:00`);
+      byTime.set(time.getTime(), {
+        time, open: b.open, high: b.high, low: b.low, close: b.close, volume: b.volume,
+      });
+    }
+  }
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
@@ -4,131 +4,136 @@
  * Gold (XAU/USD) can spike $10–$20 in seconds on NFP, FOMC, or CPI prints.
  * This module enforces a trading blackout window around such events.
  *
- * Priority order:
- *   1. Session hours filter  — only trade during configured UTC window
- *   2. Hard-coded recurring events — always active as fallback
- *   3. Forex Factory JSON feed — dynamic events (cached for 1 hour)
+ * Event sources:
+ *   1. Local calendar file   — dated releases and rules such as "first Friday,
+ *      08:30 New York" (CFG.news.calendarPath, see src/data/calendar.js).
+ *      Depends only on the time asked about, so a backtest can replay it
+ *   2. Forex Factory JSON feed — this week's events, live only (cached for
+ *      1 hour; after a failed fetch it retries every feedRetryMin minutes)
+ *
+ * Only events in `watchCurrencies` with an impact listed in `impacts` black
+ * out trading. Watched currencies come from the symbol's config
+ * (forInstrument()) — a synthetic index has an empty watch list. Session
+ * hours and holidays are src/data/sessions.js.
  */
 
 import axios from 'axios';
 import CFG   from '../../config.js';
+import { EconomicCalendar } from './calendar.js';
 
-// ── Recurring High-Impact USD Events ────────────────────────────────────────
-// Format: [weekday (0=Mon..6=Sun), hourUtc, minuteUtc, description]
-// These are the fixed-time events whose WEEKDAY shifts monthly but TIME is fixed.
-
-const RECURRING_EVENTS = [
-  [4, 13, 30, 'Non-Farm Payrolls (USD)'],         // 1st Friday of month
-  [2, 18,  0, 'FOMC Rate Decision (USD)'],          // ~every 6 weeks
-  [2, 12, 30, 'US CPI Release'],
-  [3, 12, 30, 'US CPI / PCE Release'],
-  [0, 14,  0, 'ISM Manufacturing PMI'],
-  [2, 14,  0, 'ISM Services PMI'],
-  [3, 12, 30, 'US Retail Sales'],
-  [1, 15,  0, 'Fed Chair Testimony'],
-  [2, 15,  0, 'Fed Chair Testimony'],
-  [2, 18,  0, 'FOMC Minutes'],
-];
+// What happens to open positions ahead of an event — CFG.news.preEvent.action
+export const PRE_EVENT_ACTIONS = ['none', 'close', 'breakeven', 'tighten'];
 
 const FOREX_FACTORY_URL = 'https://nfs.faireconomy.media/ff_calendar_thisweek.json';
+const FEED_TTL_MS       = 60 * 60 * 1000;   // refetch the feed hourly
+const DUPLICATE_MS      = 60 * 1000;        // a feed event this close to a calendar one is the same release
 
 export class NewsFilter {
-  constructor() {
-    this._cachedEvents   = [];
-    this._cacheExpiry    = null;
-    this._lastFetchFailed = false;
+  /**
+   * @param {Object} [cfg]  Bot config — reads the `news` section
+   * @param {Object} [options]
+   * @param {EconomicCalendar} [options.calendar]  Shared calendar (default: loaded from news.calendarPath)
+   */
+  constructor(cfg = CFG, { calendar } = {}) {
+    this._news      = cfg.news;
+    this.calendar   = calendar ?? (cfg.news.calendarPath
+      ? EconomicCalendar.load(cfg.news.calendarPath)
+      : new EconomicCalendar());
+    this._feedEvents  = [];
+    this._feedExpiry  = null;   // feed is fresh until this time
+    this._feedRetryAt = null;   // after a failure: no fetch before this time
   }
 
   /**
-   * Returns true if the bot should avoid trading right now.
+   * Returns true if a watched event blacks out trading right now.
    * @param {Date} [now]  Defaults to current UTC time
    * @returns {boolean}
    */
   isNewsBlackout(now = new Date()) {
-    // 1. Session hours
-    if (!this._withinSession(now)) return true;
-
-    const before = CFG.news.blackoutBeforeMins;
-    const after  = CFG.news.blackoutAfterMins;
-
-    // 2. Recurring events
-    if (this._checkRecurring(now, before, after)) return true;
-
-    // 3. Dynamic calendar (async-resolved cache) — best-effort
-    if (this._checkCachedDynamic(now, before, after)) return true;
+    return this.activeEvent(now) !== null;
+  }
 
-    return false;
+  /**
+   * The watched event whose blackout window contains `now`, if any.
+   * @param {Date} [now]
+   * @returns {CalendarEvent|null}
+   */
+  activeEvent(now = new Date()) {
+    const reach = Math.max(this.calendar.maxWindowMins, this._news.blackoutBeforeMins, this._news.blackoutAfterMins);
+    const t     = now.getTime();
+    return this._events(new Date(t - reach * 60_000), new Date(t + reach * 60_000)).find(ev => {
+      const deltaMin = (t - ev.time.getTime()) / 60_000;
+      return deltaMin >= -(ev.beforeMins ?? this._news.blackoutBeforeMins) &&
+             deltaMin <=  (ev.afterMins  ?? this._news.blackoutAfterMins);
+    }) ?? null;
   }
 
   /**
-   * Fetch and cache this week's high-impact events.
-   * Call this once per hour in the main loop to populate the cache.
+   * Fetch and cache this week's events from the Forex Factory feed.
+   * Call this on every pass; it only goes to the network when the cache is
+   * stale, and after a failure not before feedRetryMin has passed.
    */
-  async refreshCalendar() {
-    if (this._lastFetchFailed) return;
-    const now = new Date();
-    if (this._cacheExpiry && now < this._cacheExpiry) return; // Still fresh
+  async refreshCalendar(now = new Date()) {
+    if (!this._news.liveFeed) return;
+    if (this._feedExpiry && now < this._feedExpiry) return;    // Still fresh
+    if (this._feedRetryAt && now < this._feedRetryAt) return;  // Backing off
 
     try {
       const res = await axios.get(FOREX_FACTORY_URL, { timeout: 5000 });
-      this._cachedEvents = (res.data ?? [])
-        .filter(ev => ev.impact?.toLowerCase() === 'high')
-        .filter(ev => CFG.news.watchCurrencies.includes(ev.currency?.toUpperCase()))
+      this._feedEvents = (res.data ?? [])
         .map(ev => ({
-          ...ev,
-          _parsedTime : ev.date ? new Date(ev.date) : null,
+          time       : ev.date ? new Date(ev.date) : null,
+          title      : ev.title ?? 'Unnamed event',
+          currency   : ev.country?.toUpperCase() ?? ev.currency?.toUpperCase() ?? '',
+          impact     : ev.impact?.toLowerCase() ?? '',
+          beforeMins : null,
+          afterMins  : null,
+          source     : 'feed',
         }))
-        .filter(ev => ev._parsedTime);
-
-      this._cacheExpiry    = new Date(now.getTime() + 60 * 60 * 1000); // 1 hour
-      this._lastFetchFailed = false;
-    } catch {
-      this._lastFetchFailed = true; // Stop retrying this session
+        .filter(ev => ev.time && !Number.isNaN(ev.time.getTime()));
+
+      this._feedExpiry  = new Date(now.getTime() + FEED_TTL_MS);
+      this._feedRetryAt = null;
+    } catch (err) {
+      this._feedRetryAt = new Date(now.getTime() + this._news.feedRetryMin * 60_000);
+      console.warn(
+        `[News] Forex Factory feed unavailable (${err.message}) — retrying after ` +
+        `${this._feedRetryAt.toISOString()}; the local calendar still applies.`
+      );
     }
   }
 
   /**
-   * Return events occurring within the next `hoursAhead` hours.
+   * Return watched events occurring within the next `hoursAhead` hours.
    * @param {number} hoursAhead
-   * @returns {Array}
+   * @param {Date}   [now]
+   * @returns {CalendarEvent[]}
    */
-  getUpcomingEvents(hoursAhead = 4) {
-    const now    = new Date();
-    const cutoff = new Date(now.getTime() + hoursAhead * 3600_000);
-    return this._cachedEvents.filter(ev => {
-      const t = ev._parsedTime;
-      return t && t >= now && t <= cutoff;
-    });
+  getUpcomingEvents(hoursAhead = 4, now = new Date()) {
+    return this._events(now, new Date(now.getTime() + hoursAhead * 3600_000));
   }
 
-  // ── Private ───────────────────────────────────────────────────────────────
-
-  _withinSession(now) {
-    const h = now.getUTCHours();
-    return h >= CFG.news.sessionStartUtc && h < CFG.news.sessionEndUtc;
+  /**
+   * Watched events the pre-event policy should act on now: starting within
+   * news.preEvent.minutesBefore.
+   * @param {Date} [now]
+   * @returns {CalendarEvent[]}
+   */
+  preEventDue(now = new Date()) {
+    const { action, minutesBefore } = this._news.preEvent;
+    if (action === 'none') return [];
+    return this.getUpcomingEvents(minutesBefore / 60, now).filter(ev => ev.time > now);
   }
 
-  _checkRecurring(now, before, after) {
-    const weekday = (now.getUTCDay() + 6) % 7; // JS 0=Sun → 0=Mon
-    for (const [day, hour, minute, name] of RECURRING_EVENTS) {
-      if (weekday !== day) continue;
-      const eventMs = Date.UTC(
-        now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(),
-        hour, minute, 0
-      );
-      const deltaMin = (now.getTime() - eventMs) / 60_000;
-      if (deltaMin >= -before && deltaMin <= after) return true;
-    }
-    return false;
-  }
+  // ── Private ───────────────────────────────────────────────────────────────
 
-  _checkCachedDynamic(now, before, after) {
-    for (const ev of this._cachedEvents) {
-      const t = ev._parsedTime;
-      if (!t) continue;
-      const deltaMin = (now.getTime() - t.getTime()) / 60_000;
-      if (deltaMin >= -before && deltaMin <= after) return true;
-    }
-    return false;
+  /** Watched calendar + feed events between `from` and `to`, oldest first. */
+  _events(from, to) {
+    const calendar = this.calendar.eventsBetween(from, to);
+    const feed     = this._feedEvents.filter(ev => ev.time >= from && ev.time <= to &&
+      !calendar.some(c => c.currency === ev.currency && Math.abs(c.time - ev.time) <= DUPLICATE_MS));
+    return [...calendar, ...feed]
+      .filter(ev => this._news.watchCurrencies.includes(ev.currency) && this._news.impacts.includes(ev.impact))
+      .sort((a, b) => a.time - b.time);
   }
 }
@@ -0,0 +1,293 @@
+/**
+ * src/data/sessions.js — Trading Sessions, Holidays & Weekend Cutoff
+ * ====================================================================
+ * Decides when new trades may open (CFG.sessions). The live loop and the
+ * backtest both ask entryBlock(), so they keep the same hours.
+ *
+ *   1. Named sessions in local wall-clock time — London 08:00–17:00
+ *      Europe/London is 07:00–16:00 UTC in summer and 08:00–17:00 UTC in
+ *      winter. A session runs on its `days` (local weekdays, default
+ *      Monday–Friday); `within: ['london', 'newYork']` is the overlap of two.
+ *   2. A per-weekday schedule (`trade`) naming the sessions entries may open
+ *      in; the weekday is the session's own local one.
+ *   3. A holiday file (CFG.sessions.holidayPath) of market closures and early
+ *      closes. A session with `market: 'US'` is shut on a US holiday and ends
+ *      at `closeAt` on an early close.
+ *   4. A Friday cutoff — no entries after it until the week is over, and
+ *      optionally every position closed ahead of the weekend gap.
+ *
+ * Holiday file (JSON):
+ *   {
+ *     "version": "2026.10",
+ *     "holidays": [
+ *       { "date": "2025-12-25", "market": "US", "name": "Christmas Day" },
+ *       { "date": "2025-12-24", "market": "UK", "name": "Christmas Eve", "closeAt": "12:30" }
+ *     ]
+ *   }
+ * `closeAt` is in the local time of the sessions tied to that market.
+ */
+
+import { readFileSync } from 'fs';
+import CFG from '../../config.js';
+import { WEEKDAYS, localTime, parseDate, parseClock } from './calendar.js';
+
+const DAY_MINS      = 24 * 60;
+const WORKING_WEEK  = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const FRIDAY        = WEEKDAYS.indexOf('friday');
+
+export class TradingSessions {
+  /**
+   * @param {Object} [cfg]  Bot config — reads the `sessions` section
+   * @param {Object} [options]
+   * @param {HolidayCalendar} [options.holidays]  Shared holidays (default: loaded from sessions.holidayPath)
+   */
+  constructor(cfg = CFG, { holidays } = {}) {
+    const spec   = cfg.sessions;
+    this._defs   = parseDefs(spec.defs);
+    this._trade  = spec.trade;
+    for (const [day, names] of Object.entries(this._trade)) {
+      const unknown = names.filter(n => !this._defs.has(n));
+      if (unknown.length) {
+        throw new Error(`sessions.trade.${day}: unknown session(s) ${unknown.join(', ')} ` +
+          `(defined: ${[...this._defs.keys()].join(', ')})`);
+      }
+    }
+    this.holidays = holidays ?? (spec.holidayPath
+      ? HolidayCalendar.load(spec.holidayPath)
+      : new HolidayCalendar());
+    this._cutoff  = spec.fridayCutoff && {
+      mins           : toMinutes(spec.fridayCutoff.time, 'sessions.fridayCutoff'),
+      tz             : checkZone(spec.fridayCutoff.tz, 'sessions.fridayCutoff'),
+      closePositions : spec.fridayCutoff.closePositions,
+    };
+  }
+
+  /**
+   * Why new trades may not open at `now`, or null when they may.
+   * @param {Date} [now]
+   * @returns {{ reason: 'cutoff' }|{ reason: 'holiday', holiday: Holiday }|{ reason: 'closed' }|null}
+   */
+  entryBlock(now = new Date()) {
+    if (this.afterCutoff(now)) return { reason: 'cutoff' };
+
+    let holiday = null;
+    for (const name of this._defs.keys()) {
+      const state = this._state(name, now);
+      if (!this._scheduled(name, state.weekday)) continue;
+      if (state.open) return null;
+      holiday ??= state.holiday;
+    }
+    return holiday ? { reason: 'holiday', holiday } : { reason: 'closed' };
+  }
+
+  /**
+   * Every defined session open at `now` (holidays applied, schedule not) —
+   * for labelling trades and logs.
+   * @param {Date} [now]
+   * @returns {string[]}
+   */
+  activeSessions(now = new Date()) {
+    return [...this._defs.keys()].filter(name => this._state(name, now).open);
+  }
+
+  /**
+   * Short name for the market hours at `now`, for breaking results down by
+   * session: an overlap replaces the sessions it covers, a round-the-clock
+   * session only shows when nothing else is open ('london', 'overlap',
+   * 'asia+london', 'none').
+   * @param {Date} [now]
+   * @returns {string}
+   */
+  label(now = new Date()) {
+    const active  = this.activeSessions(now);
+    const covered = new Set(active.flatMap(n => this._defs.get(n).within ?? []));
+    const allDay  = n => { const d = this._defs.get(n); return !d.within && d.end - d.start === DAY_MINS; };
+    const shown   = active.filter(n => !covered.has(n) && !allDay(n));
+    return (shown.length ? shown : active).join('+') || 'none';
+  }
+
+  /** True from the Friday cutoff until the end of that Friday (cutoff zone). */
+  afterCutoff(now = new Date()) {
+    if (!this._cutoff) return false;
+    const local = localTime(now, this._cutoff.tz);
+    return local.weekday === FRIDAY && local.minutes >= this._cutoff.mins;
+  }
+
+  /** True when open positions should be closed ahead of the weekend. */
+  closeForWeekend(now = new Date()) {
+    return Boolean(this._cutoff?.closePositions) && this.afterCutoff(now);
+  }
+
+  /** One-line summary for the startup banner. */
+  describe() {
+    const days  = Object.entries(this._trade).map(([day, names]) => `${day}: ${names.join('+') || 'none'}`);
+    const fri   = this._cutoff
+      ? `Friday cutoff ${clock(this._cutoff.mins)} ${this._cutoff.tz}${this._cutoff.closePositions ? ' (closes positions)' : ''}`
+      : 'no Friday cutoff';
+    return `${days.join(', ')} | holidays: ${this.holidays.describe()} | ${fri}`;
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /** Whether session `name` is in the trade schedule for local weekday `weekday`. */
+  _scheduled(name, weekday) {
+    return (this._trade[WEEKDAYS[weekday]] ?? this._trade.default ?? []).includes(name);
+  }
+
+  /**
+   * Session `name` at `now`: open or not, the local weekday it opened on and
+   * the holiday that shut it, if any.
+   * @returns {{ open: boolean, weekday: number, holiday: Holiday|null }}
+   */
+  _state(name, now) {
+    const def = this._defs.get(name);
+    if (def.within) {
+      const parts = def.within.map(n => this._state(n, now));
+      return {
+        open    : parts.every(p => p.open),
+        weekday : parts[0].weekday,
+        holiday : parts.find(p => p.holiday)?.holiday ?? null,
+      };
+    }
+
+    const local = localTime(now, def.tz);
+    // After midnight in a session that wraps, it belongs to the day it opened
+    const wrapped = def.end <= def.start && local.minutes < def.end;
+    const opened  = wrapped ? new Date(Date.UTC(local.y, local.m - 1, local.d - 1)) : null;
+    const weekday = wrapped ? opened.getUTCDay() : local.weekday;
+    const date    = wrapped
+      ? [opened.getUTCFullYear(), opened.getUTCMonth() + 1, opened.getUTCDate()].join('-')
+      : [local.y, local.m, local.d].join('-');
+    const mins    = wrapped ? local.minutes + DAY_MINS : local.minutes;
+    const end     = def.end <= def.start ? def.end + DAY_MINS : def.end;
+
+    const inHours = mins >= def.start && mins < end;
+    if (!inHours || !def.days.has(weekday)) return { open: false, weekday, holiday: null };
+
+    const holiday = def.market ? this.holidays.closure(def.market, date) : null;
+    if (holiday && (holiday.closeAt == null || mins >= holiday.closeAt)) return { open: false, weekday, holiday };
+    return { open: true, weekday, holiday: null };
+  }
+}
+
+export class HolidayCalendar {
+  /**
+   * @param {Object} [spec]
+   * @param {Array}  [spec.holidays]  Raw entries (see the file format above)
+   * @param {string} [spec.version]
+   * @param {string} [spec.source]    File the spec came from — used in error messages
+   */
+  constructor({ holidays = [], version = null, source = 'holidays' } = {}) {
+    this.version = version;
+    this.source  = source;
+    this._byKey  = new Map();   // 'MARKET|Y-M-D' → holiday
+    holidays.forEach((raw, i) => {
+      const h = parseHoliday(raw, `${source}: holiday #${i + 1}`);
+      this._byKey.set(`${h.market}|${h.date}`, h);
+    });
+  }
+
+  /**
+   * Load a holiday file.
+   * @param {string} path  .json
+   * @returns {HolidayCalendar}
+   */
+  static load(path) {
+    const spec = JSON.parse(readFileSync(path, 'utf8'));
+    if (spec?.constructor !== Object) throw new Error(`Holiday file ${path} must contain an object`);
+    return new HolidayCalendar({ ...spec, source: path });
+  }
+
+  get count() { return this._byKey.size; }
+
+  /**
+   * The closure or early close of `market` on local date `date`, if any.
+   * @param {string} market  e.g. 'US'
+   * @param {string} date    'Y-M-D' (unpadded)
+   * @returns {Holiday|null}
+   */
+  closure(market, date) {
+    return this._byKey.get(`${market}|${date}`) ?? null;
+  }
+
+  /** One-line summary for the startup banner. */
+  describe() {
+    if (!this.count) return 'none';
+    return `${this.source}${this.version ? ` v${this.version}` : ''} (${this.count} day(s))`;
+  }
+}
+
+/**
+ * @typedef {Object} Holiday
+ * @property {string} date      'Y-M-D' local date
+ * @property {string} market    e.g. 'US', 'UK'
+ * @property {string} name
+ * @property {number|null} closeAt  Early close, minutes after local midnight; null = closed all day
+ */
+
+/** Human-readable form of a holiday, for logs. */
+export function describeHoliday(h) {
+  return `${h.name} (${h.market}${h.closeAt != null ? `, closes ${clock(h.closeAt)}` : ''})`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function parseDefs(defs) {
+  const out = new Map();
+  for (const [name, raw] of Object.entries(defs)) {
+    const where = `sessions.defs.${name}`;
+    if (raw.within) {
+      out.set(name, { within: raw.within });
+      continue;
+    }
+    const days = raw.days ?? WORKING_WEEK;
+    const bad  = days.filter(d => !WEEKDAYS.includes(d));
+    if (bad.length) throw new Error(`${where}: unknown weekday(s) ${bad.join(', ')}`);
+    const start = toMinutes(raw.start, where);
+    const end   = toMinutes(raw.end, where);
+    if (start === end) throw new Error(`${where}: start and end are both ${raw.start}`);
+    out.set(name, {
+      tz     : checkZone(raw.tz ?? 'UTC', where),
+      start, end,
+      days   : new Set(days.map(d => WEEKDAYS.indexOf(d))),
+      market : raw.market ?? null,
+    });
+  }
+  for (const [name, def] of out) {
+    const unknown = def.within?.filter(n => !out.has(n) || out.get(n).within) ?? [];
+    if (unknown.length) {
+      throw new Error(`sessions.defs.${name}: 'within' must name plain sessions — not ${unknown.join(', ')}`);
+    }
+  }
+  return out;
+}
+
+function parseHoliday(raw, where) {
+  if (!raw?.name) throw new Error(`${where}: missing 'name'`);
+  const market = String(raw.market ?? '').toUpperCase();
+  if (!/^[A-Z]{2,3}$/.test(market)) throw new Error(`${where} (${raw.name}): 'market' must be a country code such as US`);
+  return {
+    date    : parseDate(raw.date, `${where} (${raw.name})`).join('-'),
+    market,
+    name    : raw.name,
+    closeAt : raw.closeAt != null ? toMinutes(raw.closeAt, `${where} (${raw.name})`) : null,
+  };
+}
+
+/** 'HH:MM' → minutes after midnight; '24:00' is allowed as an end of day. */
+function toMinutes(value, where) {
+  if (value === '24:00') return DAY_MINS;
+  const [hh, mm] = parseClock(value, where);
+  return hh * 60 + mm;
+}
+
+function checkZone(tz, where) {
+  try {
+    localTime(new Date(0), tz);
+  } catch {
+    throw new Error(`${where}: unknown time zone '${tz}'`);
+  }
+  return tz;
+}
+
+const clock = mins => `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
@@ -0,0 +1,269 @@
+/**
+ * src/execution/paperBroker.js — Local Paper Broker (simulated Deriv Multipliers)
+ * ================================================================================
+ * Holds simulated Multiplier contracts so paper/mock runs go through exactly
+ * the same code path as the live account: TradeExecutor buys, trails and
+ * sells through this broker, the fetcher reports its positions from
+ * getOpenTrades(), and the journal picks up closed contracts.
+ *
+ * Contracts are kept in Deriv's own response shapes:
+ *   getOpenContracts() → like `portfolio.contracts` (plus limit_order / entry_spot)
+ *   getContract(id)    → like `proposal_open_contract`
+ *
+ * Mark-to-market (on every candle):
+ *   P/L = stake × multiplier × (priceChange / entrySpot) − commission
+ *   commission = stake × multiplier × multiplierCommissionPct / 100, charged at
+ *   open as Deriv does — the same charge the backtest's multiplier model makes
+ *   - stop_loss   fires when P/L ≤ −stop-loss amount   (USD limit order)
+ *   - take_profit fires when P/L ≥ +take-profit amount (USD limit order)
+ *   - stop_out    fires when the loss reaches the stake (Deriv's hard floor)
+ *   If SL and TP are both inside one bar, SL wins (conservative, as in the backtest).
+ *
+ * Balance follows Deriv's accounting: the stake leaves the balance on buy and
+ * the sell price comes back on close.
+ *
+ * One broker can hold contracts on several symbols (one paper account for a
+ * multi-symbol run): buy() takes the symbol, markToMarket() marks only that
+ * symbol's contracts and getOpenContracts() can filter by it.
+ */
+
+import CFG from '../../config.js';
+
+export class PaperBroker {
+  /**
+   * @param {number} initialBalance  Starting paper balance in USD
+   * @param {Object} [cfg]           Bot config — reads `instrument` and `instruments`
+   */
+  constructor(initialBalance = CFG.backtest.initialEquity, cfg = CFG) {
+    this._cfg        = cfg;
+    this._symbol     = cfg.instrument.symbol;   // default for buy() / markToMarket()
+    this.balance     = initialBalance;
+    this._contracts  = new Map();   // contract_id → contract state
+    this._nextId     = 1;
+    this._marks      = new Map();   // symbol → { price, time } of the last marked candle
+  }
+
+  // ── Orders ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Open a simulated Multiplier contract.
+   *
+   * @param {Object} order
+   * @param {'MULTUP'|'MULTDOWN'} order.contractType
+   * @param {number} order.stake          USD stake
+   * @param {number} order.multiplier
+   * @param {number} order.stopLossUsd    USD loss at which the contract is closed
+   * @param {number} order.takeProfitUsd  USD profit at which the contract is closed
+   * @param {number} order.entrySpot      Fill price
+   * @param {Date}   [order.time]         Time of the bar the order was filled in
+   * @param {string} [order.symbol]       Underlying — defaults to the config's instrument
+   * @returns {Object}  Receipt shaped like Deriv's `buy` response
+   */
+  buy({ contractType, stake, multiplier, stopLossUsd, takeProfitUsd, entrySpot, time = new Date(), symbol = this._symbol }) {
+    const contractId = `PAPER-${this._nextId++}`;
+    const startTime  = Math.floor(time.getTime() / 1000);
+
+    this._contracts.set(contractId, {
+      contract_id   : contractId,
+      contract_type : contractType,
+      underlying    : symbol,
+      buy_price     : stake,
+      multiplier,
+      entry_spot    : entrySpot,
+      date_start    : startTime,
+      stop_loss     : stopLossUsd,
+      take_profit   : takeProfitUsd,
+      commission    : multiplierCommission(stake, multiplier, this._cfg),
+      is_sold       : 0,
+      status        : 'open',
+      profit        : 0,
+      current_spot  : entrySpot,
+      _markedThrough: time.getTime(),  // bars after this are checked with their full range
+    });
+    this.balance -= stake;
+
+    return {
+      paper         : true,
+      contract_id   : contractId,
+      buy_price     : stake,
+      start_time    : startTime,
+      balance_after : round2(this.balance),
+    };
+  }
+
+  /**
+   * Change the USD stop-loss amount of an open contract (contract_update).
+   * @returns {boolean}  false if the contract is unknown or already closed
+   */
+  updateStopLoss(contractId, stopLossUsd) {
+    const c = this._contracts.get(contractId);
+    if (!c || c.is_sold) return false;
+    c.stop_loss = stopLossUsd;
+    return true;
+  }
+
+  /**
+   * Sell an open contract at the last marked price.
+   * @returns {Object|null}  Shaped like Deriv's `sell` response, null if not open
+   */
+  sell(contractId) {
+    const c = this._contracts.get(contractId);
+    if (!c || c.is_sold) return null;
+    const mark  = this._marks.get(c.underlying);
+    const price = mark?.price ?? c.entry_spot;
+    this._settle(c, price, this._pnlAt(c, price), mark?.time ?? new Date());
+    return { contract_id: contractId, sold_for: c.sell_price };
+  }
+
+  // ── Mark-to-Market ──────────────────────────────────────────────────────────
+
+  /**
+   * Walk every open contract through the candles it has not seen yet and fire
+   * any limit order that was touched. The last candle is treated as still
+   * forming: its range is re-checked on every call until a newer bar arrives.
+   *
+   * @param {Array<{time,open,high,low,close}>} candles  Signal-TF candles (oldest first)
+   * @param {string} [symbol]  Whose candles these are — only its contracts are marked
+   */
+  markToMarket(candles, symbol = this._symbol) {
+    if (!candles?.length) return;
+    const latest = candles.at(-1);
+    this._marks.set(symbol, { price: latest.close, time: latest.time });
+
+    for (const c of this._contracts.values()) {
+      if (c.is_sold || c.underlying !== symbol) continue;
+
+      for (let i = 0; i < candles.length && !c.is_sold; i++) {
+        const bar = candles[i];
+        if (bar.time.getTime() <= c._markedThrough) continue;
+        this._checkLimits(c, bar);
+        if (i < candles.length - 1) c._markedThrough = bar.time.getTime();
+      }
+
+      // The entry bar itself is only known up to its current close
+      if (!c.is_sold) this._checkLimits(c, { time: latest.time, high: latest.close, low: latest.close });
+      if (!c.is_sold) {
+        c.current_spot = latest.close;
+        c.profit       = round2(this._pnlAt(c, latest.close));
+      }
+    }
+  }
+
+  // ── Queries ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Open contracts, shaped like Deriv `portfolio.contracts` entries.
+   * @param {string|null} [symbol]  Only this underlying; null → all
+   */
+  getOpenContracts(symbol = null) {
+    return [...this._contracts.values()]
+      .filter(c => !c.is_sold && (symbol == null || c.underlying === symbol))
+      .map(c => this._toDeriv(c));
+  }
+
+  /** One contract, shaped like a Deriv `proposal_open_contract` response. */
+  getContract(contractId) {
+    const c = this._contracts.get(contractId);
+    return c ? this._toDeriv(c) : null;
+  }
+
+  /**
+   * Balance, and equity = balance + the stakes of open contracts — what the
+   * account is worth with open P/L not yet booked, as in the backtest.
+   */
+  getAccountSummary() {
+    const stakes = this.getOpenContracts().reduce((sum, c) => sum + c.buy_price, 0);
+    return { balance: round2(this.balance), equity: round2(this.balance + stakes), currency: 'USD' };
+  }
+
+  // ── Internal ────────────────────────────────────────────────────────────────
+
+  _pnlAt(c, price) {
+    const dir = c.contract_type === 'MULTUP' ? 1 : -1;
+    return c.buy_price * c.multiplier * dir * (price - c.entry_spot) / c.entry_spot - c.commission;
+  }
+
+  /** Fire stop-out / SL / TP if the bar's range reached them. SL wins ties. */
+  _checkLimits(c, bar) {
+    const isUp      = c.contract_type === 'MULTUP';
+    const worstPnl  = this._pnlAt(c, isUp ? bar.low  : bar.high);
+    const bestPnl   = this._pnlAt(c, isUp ? bar.high : bar.low);
+    const slUsd     = Math.min(c.stop_loss ?? c.buy_price, c.buy_price);
+
+    if (worstPnl <= -slUsd) {
+      const reason = slUsd >= c.buy_price ? 'stop_out' : 'stop_loss';
+      this._settle(c, this._priceForPnl(c, -slUsd), -slUsd, bar.time, reason);
+    } else if (c.take_profit != null && bestPnl >= c.take_profit) {
+      this._settle(c, this._priceForPnl(c, c.take_profit), c.take_profit, bar.time, 'take_profit');
+    }
+  }
+
+  /** Inverse of _pnlAt — the spot price at which the contract shows `pnl`. */
+  _priceForPnl(c, pnl) {
+    const dir = c.contract_type === 'MULTUP' ? 1 : -1;
+    return c.entry_spot * (1 + dir * (pnl + c.commission) / (c.buy_price * c.multiplier));
+  }
+
+  _settle(c, price, pnl, time, trigger = 'sell') {
+    const profit   = Math.max(pnl, -c.buy_price);
+    c.is_sold      = 1;
+    c.status       = 'sold';
+    c.profit       = round2(profit);
+    c.sell_price   = round2(c.buy_price + profit);
+    c.exit_tick    = roundTo(price, this._precision(c.underlying));
+    c.current_spot = c.exit_tick;
+    c.sell_time    = Math.floor(new Date(time).getTime() / 1000);
+    this.balance  += c.sell_price;
+    console.info(
+      `[PAPER] Contract ${c.contract_id} ${c.underlying} closed (${trigger}) @ ${c.exit_tick} | P/L: $${c.profit}`
+    );
+  }
+
+  _precision(symbol) {
+    return this._cfg.instruments?.[symbol]?.pricePrecision ?? this._cfg.instrument.pricePrecision;
+  }
+
+  _toDeriv(c) {
+    return {
+      contract_id   : c.contract_id,
+      contract_type : c.contract_type,
+      underlying    : c.underlying,
+      buy_price     : c.buy_price,
+      multiplier    : c.multiplier,
+      entry_spot    : c.entry_spot,
+      current_spot  : c.current_spot,
+      date_start    : c.date_start,
+      is_sold       : c.is_sold,
+      is_expired    : 0,
+      status        : c.status,
+      profit        : c.profit,
+      sell_price    : c.sell_price,
+      sell_time     : c.sell_time,
+      exit_tick     : c.exit_tick,
+      limit_order   : {
+        stop_loss   : c.stop_loss   != null ? { order_amount: -c.stop_loss } : undefined,
+        take_profit : c.take_profit != null ? { order_amount:  c.take_profit } : undefined,
+        stop_out    : { order_amount: -c.buy_price },
+      },
+      paper         : true,
+    };
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Deriv's commission on a Multiplier contract, in USD — a share of the
+ * notional (stake × multiplier), charged at open. Shared by the paper broker
+ * and the backtest's multiplier P/L model.
+ * @param {number} stake
+ * @param {number} multiplier
+ * @param {Object} [cfg]  Bot config — reads backtest.multiplierCommissionPct
+ * @returns {number}
+ */
+export function multiplierCommission(stake, multiplier, cfg = CFG) {
+  return stake * multiplier * cfg.backtest.multiplierCommissionPct / 100;
+}
+
+const round2  = v => Math.round(v * 100) / 100;
+const roundTo = (v, decimals) => Math.round(v * 10 ** decimals) / 10 ** decimals;
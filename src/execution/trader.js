@@ -17,27 +17,68 @@
  *   stopLossUsd = riskAmount                        (USD amount to lose if SL hit)
  *   takeProfitUsd = riskAmount × rrRatio            (USD amount to win if TP hit)
  *
+ * Close tracking:
+ *   Every contract opened by placeOrder() is remembered together with the
+ *   signal that opened it. collectClosedContracts() polls Deriv for those
+ *   contracts and returns the ones that have been sold (TP, SL, trailing stop,
+ *   stop-out, manual sell or expiry) so the caller can journal them.
+ *
+ *   Live, the tracked contracts and their profit-locking stops are written to
+ *   a state file (log.positionsFile) whenever they change, so a contract still
+ *   open when the bot restarts is journaled when it closes and keeps the stop
+ *   it had trailed to. resumeOpenContracts() restores them at startup
+ *   and adopts any other open contract on the symbol, rebuilt from
+ *   proposal_open_contract. Paper contracts end with the process.
+ *
+ * Pre-event policy:
+ *   applyPreEventPolicy() closes contracts, or moves their stop to breakeven /
+ *   a tighter ATR distance, ahead of a high-impact event (CFG.news.preEvent).
+ *
  * Paper mode:
- *   If no DerivClient is provided (no credentials), orders are simulated
- *   locally and logged — nothing is sent to Deriv.
+ *   If no DerivClient is provided (no credentials), orders go to a local
+ *   PaperBroker that holds simulated Multiplier contracts, marks them to
+ *   market on every candle and fires their USD SL/TP — nothing is sent to Deriv.
+ *   A multi-symbol run passes one shared PaperBroker to every executor, so the
+ *   symbols trade from a single paper balance.
+ *
+ * Each executor trades one symbol (`instrument.symbol` of its config) and
+ * only ever touches contracts on that symbol.
  */
 
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
 import CFG from '../../config.js';
+import { PaperBroker } from './paperBroker.js';
+
+// Relative slack when matching a realised profit against the USD limit-order
+// amounts — Deriv fills SL/TP at the next tick, which can overshoot slightly.
+const LIMIT_MATCH_TOLERANCE = 0.05;
 
 export class TradeExecutor {
   /**
    * @param {RiskManager}   riskManager
    * @param {DerivClient|null} derivClient  From fetcher._client, or null for paper mode
+   * @param {Object}        [cfg]         Bot config — reads `instrument`, `risk` and `strategy`
+   * @param {PaperBroker|null} [paperBroker]  Paper mode: use this broker instead of creating one
+   * @param {string|null} [stateFile]  Live: persist tracked contracts here; null keeps them in memory
    */
-  constructor(riskManager, derivClient = null) {
+  constructor(riskManager, derivClient = null, cfg = CFG, paperBroker = null, stateFile = null) {
+    this._cfg    = cfg;
     this._risk   = riskManager;
     this._client = derivClient;
     this._paper  = (derivClient === null || !derivClient.isReady);
+    this._tracked = new Map();  // contract_id → { signal, stake, stopLossUsd, takeProfitUsd, equityBefore, trailed, preEvent, closeReason }
+    this._lockedStops = new Map();  // contract_id → profit-side trailing stop price (held locally)
+    this._preEventSeen = new Map(); // 'contractId|event title|event ms' → 'done' | 'unchanged' (pre-event policy)
+    this._paperBroker = this._paper ? (paperBroker ?? new PaperBroker(riskManager.equity, cfg)) : null;
+    this._stateFile   = this._paper ? null : stateFile;
     if (this._paper) {
       console.warn('[Executor] PAPER mode — no real orders will be placed.');
     }
   }
 
+  /** The local broker holding simulated contracts (paper mode), otherwise null. */
+  get paperBroker() { return this._paperBroker; }
+
   // ── Place Order ───────────────────────────────────────────────────────────
 
   /**
@@ -47,14 +88,16 @@ export class TradeExecutor {
    * @returns {Promise<Object|null>}
    */
   async placeOrder(signal) {
-    const { stake, stopLossUsd, takeProfitUsd } = this._calculateStake(signal);
+    const sizing = this._risk.sizeTrade(signal);
+    const { stake, stopLossUsd, takeProfitUsd } = calculateStake(sizing.riskUsd, signal, this._cfg);
 
-    if (stake < CFG.instrument.minStake) {
-      console.error(`[Executor] Order rejected: stake $${stake.toFixed(2)} below minimum $${CFG.instrument.minStake}.`);
+    if (stake < this._cfg.instrument.minStake) {
+      console.error(`[Executor] Order rejected: stake $${stake.toFixed(2)} below minimum $${this._cfg.instrument.minStake}.`);
       return null;
     }
 
     const contractType = signal.direction === 'buy' ? 'MULTUP' : 'MULTDOWN';
+    const equityBefore = this._risk.equity;
 
     const result = this._paper
       ? this._paperOrder(signal, stake, stopLossUsd, takeProfitUsd, contractType)
@@ -62,14 +105,90 @@ export class TradeExecutor {
 
     if (result) {
       this._risk.recordTradeOpened();
+      if (result.contract_id) {
+        this._tracked.set(result.contract_id, {
+          signal,
+          stake,
+          stopLossUsd,
+          takeProfitUsd,
+          sizing,
+          equityBefore,
+          trailed     : false,
+          preEvent    : null,   // pre-event policy action that moved the stop
+          closeReason : null,
+        });
+        this._save();
+      }
       console.info(
-        `[Executor] ORDER PLACED: ${contractType} ${CFG.instrument.symbol} | ` +
-        `Stake: $${stake.toFixed(2)} | SL: -$${stopLossUsd.toFixed(2)} | TP: +$${takeProfitUsd.toFixed(2)}`
+        `[Executor] ORDER PLACED: ${contractType} ${this._cfg.instrument.symbol} | ` +
+        `Stake: $${stake.toFixed(2)} | SL: -$${stopLossUsd.toFixed(2)} | TP: +$${takeProfitUsd.toFixed(2)} | ` +
+        `Sizing: ${sizing.model}`
       );
     }
     return result;
   }
 
+  // ── Restart Recovery ──────────────────────────────────────────────────────
+
+  /**
+   * Pick up contracts opened before a restart: restore the tracked ones from
+   * the state file, then adopt every other open contract on this symbol so
+   * its close is journaled too. An adopted contract's signal is rebuilt from
+   * proposal_open_contract — its entry reasons, score and sizing are unknown.
+   *
+   * @param {Array} openContracts  From fetcher.getOpenTrades()
+   * @returns {Promise<{ restored: number, adopted: number }>}
+   */
+  async resumeOpenContracts(openContracts) {
+    const restored = this._restore();
+    let adopted = 0;
+    for (const c of openContracts) {
+      if (this._tracked.has(c.contract_id)) continue;
+      const poc = await this._fetchContract(c.contract_id);
+      if (!poc || poc.is_sold) continue;
+      this._tracked.set(c.contract_id, adoptedContract(poc, this._risk.equity, this._cfg));
+      adopted++;
+    }
+    if (adopted) this._save();
+    return { restored, adopted };
+  }
+
+  // ── Open Risk ─────────────────────────────────────────────────────────────
+
+  /**
+   * USD a signal's order would lose at its stop — the stop-loss amount, or
+   * the stake if that is smaller (a Multiplier can never lose more than it).
+   * @param {Signal} signal
+   * @returns {number}
+   */
+  orderRiskUsd(signal) {
+    const { stake, stopLossUsd } = calculateStake(this._risk.sizeTrade(signal).riskUsd, signal, this._cfg);
+    return Math.min(stake, stopLossUsd);
+  }
+
+  /**
+   * Open contracts as risk positions for RiskManager / PortfolioRisk: the USD
+   * each loses at its current stop. A stop trailed past entry (held locally)
+   * risks nothing; a contract without a stop-loss risks its whole stake.
+   *
+   * @param {Array} openContracts  From fetcher.getOpenTrades()
+   * @returns {Array<{contractId, symbol, direction: 'buy'|'sell', riskUsd: number}>}
+   */
+  openPositions(openContracts) {
+    return openContracts.map(c => {
+      const stake  = parseFloat(c.buy_price ?? 0);
+      const slUsd  = Math.abs(c.limit_order?.stop_loss?.order_amount ?? 0)
+        || this._tracked.get(c.contract_id)?.stopLossUsd
+        || stake;
+      return {
+        contractId: c.contract_id,
+        symbol    : c.underlying ?? c.symbol ?? this._cfg.instrument.symbol,
+        direction : c.contract_type === 'MULTUP' ? 'buy' : 'sell',
+        riskUsd   : this._lockedStops.has(c.contract_id) ? 0 : Math.min(slUsd, stake || slUsd),
+      };
+    });
+  }
+
   // ── Trailing Stop Updates ─────────────────────────────────────────────────
 
   /**
@@ -83,41 +202,129 @@ export class TradeExecutor {
    */
   async updateTrailingStops(openContracts, currentPrice, currentAtr) {
     for (const contract of openContracts) {
-      const contractId   = contract.contract_id;
-      const direction    = contract.contract_type === 'MULTUP' ? 'buy' : 'sell';
-      // entry_spot is the gold spot price at contract entry (buy_price is the USD stake)
-      const entryPrice   = contract.entry_spot ?? currentPrice;
-      const stake        = contract.buy_price ?? 0;
-      const mult         = contract.multiplier || CFG.instrument.multiplier;
-      const currentSlUsd = contract.limit_order?.stop_loss?.order_amount ?? null;
-
-      if (!currentSlUsd) continue;
-
-      // Convert current SL USD amount → price level:
-      //   stopLossUsd = stake × mult × slDistance / entryPrice
-      //   → slDistance = stopLossUsd × entryPrice / (stake × mult)
-      const slDistance = (stake > 0 && entryPrice > 0)
-        ? (currentSlUsd * entryPrice) / (stake * mult)
-        : currentSlUsd / mult;
-      const currentSlPrice = direction === 'buy'
-        ? entryPrice - slDistance
-        : entryPrice + slDistance;
+      const stop = this._currentStop(contract, currentPrice);
+      if (!stop) continue;
 
       // Ask risk manager if the trail should move
       const newSlPrice = this._risk.calculateTrailingStop(
-        direction, entryPrice, currentPrice, currentAtr, currentSlPrice
+        stop.direction, stop.entryPrice, currentPrice, currentAtr, stop.slPrice
       );
+      await this._moveStop(contract, stop, newSlPrice, currentPrice);
+    }
+  }
 
-      // Convert new price-level SL back to USD amount
-      const newSlDistance = Math.abs(entryPrice - newSlPrice);
-      const newSlUsd = (stake > 0 && entryPrice > 0)
-        ? (stake * mult * newSlDistance) / entryPrice
-        : newSlDistance * mult;
+  // ── Pre-Event Policy ──────────────────────────────────────────────────────
 
-      if (Math.abs(newSlUsd - currentSlUsd) > 0.01) {
-        await this._modifyContractSl(contractId, newSlUsd);
+  /**
+   * Act on open contracts ahead of a high-impact event (CFG.news.preEvent):
+   *   close     — sell every contract (closes as 'pre_event_close')
+   *   breakeven — stop to entry ± breakevenOffset on contracts already past it
+   *   tighten   — stop to currentPrice ∓ tightenAtr × ATR, if that is tighter
+   * Each contract is handled once per event: a failed close or stop update
+   * is retried on the next pass, and so is a stop the policy cannot move yet
+   * (breakeven not reached) — 'unchanged' is only reported the first time.
+   * The caller journals the result.
+   *
+   * @param {Array}  openContracts  From fetcher.getOpenTrades()
+   * @param {CalendarEvent[]} events  Watched events starting within preEvent.minutesBefore
+   * @param {number} currentPrice
+   * @param {number} currentAtr
+   * @returns {Promise<Array<{contractId, action, result, event, oldStop, newStop}>>}
+   */
+  async applyPreEventPolicy(openContracts, events, currentPrice, currentAtr) {
+    const { action } = this._cfg.news.preEvent;
+    const taken = [];
+    if (action === 'none') return taken;
+
+    for (const event of events) {
+      for (const contract of openContracts) {
+        const key  = `${contract.contract_id}|${event.title}|${event.time.getTime()}`;
+        const seen = this._preEventSeen.get(key);
+        if (seen === 'done') continue;
+
+        const record = { contractId: contract.contract_id, action, event, oldStop: null, newStop: null };
+        if (action === 'close') {
+          const sold = await this.closeTrade(contract.contract_id, 'pre_event_close');
+          if (sold) this._preEventSeen.set(key, 'done');
+          taken.push({ ...record, result: sold ? 'closed' : 'close_failed' });
+          continue;
+        }
+
+        const stop = this._currentStop(contract, currentPrice);
+        if (!stop) {
+          // No stop-loss to move — nothing the policy can do for this contract
+          this._preEventSeen.set(key, 'done');
+          taken.push({ ...record, result: 'no_stop' });
+          continue;
+        }
+        const newSlPrice = this._risk.preEventStop(
+          action, stop.direction, stop.entryPrice, currentPrice, currentAtr, stop.slPrice,
+        );
+        const tracked  = this._tracked.get(contract.contract_id);
+        const previous = tracked?.preEvent ?? null;
+        if (newSlPrice !== stop.slPrice && tracked) tracked.preEvent = action;
+        const outcome = await this._moveStop(contract, stop, newSlPrice, currentPrice);
+        if (outcome === 'moved') this._preEventSeen.set(key, 'done');
+        if (outcome === 'failed' && tracked) tracked.preEvent = previous;
+        if (outcome === 'unchanged') {
+          if (seen === 'unchanged') continue;
+          this._preEventSeen.set(key, 'unchanged');
+        }
+        const result = { moved: 'stop_moved', unchanged: 'unchanged', failed: 'stop_failed' }[outcome];
+        taken.push({ ...record, result, oldStop: stop.slPrice, newStop: newSlPrice });
       }
     }
+    // Forget events that have passed
+    for (const key of this._preEventSeen.keys()) {
+      if (Number(key.split('|').at(-1)) < Date.now() - 24 * 3600_000) this._preEventSeen.delete(key);
+    }
+    return taken;
+  }
+
+  // ── Closed Contract Detection ─────────────────────────────────────────────
+
+  /**
+   * Poll Deriv for every contract opened by this executor and return the ones
+   * that have closed since the last call. Each closed contract is reported to
+   * the risk manager and dropped from tracking, so it is returned only once.
+   *
+   * @returns {Promise<Array<{contractId, symbol, signal, equityBefore, stake, units, exitPrice,
+   *                          sellPrice, profit, riskUsd, sizing, reasonClose, closeTime}>>}
+   */
+  async collectClosedContracts() {
+    const closed = [];
+    for (const [contractId, tracked] of this._tracked) {
+      const poc = await this._fetchContract(contractId);
+      if (!poc?.is_sold) continue;
+
+      const entrySpot = parseFloat(poc.entry_spot ?? tracked.signal.entryPrice);
+      const stake     = parseFloat(poc.buy_price ?? tracked.stake);
+      const mult      = poc.multiplier || this._cfg.instrument.multiplier;
+      const profit    = parseFloat(poc.profit ?? 0);
+      const closeTime = poc.sell_time ? new Date(poc.sell_time * 1000) : new Date();
+
+      this._tracked.delete(contractId);
+      this._lockedStops.delete(contractId);
+      this._risk.recordTradeClosed(profit, contractId, closeTime);
+
+      closed.push({
+        contractId,
+        symbol      : this._cfg.instrument.symbol,
+        signal      : { ...tracked.signal, entryPrice: entrySpot },
+        equityBefore: tracked.equityBefore,
+        stake,
+        units       : entrySpot > 0 ? parseFloat((stake * mult / entrySpot).toFixed(4)) : 0,
+        exitPrice   : parseFloat(poc.exit_tick ?? poc.sell_spot ?? poc.current_spot ?? entrySpot),
+        sellPrice   : parseFloat(poc.sell_price ?? 0),
+        profit,
+        riskUsd     : tracked.stopLossUsd,
+        sizing      : tracked.sizing,
+        reasonClose : this._classifyClose(poc, tracked),
+        closeTime,
+      });
+    }
+    if (closed.length) this._save();
+    return closed;
   }
 
   // ── Close Trade ───────────────────────────────────────────────────────────
@@ -129,7 +336,14 @@ export class TradeExecutor {
    */
   async closeTrade(contractId, reason = 'manual') {
     console.info(`[Executor] Closing contract ${contractId} — ${reason}`);
-    if (this._paper) return { contract_id: contractId, reason };
+
+    const tracked = this._tracked.get(contractId);
+    if (tracked) {
+      tracked.closeReason = reason;
+      this._save();
+    }
+
+    if (this._paper) return this._paperBroker.sell(contractId);
 
     try {
       const res = await this._client.send({ sell: contractId, price: 0 });
@@ -143,16 +357,24 @@ export class TradeExecutor {
   }
 
   /**
-   * Close ALL open Multiplier contracts — used for emergency or daily limit breach.
+   * Close ALL open Multiplier contracts on this executor's symbol — used for
+   * emergency or daily limit breach.
    */
   async closeAllPositions(reason = 'emergency') {
-    console.warn(`[Executor] CLOSING ALL POSITIONS — ${reason}`);
-    if (this._paper) { console.info('[PAPER] All positions closed.'); return; }
+    const symbol = this._cfg.instrument.symbol;
+    console.warn(`[Executor] CLOSING ALL ${symbol} POSITIONS — ${reason}`);
+    if (this._paper) {
+      for (const c of this._paperBroker.getOpenContracts(symbol)) {
+        await this.closeTrade(c.contract_id, reason);
+      }
+      console.info('[PAPER] All positions closed.');
+      return;
+    }
 
     try {
       const res = await this._client.send({ portfolio: 1 });
       const contracts = (res.portfolio?.contracts ?? []).filter(c =>
-        c.contract_type?.startsWith('MULT') && c.underlying === CFG.instrument.symbol
+        c.contract_type?.startsWith('MULT') && c.underlying === symbol
       );
       for (const c of contracts) {
         await this.closeTrade(c.contract_id, reason);
@@ -165,33 +387,105 @@ export class TradeExecutor {
   // ── Internal ──────────────────────────────────────────────────────────────
 
   /**
-   * Calculate the USD stake and SL/TP amounts from the signal.
-   *
-   * Formula:
-   *   slPercent   = slDistance / entryPrice
-   *   stake       = riskAmount / (multiplier × slPercent)
-   *   stopLossUsd = riskAmount                         (the USD amount at risk)
-   *   takeProfitUsd = riskAmount × rrRatio
+   * A contract's stop as a price level: the locally held profit stop, or the
+   * USD stop-loss converted back to price. null when it has no stop-loss.
    */
-  _calculateStake(signal) {
-    const r = CFG.risk;
-    let riskAmount = this._risk.equity * (r.maxRiskPct / 100);
-    riskAmount = Math.min(riskAmount, r.maxRiskUsd);
+  _currentStop(contract, currentPrice) {
+    const direction    = contract.contract_type === 'MULTUP' ? 'buy' : 'sell';
+    // entry_spot is the gold spot price at contract entry (buy_price is the USD stake)
+    const entryPrice   = contract.entry_spot ?? currentPrice;
+    const stake        = contract.buy_price ?? 0;
+    const mult         = contract.multiplier || this._cfg.instrument.multiplier;
+    // Deriv reports the stop-loss order_amount as a negative P/L figure
+    const slUsd        = Math.abs(contract.limit_order?.stop_loss?.order_amount ?? 0) || null;
+    if (!slUsd) return null;
 
-    const slDistance  = Math.abs(signal.entryPrice - signal.stopLoss);
-    if (slDistance <= 0) return { stake: 0, stopLossUsd: 0, takeProfitUsd: 0 };
+    // Convert current SL USD amount → price level:
+    //   stopLossUsd = stake × mult × slDistance / entryPrice
+    //   → slDistance = stopLossUsd × entryPrice / (stake × mult)
+    const slDistance = (stake > 0 && entryPrice > 0)
+      ? (slUsd * entryPrice) / (stake * mult)
+      : slUsd / mult;
+    const slPrice = this._lockedStops.get(contract.contract_id) ?? (direction === 'buy'
+      ? entryPrice - slDistance
+      : entryPrice + slDistance);
+    return { direction, entryPrice, stake, mult, slUsd, slPrice };
+  }
 
-    const slPercent    = slDistance / signal.entryPrice;
-    const multiplier   = CFG.instrument.multiplier;
-    const stake        = riskAmount / (multiplier * slPercent);
-    const stopLossUsd  = riskAmount;
-    const takeProfitUsd = riskAmount * (signal.rrRatio ?? CFG.strategy.tpSlMult);
+  /**
+   * Move a contract's stop to `newSlPrice`.
+   * @returns {Promise<'moved'|'unchanged'|'failed'>}  'failed' when Deriv refused the update
+   */
+  async _moveStop(contract, stop, newSlPrice, currentPrice) {
+    const contractId = contract.contract_id;
+    const { direction, entryPrice, stake, mult } = stop;
+    const tracked    = this._tracked.get(contractId);
 
-    return {
-      stake        : Math.min(Math.max(parseFloat(stake.toFixed(2)), CFG.instrument.minStake), CFG.instrument.maxStake),
-      stopLossUsd  : parseFloat(stopLossUsd.toFixed(2)),
-      takeProfitUsd: parseFloat(takeProfitUsd.toFixed(2)),
+    // A stop at or beyond entry locks in profit. Deriv's stop_loss can only
+    // express a loss amount, so that stop is held here and the contract is
+    // sold once price trades back through it.
+    const locksProfit = direction === 'buy' ? newSlPrice >= entryPrice : newSlPrice <= entryPrice;
+    if (locksProfit) {
+      const changed = this._lockedStops.get(contractId) !== newSlPrice;
+      this._lockedStops.set(contractId, newSlPrice);
+      if (tracked) tracked.trailed = true;
+      if (changed) this._save();
+      const stopHit = direction === 'buy' ? currentPrice <= newSlPrice : currentPrice >= newSlPrice;
+      if (stopHit) await this.closeTrade(contractId, tracked?.preEvent ? 'pre_event_stop' : 'trailing_stop');
+      return changed ? 'moved' : 'unchanged';
+    }
+
+    // Convert new price-level SL back to USD amount
+    const newSlDistance = Math.abs(entryPrice - newSlPrice);
+    const newSlUsd = (stake > 0 && entryPrice > 0)
+      ? (stake * mult * newSlDistance) / entryPrice
+      : newSlDistance * mult;
+
+    if (Math.abs(newSlUsd - stop.slUsd) <= 0.01) return 'unchanged';
+    const updated = await this._modifyContractSl(contractId, newSlUsd);
+    if (updated && tracked) {
+      tracked.trailed = true;
+      this._save();
+    }
+    return updated ? 'moved' : 'failed';
+  }
+
+  /** Write the tracked contracts to the state file (temp file + rename). */
+  _save() {
+    if (!this._stateFile) return;
+    const state = {
+      tracked     : Object.fromEntries(this._tracked),
+      lockedStops : Object.fromEntries(this._lockedStops),
     };
+    const tmp   = `${this._stateFile}.tmp`;
+    writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    renameSync(tmp, this._stateFile);
+  }
+
+  /**
+   * Load the tracked contracts and their profit-locking stops from the state
+   * file. Deriv only holds the loss-side stop, so without this a restart
+   * would quietly drop every stop trailed past entry.
+   * @returns {number}  How many contracts were restored
+   */
+  _restore() {
+    if (!this._stateFile || !existsSync(this._stateFile)) return 0;
+    let state;
+    try {
+      state = JSON.parse(readFileSync(this._stateFile, 'utf8'));
+    } catch (err) {
+      console.warn(`[Executor] Ignoring unreadable state file ${this._stateFile}: ${err.message}`);
+      return 0;
+    }
+    for (const [id, tracked] of Object.entries(state.tracked ?? {})) {
+      const signal = { ...tracked.signal, timestamp: new Date(tracked.signal.timestamp) };
+      this._tracked.set(Number(id), { ...tracked, signal });
+    }
+    for (const [id, price] of Object.entries(state.lockedStops ?? {})) {
+      this._lockedStops.set(Number(id), price);
+      console.warn(`[Executor] Contract ${id}: resuming the locally held profit stop at ${price}.`);
+    }
+    return this._tracked.size;
   }
 
   async _liveOrder(signal, stake, stopLossUsd, takeProfitUsd, contractType) {
@@ -200,11 +494,11 @@ export class TradeExecutor {
       const proposalRes = await this._client.send({
         proposal      : 1,
         contract_type : contractType,
-        symbol        : CFG.instrument.symbol,
+        symbol        : this._cfg.instrument.symbol,
         amount        : stake,
         basis         : 'stake',
         currency      : 'USD',
-        multiplier    : CFG.instrument.multiplier,
+        multiplier    : this._cfg.instrument.multiplier,
         limit_order   : {
           stop_loss  : stopLossUsd,
           take_profit: takeProfitUsd,
@@ -230,23 +524,77 @@ export class TradeExecutor {
   }
 
   _paperOrder(signal, stake, stopLossUsd, takeProfitUsd, contractType) {
+    const receipt = this._paperBroker.buy({
+      contractType,
+      stake,
+      multiplier : this._cfg.instrument.multiplier,
+      stopLossUsd,
+      takeProfitUsd,
+      entrySpot  : signal.entryPrice,
+      time       : signal.timestamp ?? new Date(),
+      symbol     : this._cfg.instrument.symbol,
+    });
     return {
-      paper         : true,
-      contract_id   : `PAPER-${Date.now()}`,
-      contract_type : contractType,
-      direction     : signal.direction,
+      ...receipt,
+      contract_type  : contractType,
+      direction      : signal.direction,
       stake,
       stop_loss_usd  : stopLossUsd,
       take_profit_usd: takeProfitUsd,
-      entry_price   : signal.entryPrice,
-      time          : new Date().toISOString(),
+      entry_price    : signal.entryPrice,
     };
   }
 
+  /**
+   * Fetch the current state of a contract (proposal_open_contract).
+   * @returns {Promise<Object|null>}  null if the request failed — retried next poll
+   */
+  async _fetchContract(contractId) {
+    if (this._paper) return this._paperBroker.getContract(contractId);
+    try {
+      const res = await this._client.send({ proposal_open_contract: 1, contract_id: contractId });
+      if (res.error) throw new Error(res.error.message);
+      return res.proposal_open_contract ?? null;
+    } catch (err) {
+      console.warn(`[Executor] Could not fetch contract ${contractId}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Work out why a sold contract closed. Deriv does not report the trigger
+   * directly, so the realised profit is matched against the contract's USD
+   * limit orders. A close we requested ourselves keeps the reason we gave.
+   *
+   * @returns {'take_profit'|'stop_loss'|'trailing_stop'|'pre_event_stop'|'stop_out'|'expiry'|string}
+   */
+  _classifyClose(poc, tracked) {
+    if (tracked.closeReason) return tracked.closeReason;
+    if (poc.is_expired)      return 'expiry';
+
+    const profit = parseFloat(poc.profit ?? 0);
+    const limits = poc.limit_order ?? {};
+    const tpUsd  = Math.abs(limits.take_profit?.order_amount ?? tracked.takeProfitUsd);
+    const slUsd  = Math.abs(limits.stop_loss?.order_amount   ?? tracked.stopLossUsd);
+    const soUsd  = Math.abs(limits.stop_out?.order_amount    ?? tracked.stake);
+    const near   = (amount) => amount * (1 - LIMIT_MATCH_TOLERANCE);
+
+    if (tpUsd > 0 && profit >=  near(tpUsd)) return 'take_profit';
+    if (soUsd > 0 && profit <= -near(soUsd)) return 'stop_out';
+    if (slUsd > 0 && profit <= -near(slUsd)) {
+      return tracked.preEvent ? 'pre_event_stop' : tracked.trailed ? 'trailing_stop' : 'stop_loss';
+    }
+    return 'manual';
+  }
+
+  /**
+   * @returns {Promise<boolean>}  true if the new SL was accepted
+   */
   async _modifyContractSl(contractId, newSlUsd) {
     if (this._paper) {
-      console.debug(`[PAPER] Trailing SL: contract ${contractId} → -$${newSlUsd.toFixed(2)}`);
-      return;
+      const updated = this._paperBroker.updateStopLoss(contractId, parseFloat(newSlUsd.toFixed(2)));
+      if (updated) console.debug(`[PAPER] Trailing SL: contract ${contractId} → -$${newSlUsd.toFixed(2)}`);
+      return updated;
     }
     try {
       const res = await this._client.send({
@@ -255,8 +603,81 @@ export class TradeExecutor {
       });
       if (res.error) throw new Error(res.error.message);
       console.info(`[Executor] Trailing SL updated: contract ${contractId} → -$${newSlUsd.toFixed(2)}`);
+      return true;
     } catch (err) {
       console.error(`[Executor] Failed to modify SL for ${contractId}:`, err.message);
+      return false;
     }
   }
 }
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Tracking record for an open contract the bot did not open in this process
+ * and has no saved state for — its signal rebuilt from proposal_open_contract.
+ */
+function adoptedContract(poc, equity, cfg) {
+  const direction = poc.contract_type === 'MULTUP' ? 'buy' : 'sell';
+  const entry     = parseFloat(poc.entry_spot ?? poc.current_spot ?? 0);
+  const stake     = parseFloat(poc.buy_price ?? 0);
+  const mult      = poc.multiplier || cfg.instrument.multiplier;
+  const slUsd     = Math.abs(poc.limit_order?.stop_loss?.order_amount ?? 0);
+  const tpUsd     = Math.abs(poc.limit_order?.take_profit?.order_amount ?? 0);
+  // USD amount → price distance: amount × entry / (stake × multiplier)
+  const distance  = usd => (usd && stake > 0 ? usd * entry / (stake * mult) : null);
+  const sign      = direction === 'buy' ? 1 : -1;
+  const level     = (usd, side) => (distance(usd) != null ? parseFloat((entry + side * sign * distance(usd)).toFixed(5)) : '');
+  return {
+    signal : {
+      direction,
+      entryPrice : entry,
+      stopLoss   : level(slUsd, -1),
+      takeProfit : level(tpUsd, 1),
+      reasons    : ['adopted after restart'],
+      score      : '',
+      atr        : '',
+      timestamp  : poc.date_start ? new Date(poc.date_start * 1000) : new Date(),
+    },
+    stake,
+    stopLossUsd   : slUsd,
+    takeProfitUsd : tpUsd,
+    sizing        : null,
+    equityBefore  : equity,
+    trailed       : false,
+    preEvent      : null,
+    closeReason   : null,
+  };
+}
+
+/**
+ * Calculate the USD stake and SL/TP amounts for a signal.
+ * Shared with the backtest so its Multiplier P/L model sizes exactly like live.
+ *
+ * Formula:
+ *   slPercent   = slDistance / entryPrice
+ *   stake       = riskAmount / (multiplier × slPercent)   clamped to [minStake, maxStake]
+ *   stopLossUsd = riskAmount                         (the USD amount at risk)
+ *   takeProfitUsd = riskAmount × rrRatio
+ *
+ * @param {number} riskAmount  USD to risk — RiskManager.sizeTrade(signal).riskUsd
+ * @param {Signal} signal
+ * @param {Object} [cfg]   Bot config
+ * @returns {{ stake: number, stopLossUsd: number, takeProfitUsd: number }}
+ */
+export function calculateStake(riskAmount, signal, cfg = CFG) {
+  const slDistance  = Math.abs(signal.entryPrice - signal.stopLoss);
+  if (slDistance <= 0) return { stake: 0, stopLossUsd: 0, takeProfitUsd: 0 };
+
+  const slPercent    = slDistance / signal.entryPrice;
+  const multiplier   = cfg.instrument.multiplier;
+  const stake        = riskAmount / (multiplier * slPercent);
+  const stopLossUsd  = riskAmount;
+  const takeProfitUsd = riskAmount * (signal.rrRatio ?? cfg.strategy.tpSlMult);
+
+  return {
+    stake        : Math.min(Math.max(parseFloat(stake.toFixed(2)), cfg.instrument.minStake), cfg.instrument.maxStake),
+    stopLossUsd  : parseFloat(stopLossUsd.toFixed(2)),
+    takeProfitUsd: parseFloat(takeProfitUsd.toFixed(2)),
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * src/indicators/pipeline.js — Incremental Indicator Pipeline
+ * =============================================================
+ * Streaming counterpart of addAllIndicators(): push one candle at a time and
+ * get it back enriched with the same fields (emaFast, rsi, macdHist, stochK,
+ * atr, bbUpper, swingHigh, lastSH, trendDir, ...), in O(1) per candle.
+ *
+ * Values match the batch path exactly: EMA/RSI/MACD/Stochastic/ATR/Bollinger
+ * use the same `technicalindicators` objects through their nextValue()
+ * generators, and swing points use a monotonic deque instead of re-slicing
+ * the window.
+ *
+ * A swing at bar i needs the `n` bars after it, so it is recorded on bar
+ * i + n when that bar arrives — earlier bars are never modified, and each
+ * enriched candle is final as soon as push() returns it.
+ *
+ * Usage:
+ *   const pipe = new IndicatorPipeline(cfg);
+ *   for (const c of candles) pipe.push(c);   // pipe.candles → enriched, oldest first
+ *   pipe.sync(latestCandles);                // live: push only what is new
+ */
+
+import {
+  EMA,
+  RSI,
+  MACD,
+  Stochastic,
+  ATR,
+  BollingerBands,
+} from 'technicalindicators';
+import CFG from '../../config.js';
+
+/** Indicator groups every enriched candle carries — strategies declare which they read. */
+export const INDICATORS = ['ema', 'rsi', 'macd', 'stochastic', 'atr', 'bollinger', 'swings', 'trendDir'];
+
+export class IndicatorPipeline {
+  /**
+   * @param {Object} [cfg]               Bot config — only `cfg.indicator` is read
+   * @param {Object} [options]
+   * @param {number} [options.maxBars]   Keep at least this many enriched bars (older ones are
+   *                                     dropped in batches); default: keep everything
+   */
+  constructor(cfg = CFG, { maxBars = Infinity } = {}) {
+    this._ind     = cfg.indicator;
+    this._maxBars = Math.max(maxBars, this._ind.swingWindow + 10);
+    this.reset();
+  }
+
+  /** Enriched candles pushed so far, oldest first. Read-only — owned by the pipeline. */
+  get candles() { return this._candles; }
+
+  /** Drop all state and start again from an empty series. */
+  reset() {
+    const ind = this._ind;
+    this._candles = [];
+    this._base    = 0;   // absolute index of _candles[0] (bars are trimmed from the front)
+    this._count   = 0;   // absolute index of the next bar
+
+    this._emaFast  = new EMA({ period: ind.emaFast,  values: [] });
+    this._emaSlow  = new EMA({ period: ind.emaSlow,  values: [] });
+    this._emaTrend = new EMA({ period: ind.emaTrend, values: [] });
+    this._rsi      = new RSI({ period: ind.rsiPeriod, values: [] });
+    this._macd     = new MACD({
+      fastPeriod   : ind.macdFast,
+      slowPeriod   : ind.macdSlow,
+      signalPeriod : ind.macdSignal,
+      values       : [],
+      SimpleMAOscillator : false,
+      SimpleMASignal     : false,
+    });
+    this._stoch = new Stochastic({ high: [], low: [], close: [], period: ind.stochK, signalPeriod: ind.stochD });
+    this._atr   = new ATR({ high: [], low: [], close: [], period: ind.atrPeriod });
+    this._bb    = new BollingerBands({ period: ind.bbPeriod, values: [], stdDev: ind.bbStd });
+
+    // Monotonic deques of { idx, value } over the last 2n+1 bars
+    this._maxHighs = [];
+    this._minLows  = [];
+    this._lastSH   = null;
+    this._lastSL   = null;
+  }
+
+  /**
+   * Add the next candle.
+   * @param {Object} candle  { time, open, high, low, close, volume } — not mutated
+   * @returns {Object}       The enriched copy (also appended to `candles`)
+   */
+  push(candle) {
+    const c    = { ...candle };
+    const idx  = this._count++;
+    const hlc  = { high: c.high, low: c.low, close: c.close };
+
+    c.emaFast  = this._emaFast.nextValue(c.close)  ?? null;
+    c.emaSlow  = this._emaSlow.nextValue(c.close)  ?? null;
+    c.emaTrend = this._emaTrend.nextValue(c.close) ?? null;
+
+    c.rsi = this._rsi.nextValue(c.close) ?? null;
+    const rsi3 = this._at(idx - 3)?.rsi;
+    c.rsiSlope = c.rsi != null && rsi3 != null ? c.rsi - rsi3 : null;
+
+    const macd = this._macd.nextValue(c.close);
+    c.macdLine   = macd?.MACD      ?? null;
+    c.macdSignal = macd?.signal    ?? null;
+    c.macdHist   = macd?.histogram ?? null;
+
+    const stoch = this._stoch.nextValue(hlc);
+    c.stochK = stoch?.k ?? null;
+    c.stochD = stoch?.d ?? null;
+
+    c.atr = this._atr.nextValue(hlc) ?? null;
+
+    const bb = this._bb.nextValue(c.close);
+    if (bb) {
+      c.bbUpper = bb.upper;
+      c.bbMid   = bb.middle;
+      c.bbLower = bb.lower;
+      c.bbWidth = bb.upper - bb.lower;
+      c.bbPctB  = c.bbWidth > 0 ? (c.close - bb.lower) / c.bbWidth : 0.5;
+    } else {
+      c.bbUpper = c.bbMid = c.bbLower = c.bbWidth = c.bbPctB = null;
+    }
+
+    this._candles.push(c);
+    this._updateSwings(idx);
+    c.lastSH = this._lastSH;
+    c.lastSL = this._lastSL;
+
+    c.trendDir = trendDirection(c);
+
+    this._trim();
+    return c;
+  }
+
+  /**
+   * Bring the pipeline up to date with a candle series (live loop).
+   * Only candles newer than the last one pushed are added. If the series no
+   * longer contains that candle unchanged (gap, reconnect, a revised forming
+   * bar), the pipeline is rebuilt from the whole series.
+   *
+   * @param {Array} candles  Oldest first
+   * @returns {Array}        `candles` (enriched)
+   */
+  sync(candles) {
+    let start = 0;
+    const last = this._candles.at(-1);
+    if (last) {
+      const k = findByTime(candles, last.time);
+      if (k >= 0 && sameBar(candles[k], last)) {
+        start = k + 1;
+      } else {
+        this.reset();
+      }
+    }
+    for (let i = start; i < candles.length; i++) this.push(candles[i]);
+    return this._candles;
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  _at(idx) {
+    return idx >= this._base ? this._candles[idx - this._base] : undefined;
+  }
+
+  /**
+   * Fractal swings: bar i is a swing high when its high is the maximum of
+   * bars [i-n, i+n]. Decided when bar i+n (= idx) arrives, from the deques,
+   * and recorded on that bar.
+   */
+  _updateSwings(idx) {
+    const n   = this._ind.swingWindow;
+    const bar = this._candles.at(-1);
+
+    pushDeque(this._maxHighs, idx, bar.high, (a, b) => a <= b, 2 * n + 1);
+    pushDeque(this._minLows,  idx, bar.low,  (a, b) => a >= b, 2 * n + 1);
+
+    bar.swingHigh = null;
+    bar.swingLow  = null;
+    const i = idx - n;
+    if (i < n) return;
+    const centre = this._at(i);
+
+    if (centre.high === this._maxHighs[0].value) bar.swingHigh = this._lastSH = centre.high;
+    if (centre.low  === this._minLows[0].value)  bar.swingLow  = this._lastSL = centre.low;
+  }
+
+  /** Drop old bars in batches so trimming stays O(1) amortised. */
+  _trim() {
+    if (this._candles.length <= 2 * this._maxBars) return;
+    const drop = this._candles.length - this._maxBars;
+    this._candles.splice(0, drop);
+    this._base += drop;
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Append to a monotonic deque and expire entries older than `size` bars.
+ * `dominated(old, new)` is true when `old` can never be the extreme again.
+ */
+function pushDeque(deque, idx, value, dominated, size) {
+  while (deque.length && dominated(deque.at(-1).value, value)) deque.pop();
+  deque.push({ idx, value });
+  while (deque[0].idx <= idx - size) deque.shift();
+}
+
+/** Same rule as technical.js _addTrendDirection(). */
+function trendDirection({ emaFast, emaSlow, emaTrend, close }) {
+  if (emaFast == null || emaSlow == null || emaTrend == null) return 0;
+  if (emaFast > emaSlow && emaSlow > emaTrend && close > emaTrend) return 1;
+  if (emaFast < emaSlow && emaSlow < emaTrend && close < emaTrend) return -1;
+  return 0;
+}
+
+function findByTime(candles, time) {
+  const t = new Date(time).getTime();
+  for (let k = candles.length - 1; k >= 0; k--) {
+    const ck = new Date(candles[k].time).getTime();
+    if (ck === t) return k;
+    if (ck < t)   return -1;
+  }
+  return -1;
+}
+
+const sameBar = (a, b) =>
+  a.open === b.open && a.high === b.high && a.low === b.low && a.close === b.close;
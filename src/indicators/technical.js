@@ -9,7 +9,8 @@
  * Returns an enriched copy of the array — each candle gets new fields like
  * emaFast, rsi, macd, stochK, atr, bbUpper, swingHigh, trendDir, etc.
  *
- * See config.js for all period/threshold settings.
+ * Period/threshold settings come from the `indicator` section of the config
+ * passed in (default: config.js).
  */
 
 import {
@@ -22,29 +23,29 @@ import {
 } from 'technicalindicators';
 import CFG from '../../config.js';
 
-const ind = CFG.indicator;
-
 // ── Master Enrichment Function ───────────────────────────────────────────────
 
 /**
  * Enriches all candles with every indicator.
  * Returns a new array — original candles are NOT mutated.
  *
- * @param {Array} candles  Raw OHLCV candle array (oldest first)
- * @returns {Array}        Same candles with indicator fields added
+ * @param {Array}  candles  Raw OHLCV candle array (oldest first)
+ * @param {Object} [cfg]    Bot config — only `cfg.indicator` is read
+ * @returns {Array}         Same candles with indicator fields added
  */
-export function addAllIndicators(candles) {
+export function addAllIndicators(candles, cfg = CFG) {
   if (!candles || candles.length < 2) return candles;
 
+  const ind      = cfg.indicator;
   const enriched = candles.map(c => ({ ...c })); // shallow copy
 
-  _addEmas(enriched);
-  _addRsi(enriched);
-  _addMacd(enriched);
-  _addStochastic(enriched);
-  _addAtr(enriched);
-  _addBollinger(enriched);
-  _addSwingPoints(enriched);
+  _addEmas(enriched, ind);
+  _addRsi(enriched, ind);
+  _addMacd(enriched, ind);
+  _addStochastic(enriched, ind);
+  _addAtr(enriched, ind);
+  _addBollinger(enriched, ind);
+  _addSwingPoints(enriched, ind);
   _addTrendDirection(enriched);
 
   return enriched;
@@ -58,7 +59,7 @@ export function addAllIndicators(candles) {
  * (it needs `period` bars before producing first value).
  * We right-align by padding the start with null.
  */
-function _addEmas(candles) {
+function _addEmas(candles, ind) {
   const closes = candles.map(c => c.close);
 
   const pad = (arr, targetLen) => {
@@ -81,7 +82,7 @@ function _addEmas(candles) {
  * RSI (14)
  * Also adds rsiSlope (3-bar difference) for divergence detection.
  */
-function _addRsi(candles) {
+function _addRsi(candles, ind) {
   const closes = candles.map(c => c.close);
   const vals   = RSI.calculate({ period: ind.rsiPeriod, values: closes });
   const padded = _padLeft(vals, candles.length);
@@ -102,7 +103,7 @@ function _addRsi(candles) {
  * MACD (12/26/9)
  * Adds: macdLine, macdSignal, macdHist
  */
-function _addMacd(candles) {
+function _addMacd(candles, ind) {
   const closes = candles.map(c => c.close);
   const vals   = MACD.calculate({
     fastPeriod   : ind.macdFast,
@@ -127,7 +128,7 @@ function _addMacd(candles) {
  * Stochastic (14/3/3)
  * Adds: stochK, stochD
  */
-function _addStochastic(candles) {
+function _addStochastic(candles, ind) {
   const vals = Stochastic.calculate({
     high   : candles.map(c => c.high),
     low    : candles.map(c => c.low),
@@ -148,7 +149,7 @@ function _addStochastic(candles) {
  * ATR (14) — in USD price units.
  * A $1.50 ATR on XAU/USD means the average candle range is $1.50.
  */
-function _addAtr(candles) {
+function _addAtr(candles, ind) {
   const vals = ATR.calculate({
     high   : candles.map(c => c.high),
     low    : candles.map(c => c.low),
@@ -164,7 +165,7 @@ function _addAtr(candles) {
  * Bollinger Bands (20/2σ)
  * Adds: bbUpper, bbMid, bbLower, bbWidth, bbPctB
  */
-function _addBollinger(candles) {
+function _addBollinger(candles, ind) {
   const closes = candles.map(c => c.close);
   const vals   = BollingerBands.calculate({
     period    : ind.bbPeriod,
@@ -190,12 +191,15 @@ function _addBollinger(candles) {
 
 /**
  * Fractal Swing Highs / Lows
- * A swing high at bar i: high[i] > all highs in [i-n, i-1] and [i+1, i+n]
- * Adds: swingHigh (price or null), swingLow (price or null),
- *        lastSH (most recent swing high, forward-filled),
- *        lastSL (most recent swing low, forward-filled)
+ * Bar i is a swing high when high[i] is the highest high in [i-n, i+n] — which
+ * is only known once bar i+n has closed. The level is recorded on that
+ * confirming bar, never on bar i itself, so no bar carries information from
+ * after its own close.
+ * Adds: swingHigh (level confirmed on this bar, or null), swingLow (same),
+ *        lastSH (most recent confirmed swing high, forward-filled),
+ *        lastSL (most recent confirmed swing low, forward-filled)
  */
-function _addSwingPoints(candles) {
+function _addSwingPoints(candles, ind) {
   const n   = ind.swingWindow;
   const len = candles.length;
 
@@ -207,8 +211,9 @@ function _addSwingPoints(candles) {
     const maxH = Math.max(...windowHighs);
     const minL = Math.min(...windowLows);
 
-    if (candles[i].high === maxH) candles[i].swingHigh = candles[i].high;
-    if (candles[i].low  === minL) candles[i].swingLow  = candles[i].low;
+    const confirming = candles[i + n];
+    if (candles[i].high === maxH) confirming.swingHigh = candles[i].high;
+    if (candles[i].low  === minL) confirming.swingLow  = candles[i].low;
   }
 
   // Forward-fill so every bar knows the most recent confirmed swing level
@@ -1,9 +1,10 @@
 /**
  * src/logging/tradeLogger.js — Trade Journal & Bot Logger
  * =========================================================
- * Two outputs:
- *   1. logs/trades.csv  — machine-readable trade journal (one row per closed trade)
- *   2. logs/bot.log     — structured text log via winston
+ * Three outputs:
+ *   1. logs/trades.csv       — machine-readable trade journal (one row per closed trade)
+ *   2. logs/news_actions.csv — what the pre-event policy did to each open position
+ *   3. logs/bot.log          — structured text log via winston
  *
  * The CSV enables importing into Excel/Google Sheets for:
  *   - Win rate, profit factor, average R:R calculation
@@ -11,8 +12,8 @@
  *   - Drawdown analysis
  */
 
-import { createObjectCsvWriter } from 'csv-writer';
-import { createReadStream, existsSync, mkdirSync } from 'fs';
+import { createObjectCsvWriter, createArrayCsvStringifier } from 'csv-writer';
+import { createReadStream, existsSync, mkdirSync, renameSync, statSync, writeFileSync } from 'fs';
 import { parse } from 'csv-parse/sync';
 import { readFileSync } from 'fs';
 import winston from 'winston';
@@ -37,15 +38,15 @@ const fileFormat = combine(
   ),
 );
 
-export function setupLogging() {
-  mkdirSync(CFG.log.logDir, { recursive: true });
+export function setupLogging(cfg = CFG) {
+  mkdirSync(cfg.log.logDir, { recursive: true });
 
   const logger = winston.createLogger({
-    level      : CFG.log.logLevel,
+    level      : cfg.log.logLevel,
     transports : [
       new winston.transports.Console({ format: consoleFormat }),
       new winston.transports.File({
-        filename : CFG.log.botLogFile,
+        filename : cfg.log.botLogFile,
         format   : fileFormat,
         level    : 'debug',
       }),
@@ -75,20 +76,78 @@ const CSV_HEADERS = [
   { id: 'minRr',          title: 'min_rr'           },
   { id: 'atr',            title: 'atr'              },
   { id: 'equityBefore',   title: 'equity_before'    },
+  { id: 'contractId',     title: 'contract_id'      },
+  { id: 'stake',          title: 'stake'            },
+  { id: 'sellPrice',      title: 'sell_price'       },
+  { id: 'symbol',         title: 'symbol'           },
+  { id: 'sizingModel',    title: 'sizing_model'     },
+  { id: 'sizingRiskUsd',  title: 'sizing_risk_usd'  },
+  { id: 'sizingInputs',   title: 'sizing_inputs'    },
+  { id: 'gates',          title: 'gates'            },
+];
+
+const NEWS_CSV_HEADERS = [
+  { id: 'timestamp',  title: 'timestamp'   },
+  { id: 'symbol',     title: 'symbol'      },
+  { id: 'contractId', title: 'contract_id' },
+  { id: 'event',      title: 'event'       },
+  { id: 'currency',   title: 'currency'    },
+  { id: 'eventTime',  title: 'event_time'  },
+  { id: 'action',     title: 'action'      },
+  { id: 'result',     title: 'result'      },
+  { id: 'oldStop',    title: 'old_stop'    },
+  { id: 'newStop',    title: 'new_stop'    },
 ];
 
 export class TradeJournal {
-  constructor() {
-    mkdirSync(CFG.log.logDir, { recursive: true });
-    this._path   = CFG.log.tradeLogCsv;
-    // append: true — keeps existing rows when the bot restarts
+  /**
+   * @param {Object} [cfg]  Bot config — reads `log` and `strategy.minRrRatio`
+   */
+  constructor(cfg = CFG) {
+    mkdirSync(cfg.log.logDir, { recursive: true });
+    this._cfg    = cfg;
+    this._path   = cfg.log.tradeLogCsv;
+    // append when the file exists — keeps existing rows when the bot restarts.
+    // A fresh file must NOT be opened in append mode: csv-writer skips the
+    // header row then, and getSummaryStats() would misread the first trade.
+    // Append mode never rewrites the header either, so a file from an older
+    // version is first brought up to the current columns.
     this._writer = createObjectCsvWriter({
       path    : this._path,
       header  : CSV_HEADERS,
-      append  : true,
+      append  : upgradeCsv(this._path, CSV_HEADERS),
+    });
+    this._newsWriter = createObjectCsvWriter({
+      path    : cfg.log.newsLogCsv,
+      header  : NEWS_CSV_HEADERS,
+      append  : upgradeCsv(cfg.log.newsLogCsv, NEWS_CSV_HEADERS),
     });
   }
 
+  /**
+   * Append one pre-event policy action to the news-action CSV.
+   *
+   * @param {string} symbol
+   * @param {Object} record   From TradeExecutor.applyPreEventPolicy():
+   *                          { contractId, action, result, event, oldStop, newStop }
+   * @param {Date}   [timestamp]
+   */
+  async logNewsAction(symbol, record, timestamp = new Date()) {
+    const { event } = record;
+    await this._newsWriter.writeRecords([{
+      timestamp  : timestamp.toISOString(),
+      symbol,
+      contractId : record.contractId,
+      event      : event.title,
+      currency   : event.currency,
+      eventTime  : event.time.toISOString(),
+      action     : record.action,
+      result     : record.result,
+      oldStop    : record.oldStop != null ? r2(record.oldStop) : '',
+      newStop    : record.newStop != null ? r2(record.newStop) : '',
+    }]);
+  }
+
   /**
    * Append one completed trade to the CSV.
    *
@@ -96,16 +155,24 @@ export class TradeJournal {
    * @param {number}  exitPrice
    * @param {number}  units
    * @param {number}  equityBefore   Account equity at trade entry
-   * @param {string}  reasonClose    'take_profit' | 'stop_loss' | 'trailing_stop' | 'manual'
+   * @param {string}  reasonClose    'take_profit' | 'stop_loss' | 'trailing_stop' | 'stop_out' | 'expiry' | 'manual'
+   *                                 | 'pre_event_close' | 'pre_event_stop' | 'weekend_close'
    * @param {Date}    [timestampClose]
+   * @param {Object}  [contract]     Deriv contract details — when given, the realised
+   *                                 profit and USD risk replace the price × units estimate:
+   *                                 { contractId, stake, sellPrice, profit, riskUsd, sizing }
    */
-  async logTrade(signal, exitPrice, units, equityBefore, reasonClose, timestampClose = new Date()) {
-    const pnlUsd = signal.direction === 'buy'
-      ? (exitPrice - signal.entryPrice) * units
-      : (signal.entryPrice - exitPrice) * units;
+  async logTrade(signal, exitPrice, units, equityBefore, reasonClose, timestampClose = new Date(), contract = null) {
+    const pnlUsd = contract
+      ? contract.profit
+      : signal.direction === 'buy'
+        ? (exitPrice - signal.entryPrice) * units
+        : (signal.entryPrice - exitPrice) * units;
 
     const pnlPct      = equityBefore > 0 ? (pnlUsd / equityBefore) * 100 : 0;
-    const initialRisk = Math.abs(signal.entryPrice - signal.stopLoss) * units;
+    const initialRisk = contract
+      ? contract.riskUsd
+      : Math.abs(signal.entryPrice - signal.stopLoss) * units;
     const rrAchieved  = initialRisk > 0 ? pnlUsd / initialRisk : 0;
 
     const row = {
@@ -123,31 +190,77 @@ export class TradeJournal {
       reasonOpen     : signal.reasons.join(' | '),
       reasonClose,
       score          : signal.score,
-      minRr          : CFG.strategy.minRrRatio,
+      minRr          : this._cfg.strategy.minRrRatio,
       atr            : signal.atr,
       equityBefore   : r2(equityBefore),
+      contractId     : contract?.contractId ?? '',
+      stake          : contract ? r2(contract.stake) : '',
+      sellPrice      : contract ? r2(contract.sellPrice) : '',
+      symbol         : contract?.symbol ?? this._cfg.instrument.symbol,
+      sizingModel    : contract?.sizing?.model ?? '',
+      sizingRiskUsd  : contract?.sizing ? r2(contract.sizing.riskUsd) : '',
+      sizingInputs   : contract?.sizing ? JSON.stringify(contract.sizing.inputs) : '',
+      gates          : (signal.gates ?? []).join(' | '),
     };
 
     await this._writer.writeRecords([row]);
 
     const icon = pnlUsd >= 0 ? '✓' : '✗';
     console.info(
-      `${icon} TRADE CLOSED | ${signal.direction.toUpperCase()} | ` +
+      `${icon} TRADE CLOSED | ${row.symbol} ${signal.direction.toUpperCase()} | ` +
       `Entry: ${signal.entryPrice} | Exit: ${exitPrice} | ` +
       `P/L: $${r2(pnlUsd)} (${r2(pnlPct)}%) | ` +
       `R:R: ${r2(rrAchieved)} | ${reasonClose}`
     );
   }
 
+  /**
+   * Realised P/L of the last `limit` journaled trades on a symbol, oldest
+   * first — seeds the kelly sizing model's rolling statistics at startup.
+   * Rows from before the `symbol` column count as the base instrument.
+   * @param {string} symbol
+   * @param {number} limit
+   * @returns {number[]}
+   */
+  recentPnl(symbol, limit) {
+    try {
+      return this._rows()
+        .filter(r => (r.symbol || this._cfg.instrument.symbol) === symbol)
+        .slice(-limit)
+        .map(r => parseFloat(r.pnl_usd));
+    } catch (err) {
+      console.warn(`[Journal] Could not read ${this._path} to seed ${symbol} sizing: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Every journaled trade, in the shape tradeBreakdown() takes. Rows from
+   * before the `gates` column fall back to their reason_open text.
+   * @returns {Array<{ symbol, direction, entryTime, pnlUsd, rrAchieved, atr, score, gates, reasons }>}
+   */
+  readTrades() {
+    const list = v => (v ? v.split(' | ') : []);
+    return this._rows().map(r => ({
+      symbol     : r.symbol || this._cfg.instrument.symbol,
+      direction  : r.direction,
+      entryTime  : new Date(r.timestamp_open),
+      pnlUsd     : parseFloat(r.pnl_usd),
+      rrAchieved : parseFloat(r.rr_achieved),
+      atr        : parseFloat(r.atr),
+      score      : r.score === '' ? null : Number(r.score),
+      gates      : list(r.gates),
+      reasons    : list(r.reason_open),
+    }));
+  }
+
   /**
    * Read the CSV and compute aggregate performance statistics.
    * @returns {Object|null}
    */
   getSummaryStats() {
-    if (!existsSync(this._path)) return null;
     try {
-      const content = readFileSync(this._path, 'utf8');
-      const rows    = parse(content, { columns: true, skip_empty_lines: true });
+      const rows = this._rows();
       if (!rows.length) return null;
 
       const pnls = rows.map(r => parseFloat(r.pnl_usd));
@@ -173,8 +286,58 @@ export class TradeJournal {
       return null;
     }
   }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  /**
+   * Journal rows keyed by column. The constructor brought the header up to
+   * date, so every row has exactly its fields — a row that does not throws
+   * rather than losing its trailing columns (symbol, gates, ...).
+   */
+  _rows() {
+    if (!existsSync(this._path)) return [];
+    return parse(readFileSync(this._path, 'utf8'), { columns: true, skip_empty_lines: true });
+  }
 }
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Bring an existing journal up to `header` so csv-writer can append to it.
+ * csv-writer never rewrites the header row in append mode, and csv-parse
+ * (columns: true) drops every field past the header — so the columns added
+ * since the file was started would never be read back.
+ *
+ * Columns are only ever appended, so a header that is a prefix of the current
+ * one is migrated in place: rows are padded (or, when appended after the
+ * upgrade, kept) by position. Any other header is moved aside to
+ * `<name>.<timestamp>.csv` and a new file started.
+ *
+ * @param {string} path
+ * @param {Array}  header  [{ id, title }]
+ * @returns {boolean}  true when the file exists with the current header (append to it)
+ */
+function upgradeCsv(path, header) {
+  if (!existsSync(path) || statSync(path).size === 0) return false;
+  const titles = header.map(h => h.title);
+  const [old = [], ...rows] = parse(readFileSync(path, 'utf8'), { skip_empty_lines: true, relax_column_count: true });
+  if (old.join(',') === titles.join(',')) return true;
+
+  const prefix = old.length < titles.length && old.every((t, i) => t === titles[i]);
+  if (!prefix || rows.some(r => r.length > titles.length)) {
+    const aside = path.replace(/(\.csv)?$/, `.${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+    renameSync(path, aside);
+    console.warn(`[Journal] ${path} has an unknown header — moved to ${aside}, starting a new file.`);
+    return false;
+  }
+
+  const csv = createArrayCsvStringifier({ header: titles });
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, csv.getHeaderString() + csv.stringifyRecords(rows.map(r => titles.map((_, i) => r[i] ?? ''))));
+  renameSync(tmp, path);
+  console.info(`[Journal] ${path}: added column(s) ${titles.slice(old.length).join(', ')} to ${rows.length} row(s).`);
+  return true;
+}
+
 const r2 = v => Math.round(v * 100) / 100;
 const r4 = v => Math.round(v * 10000) / 10000;
@@ -0,0 +1,180 @@
+/**
+ * src/risk/breakers.js — Circuit Breakers
+ * =========================================
+ * Pauses that outlast the daily limits. Each is set in CFG.risk.breakers and
+ * disabled with null:
+ *
+ *   maxDrawdown  — equity maxDrawdownPct below its peak → halt until a manual
+ *                  reset (node main.js --reset-breakers)
+ *   lossStreak   — maxConsecutiveLosses losing trades in a row → pause for
+ *                  lossStreakPauseMin minutes
+ *   weeklyLoss   — realised loss this ISO week (Monday 00:00 UTC) reaches
+ *                  maxWeeklyLossPct of the week's starting equity → halt until next week
+ *   monthlyLoss  — the same for the calendar month → halt until next month
+ *   outsizedLoss — one trade loses outsizedLossPct of equity or more (a gap,
+ *                  a slipped stop) → stand down for outsizedStandDownMin minutes
+ *
+ * A trip is logged with its reason and kept until it expires (or, for the
+ * drawdown halt, is reset). RiskManager persists the state with its own, so
+ * a restart does not clear a trip, and the backtest runs the same breakers on
+ * its simulated clock.
+ */
+
+const HISTORY_LIMIT = 50;   // trips kept in the state file
+
+export class CircuitBreakers {
+  /**
+   * @param {Object} spec  CFG.risk.breakers
+   * @param {Object} [options]
+   * @param {Function|null} [options.log]  Receives one line per trip / reset; null = silent
+   */
+  constructor(spec, { log = console.warn } = {}) {
+    this._spec  = spec ?? {};
+    this._log   = log ?? (() => {});
+    this._consecutiveLosses = 0;
+    this._week  = null;   // { key, pnl, startEquity }
+    this._month = null;
+    this._active  = [];   // trips in force: { breaker, reason, trippedAt, until }
+    this.history  = [];   // recent trips, oldest first (capped)
+    this.tripCounts = {}; // breaker → trips by this process (backtest results)
+  }
+
+  // ── Events ────────────────────────────────────────────────────────────────
+
+  /**
+   * Book a closed trade.
+   * @param {number} pnl          Realised P/L in USD
+   * @param {number} equityAfter  Equity once the P/L is booked
+   * @param {Date}   time         Close time (backtest clock or now)
+   */
+  onTradeClosed(pnl, equityAfter, time) {
+    const s            = this._spec;
+    const equityBefore = equityAfter - pnl;
+    this._roll(time, equityBefore);
+    this._week.pnl  += pnl;
+    this._month.pnl += pnl;
+
+    this._consecutiveLosses = pnl < 0 ? this._consecutiveLosses + 1 : 0;
+    if (s.maxConsecutiveLosses != null && this._consecutiveLosses >= s.maxConsecutiveLosses) {
+      this._trip('lossStreak', `${this._consecutiveLosses} consecutive losses`, time,
+        addMinutes(time, s.lossStreakPauseMin));
+      this._consecutiveLosses = 0;
+    }
+
+    if (s.outsizedLossPct != null && equityBefore > 0 && -pnl >= equityBefore * s.outsizedLossPct / 100) {
+      this._trip('outsizedLoss', `Single loss $${round2(-pnl)} ≥ ${s.outsizedLossPct}% of equity`, time,
+        addMinutes(time, s.outsizedStandDownMin));
+    }
+
+    if (s.maxWeeklyLossPct != null && this._week.pnl <= -this._week.startEquity * s.maxWeeklyLossPct / 100) {
+      this._trip('weeklyLoss', `Weekly loss $${round2(this._week.pnl)} hit ${s.maxWeeklyLossPct}% limit`, time,
+        nextWeekStart(time));
+    }
+
+    if (s.maxMonthlyLossPct != null && this._month.pnl <= -this._month.startEquity * s.maxMonthlyLossPct / 100) {
+      this._trip('monthlyLoss', `Monthly loss $${round2(this._month.pnl)} hit ${s.maxMonthlyLossPct}% limit`, time,
+        nextMonthStart(time));
+    }
+  }
+
+  /**
+   * Check the peak-to-trough drawdown after an equity update.
+   * @param {number} equity
+   * @param {number} peakEquity
+   * @param {Date}   time
+   */
+  onEquity(equity, peakEquity, time) {
+    const s = this._spec;
+    if (s.maxDrawdownPct == null || peakEquity <= 0) return;
+    const ddPct = (peakEquity - equity) / peakEquity * 100;
+    if (ddPct >= s.maxDrawdownPct && !this._active.some(t => t.breaker === 'maxDrawdown')) {
+      this._trip('maxDrawdown', `Drawdown ${round2(ddPct)}% from peak $${round2(peakEquity)} — manual reset required`,
+        time, null);
+    }
+  }
+
+  // ── Queries ───────────────────────────────────────────────────────────────
+
+  /**
+   * The trip blocking new trades at `time`, if any. Expired trips are dropped.
+   * @param {Date} time
+   * @returns {{ breaker, reason, trippedAt: Date, until: Date|null }|null}
+   */
+  check(time) {
+    this._active = this._active.filter(t => t.until == null || t.until > time);
+    return this._active[0] ?? null;
+  }
+
+  /** Clear every trip, including the drawdown halt (manual reset). */
+  reset() {
+    if (this._active.length) {
+      this._log(`[Risk] Circuit breakers reset: ${this._active.map(t => t.breaker).join(', ')} cleared.`);
+    }
+    this._active = [];
+    this._consecutiveLosses = 0;
+  }
+
+  // ── Persistence ───────────────────────────────────────────────────────────
+
+  toState() {
+    const trip = t => ({ ...t, trippedAt: t.trippedAt.toISOString(), until: t.until?.toISOString() ?? null });
+    return {
+      consecutiveLosses: this._consecutiveLosses,
+      week   : this._week,
+      month  : this._month,
+      active : this._active.map(trip),
+      history: this.history.map(trip),
+    };
+  }
+
+  fromState(state) {
+    if (!state) return;
+    const trip = t => ({ ...t, trippedAt: new Date(t.trippedAt), until: t.until ? new Date(t.until) : null });
+    this._consecutiveLosses = state.consecutiveLosses ?? 0;
+    this._week    = state.week ?? null;
+    this._month   = state.month ?? null;
+    this._active  = (state.active ?? []).map(trip);
+    this.history  = (state.history ?? []).map(trip);
+  }
+
+  // ── Internal ──────────────────────────────────────────────────────────────
+
+  _trip(breaker, reason, time, until) {
+    const trip = { breaker, reason, trippedAt: time, until };
+    // One trip per breaker — a new one replaces it (a later expiry wins)
+    this._active = this._active.filter(t => t.breaker !== breaker);
+    this._active.push(trip);
+    this.history.push(trip);
+    if (this.history.length > HISTORY_LIMIT) this.history.shift();
+    this.tripCounts[breaker] = (this.tripCounts[breaker] ?? 0) + 1;
+    this._log(
+      `[Risk] CIRCUIT BREAKER ${breaker}: ${reason} | ` +
+      `paused ${until ? `until ${until.toISOString()}` : 'until manual reset (--reset-breakers)'}`
+    );
+  }
+
+  /** Start a new week / month when `time` has moved past the current one. */
+  _roll(time, equity) {
+    const week  = weekKey(time);
+    const month = time.toISOString().slice(0, 7);
+    if (this._week?.key !== week)   this._week  = { key: week,  pnl: 0, startEquity: equity };
+    if (this._month?.key !== month) this._month = { key: month, pnl: 0, startEquity: equity };
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2     = v => Math.round(v * 100) / 100;
+const addMinutes = (time, min) => new Date(time.getTime() + (min ?? 0) * 60_000);
+
+/** Monday 00:00 UTC of the week containing `time`. */
+function weekStart(time) {
+  const day = new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+const weekKey        = time => weekStart(time).toISOString().slice(0, 10);
+const nextWeekStart  = time => new Date(weekStart(time).getTime() + 7 * DAY_MS);
+const nextMonthStart = time => new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth() + 1, 1));
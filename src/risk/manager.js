@@ -4,25 +4,53 @@
  * Enforces all rules BEFORE any order is sent.
  *
  * Core rules:
- *   1. 1% max risk per trade  — position size = (equity × 1%) / SL_distance
+ *   1. 1% max risk per trade  — position size = USD risk / SL_distance, the USD
+ *                               risk coming from the sizing model (src/risk/sizing.js)
  *   2. Hard USD cap per trade — never exceed maxRiskUsd regardless of account size
  *   3. Max 2 open positions   — prevents correlated gold over-exposure
  *   4. 5% daily drawdown limit — bot self-pauses for the rest of the day
  *   5. $500 daily USD loss cap — hard fuse
- *   6. Max 5 trades/day       — prevents overtrading on choppy days
- *   7. 15-min cooling period  — one candle gap between consecutive entries
+ *   6. Max 5 trades/day       — prevents overtrading on choppy days (maxTradesPerDay)
+ *   7. Cooling period         — 3 signal bars (15 min on M5) between consecutive
+ *                               entries (cooldownBars, or cooldownMin)
  *   8. Trailing stop          — activates at 1% profit, trails at 0.8×ATR
+ *   9. Open-risk caps         — the USD every open position loses at its stop,
+ *                               capped in total and per direction (two longs
+ *                               on one metal are one bigger bet, not two)
+ *  10. Worst-case daily check — open risk + the new trade's risk must fit in
+ *                               what is left of the daily loss budget
+ *  11. Circuit breakers       — drawdown halt, losing streak, weekly / monthly
+ *                               loss, outsized loss (src/risk/breakers.js)
+ *  12. Pre-event stops        — breakeven or a tighter stop on open positions
+ *                               ahead of high-impact news (CFG.news.preEvent)
+ *
+ * Persistence (live/paper only):
+ *   With a state file, the daily counters, cooldown clock and peak equity are
+ *   written on every change and restored at startup if the file is from the
+ *   same UTC day — a restart or crash loop cannot reset the daily limits.
+ *   Circuit-breaker trips and their weekly / monthly counters always carry over.
+ *   reconcileClosedContracts() then books contracts that closed while the bot
+ *   was down, de-duplicated by contract id.
  */
 
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
 import CFG from '../../config.js';
-
-const r = CFG.risk;
+import { TF_TO_SECONDS } from '../data/fetcher.js';
+import { PositionSizer } from './sizing.js';
+import { CircuitBreakers } from './breakers.js';
 
 export class RiskManager {
   /**
    * @param {number} initialEquity  Starting account balance in USD
+   * @param {Object} [cfg]          Bot config — reads the `risk` and `instrument` sections
+   * @param {string|null} [stateFile] Persist state here (live/paper); null keeps it in memory (backtest)
+   * @param {Object} [options]
+   * @param {Function|null} [options.log]  Circuit-breaker trips go here (default console.warn; null = silent)
+   * @param {string} [options.signalTf]  Timeframe the strategy trades — sets the length of risk.cooldownBars
    */
-  constructor(initialEquity) {
+  constructor(initialEquity, cfg = CFG, stateFile = null, { log = console.warn, signalTf = cfg.timeframe.signalTf } = {}) {
+    this._cfg          = cfg;
+    this._stateFile    = stateFile;
     this.equity        = initialEquity;
     this._peakEquity   = initialEquity;
     this._dailyPnl     = 0;
@@ -30,36 +58,99 @@ export class RiskManager {
     this._tradeCount   = 0;
     this._lastTradeTime = null;
     this._sessionDate  = _todayUtc();
+    this._closedIds    = new Set();  // contract ids already counted today
+    this.sizer         = new PositionSizer(cfg.risk);
+    this.breakers      = new CircuitBreakers(cfg.risk.breakers, { log });
+    this.cooldownMs    = cfg.risk.cooldownBars != null
+      ? cfg.risk.cooldownBars * TF_TO_SECONDS[signalTf] * 1000
+      : cfg.risk.cooldownMin * 60 * 1000;
+    if (stateFile) this._restore();
   }
 
   // ── Equity Tracking ────────────────────────────────────────────────────────
 
-  updateEquity(newEquity) {
+  /**
+   * @param {number} newEquity  Balance plus open stakes (live/paper) or realised
+   *                            equity (backtest) — open P/L is left out of both,
+   *                            so the drawdown breaker trips on the same basis
+   * @param {Date|null} [simTime]
+   */
+  updateEquity(newEquity, simTime = null) {
+    if (newEquity === this.equity) return;
     this.equity      = newEquity;
     this._peakEquity = Math.max(this._peakEquity, newEquity);
+    this.breakers.onEquity(this.equity, this._peakEquity, simTime ?? new Date());
+    this._save();
   }
 
-  recordTradeClosed(pnl) {
+  /**
+   * @param {number} pnl
+   * @param {string|number|null} [contractId]  Deriv contract — a contract is only counted once
+   * @param {Date|null} [closeTime]  When it closed (backtest clock); defaults to now
+   * @returns {boolean}  false if the contract was already counted
+   */
+  recordTradeClosed(pnl, contractId = null, closeTime = null) {
+    if (contractId != null) {
+      if (this._closedIds.has(String(contractId))) return false;
+      this._closedIds.add(String(contractId));
+    }
     this._dailyPnl  += pnl;
     this._tradeCount += 1;
+    this.sizer.recordResult(pnl);
+    this.breakers.onTradeClosed(pnl, this.equity, closeTime ?? new Date());
+    this._save();
+    return true;
   }
 
   recordTradeOpened(simTime = null) {
     this._lastTradeTime = simTime ?? new Date();
+    this._save();
+  }
+
+  /**
+   * Book contracts that closed without this process seeing them (bot down or
+   * restarted while they were open). Contracts already counted are skipped,
+   * as are those that closed on an earlier UTC day.
+   *
+   * @param {Array<{contractId, profit: number, sellTime: Date}>} closedContracts
+   *        From the fetcher's getClosedContracts() (Deriv profit_table)
+   * @returns {number}  How many contracts were newly counted
+   */
+  reconcileClosedContracts(closedContracts) {
+    this._resetIfNewDay();
+    let added = 0;
+    for (const c of closedContracts) {
+      if (c.sellTime.toISOString().slice(0, 10) !== this._sessionDate) continue;
+      if (this.recordTradeClosed(c.profit, c.contractId, c.sellTime)) added++;
+    }
+    return added;
   }
 
   // ── Pre-trade Check ────────────────────────────────────────────────────────
 
   /**
    * Master check before any trade is placed.
-   * @param {number} openTradeCount  Number of currently open positions
+   * @param {Array<{direction: 'buy'|'sell', riskUsd: number}>} openPositions
+   *        Currently open positions with the USD each loses at its stop
    * @returns {{ allowed: boolean, reason: string }}
    */
-  canTrade(openTradeCount, simTime = null) {
+  canTrade(openPositions, simTime = null) {
+    const r = this._cfg.risk;
     this._resetIfNewDay(simTime);
 
-    if (openTradeCount >= r.maxOpenTrades) {
-      return { allowed: false, reason: `Max open trades (${openTradeCount}/${r.maxOpenTrades})` };
+    const trip = this.breakers.check(simTime ?? new Date());
+    if (trip) {
+      return { allowed: false, reason: `Circuit breaker ${trip.breaker}: ${trip.reason}` };
+    }
+
+    if (openPositions.length >= r.maxOpenTrades) {
+      return { allowed: false, reason: `Max open trades (${openPositions.length}/${r.maxOpenTrades})` };
+    }
+
+    const openRisk = this.openRisk(openPositions).total;
+    const riskCap  = this._riskCap(r.maxOpenRiskPct, r.maxOpenRiskUsd);
+    if (openRisk >= riskCap) {
+      return { allowed: false, reason: `Open risk at cap ($${round2(openRisk)}/$${round2(riskCap)})` };
     }
 
     const dailyLossPct = (this._dailyPnl / this._dayStartEq) * 100;
@@ -71,14 +162,14 @@ export class RiskManager {
       return { allowed: false, reason: `Daily USD loss limit hit ($${this._dailyPnl.toFixed(2)})` };
     }
 
-    if (this._tradeCount >= 5) {
-      return { allowed: false, reason: `Max trades/day reached (${this._tradeCount})` };
+    if (this._tradeCount >= r.maxTradesPerDay) {
+      return { allowed: false, reason: `Max trades/day reached (${this._tradeCount}/${r.maxTradesPerDay})` };
     }
 
     if (this._lastTradeTime) {
       const now        = simTime ?? new Date();
       const elapsedMs  = now.getTime() - this._lastTradeTime.getTime();
-      const cooldownMs = 15 * 60 * 1000;
+      const cooldownMs = this.cooldownMs;
       if (elapsedMs < cooldownMs) {
         const remainingSec = Math.ceil((cooldownMs - elapsedMs) / 1000);
         return { allowed: false, reason: `Cooling period: ${remainingSec}s remaining` };
@@ -88,27 +179,103 @@ export class RiskManager {
     return { allowed: true, reason: '' };
   }
 
+  /**
+   * Exposure check for a sized order, run after canTrade() once the new
+   * trade's USD risk is known.
+   * @param {{direction: 'buy'|'sell', riskUsd: number}} position  The new trade
+   * @param {Array<{direction, riskUsd}>} openPositions
+   * @returns {{ allowed: boolean, reason: string }}
+   */
+  checkNewTrade({ direction, riskUsd }, openPositions, simTime = null) {
+    const r    = this._cfg.risk;
+    const open = this.openRisk(openPositions);
+
+    const riskCap = this._riskCap(r.maxOpenRiskPct, r.maxOpenRiskUsd);
+    if (open.total + riskUsd > riskCap) {
+      return { allowed: false, reason:
+        `Open risk $${round2(open.total)} + $${round2(riskUsd)} would exceed cap $${round2(riskCap)}` };
+    }
+
+    const dirCap = this._riskCap(r.maxDirectionRiskPct, r.maxDirectionRiskUsd);
+    if (open[direction] + riskUsd > dirCap) {
+      return { allowed: false, reason:
+        `${direction.toUpperCase()} risk $${round2(open[direction])} + $${round2(riskUsd)} would exceed cap $${round2(dirCap)}` };
+    }
+
+    const budget = this.dailyLossBudget(simTime);
+    if (open.total + riskUsd > budget) {
+      return { allowed: false, reason:
+        `Worst case $${round2(open.total + riskUsd)} exceeds remaining daily loss budget $${round2(budget)}` };
+    }
+
+    return { allowed: true, reason: '' };
+  }
+
+  /**
+   * Sum the USD at risk of open positions, in total and per direction.
+   * @param {Array<{direction, riskUsd}>} openPositions
+   * @returns {{ total: number, buy: number, sell: number }}
+   */
+  openRisk(openPositions) {
+    const out = { total: 0, buy: 0, sell: 0 };
+    for (const p of openPositions) {
+      out.total        += p.riskUsd;
+      out[p.direction] += p.riskUsd;
+    }
+    return out;
+  }
+
+  /**
+   * How much more can be lost today before a daily limit trips — the tighter
+   * of the USD cap and the drawdown %, less today's realised loss.
+   */
+  dailyLossBudget(simTime = null) {
+    const r = this._cfg.risk;
+    this._resetIfNewDay(simTime);
+    const limit = Math.min(r.maxDailyLossUsd, this._dayStartEq * (r.maxDailyDrawdownPct / 100));
+    return Math.max(0, limit + this._dailyPnl);
+  }
+
+  /**
+   * Manual reset: clear every circuit-breaker trip, including the drawdown
+   * halt. The peak restarts at the current equity, so the drawdown that
+   * tripped the halt does not trip it again on the next equity update.
+   */
+  resetBreakers() {
+    this.breakers.reset();
+    this._peakEquity = this.equity;
+    this._save();
+  }
+
   // ── Position Sizing ────────────────────────────────────────────────────────
 
+  /**
+   * How many USD a signal's trade risks, from the configured sizing model.
+   * @param {Signal} signal
+   * @param {number} [equity]  Equity to size from — defaults to the tracked equity
+   * @returns {{ model: string, riskUsd: number, inputs: Object }}  Stored on the trade
+   */
+  sizeTrade(signal, equity = this.equity) {
+    return this.sizer.size(signal, { equity, peakEquity: this._peakEquity });
+  }
+
   /**
    * Calculate how many units (troy ounces) to trade.
    *
    * Formula:
-   *   riskAmount = equity × (maxRiskPct / 100)   [capped at maxRiskUsd]
+   *   riskAmount = sizeTrade(signal).riskUsd   [≤ maxRiskPct of equity and maxRiskUsd]
    *   units      = riskAmount / slDistance
    *
    * @param {Signal} signal
+   * @param {Object} [sizing]  A sizeTrade() result already taken for this signal
    * @returns {number}  Integer units (≥ 1), or 0 if invalid
    */
-  calculatePositionSize(signal) {
-    let riskAmount = this.equity * (r.maxRiskPct / 100);
-    riskAmount = Math.min(riskAmount, r.maxRiskUsd);  // Hard cap
-
+  calculatePositionSize(signal, sizing = this.sizeTrade(signal)) {
     const slDistance = Math.abs(signal.entryPrice - signal.stopLoss);
     if (slDistance <= 0) return 0;
 
-    const units = Math.floor(riskAmount / slDistance);
-    return Math.max(units, CFG.instrument.minUnits);
+    const units = Math.floor(sizing.riskUsd / slDistance);
+    return Math.max(units, this._cfg.instrument.minUnits);
   }
 
   // ── Trailing Stop ──────────────────────────────────────────────────────────
@@ -129,6 +296,7 @@ export class RiskManager {
    * @returns {number}             New (potentially updated) stop-loss
    */
   calculateTrailingStop(direction, entry, currentPrice, atr, currentSl) {
+    const r = this._cfg.risk;
     const profitDist = direction === 'buy'
       ? currentPrice - entry
       : entry - currentPrice;
@@ -138,7 +306,7 @@ export class RiskManager {
     if (profitDist < activationThreshold) return currentSl;
 
     const isBuy      = direction === 'buy';
-    const breakeven  = isBuy ? entry + 0.05 : entry - 0.05;
+    const breakeven  = isBuy ? entry + r.breakevenOffset : entry - r.breakevenOffset;
     const trailLevel = isBuy
       ? currentPrice - atr * r.trailingSlDistanceMult
       : currentPrice + atr * r.trailingSlDistanceMult;
@@ -148,6 +316,46 @@ export class RiskManager {
       : Math.min(currentSl, breakeven, trailLevel);
   }
 
+  /**
+   * Stop-loss for an open position ahead of a high-impact event
+   * (CFG.news.preEvent). Like the trail, it only ever tightens.
+   *
+   *   breakeven — entry ± breakevenOffset, once price is past that level;
+   *               a position not there yet keeps its stop
+   *   tighten   — currentPrice ∓ tightenAtr × ATR
+   *
+   * @param {'breakeven'|'tighten'} action
+   * @param {'buy'|'sell'} direction
+   * @param {number} entry
+   * @param {number} currentPrice
+   * @param {number} atr
+   * @param {number} currentSl
+   * @returns {number}  New (potentially unchanged) stop-loss
+   */
+  preEventStop(action, direction, entry, currentPrice, atr, currentSl) {
+    const isBuy = direction === 'buy';
+    let level;
+    if (action === 'breakeven') {
+      const offset = this._cfg.risk.breakevenOffset;
+      level = isBuy ? entry + offset : entry - offset;
+      if (isBuy ? currentPrice <= level : currentPrice >= level) return currentSl;
+    } else {
+      const dist = atr * this._cfg.news.preEvent.tightenAtr;
+      level = isBuy ? currentPrice - dist : currentPrice + dist;
+    }
+    return isBuy ? Math.max(currentSl, level) : Math.min(currentSl, level);
+  }
+
+  /**
+   * Today's realised P/L and the equity the day started with — read by
+   * PortfolioRisk to combine symbols. Rolls the day over first.
+   * @returns {{ dailyPnl: number, dayStartEquity: number }}
+   */
+  dailyStats(simTime = null) {
+    this._resetIfNewDay(simTime);
+    return { dailyPnl: this._dailyPnl, dayStartEquity: this._dayStartEq };
+  }
+
   // ── State Summary ──────────────────────────────────────────────────────────
 
   summary() {
@@ -162,6 +370,11 @@ export class RiskManager {
 
   // ── Internal ───────────────────────────────────────────────────────────────
 
+  /** A risk cap: the lower of % of current equity and a USD amount. */
+  _riskCap(pct, usd) {
+    return Math.min(this.equity * (pct / 100), usd);
+  }
+
   _resetIfNewDay(simTime = null) {
     const today = simTime ? simTime.toISOString().slice(0, 10) : _todayUtc();
     if (today !== this._sessionDate) {
@@ -169,6 +382,60 @@ export class RiskManager {
       this._dayStartEq  = this.equity;
       this._dailyPnl    = 0;
       this._tradeCount  = 0;
+      this._closedIds.clear();
+      this._save();
+    }
+  }
+
+  /** Write the state file (temp file + rename, so a crash never leaves it half-written). */
+  _save() {
+    if (!this._stateFile) return;
+    const state = {
+      date          : this._sessionDate,
+      dailyPnl      : this._dailyPnl,
+      dayStartEquity: this._dayStartEq,
+      tradeCount    : this._tradeCount,
+      lastTradeTime : this._lastTradeTime?.toISOString() ?? null,
+      peakEquity    : this._peakEquity,
+      closedIds     : [...this._closedIds],
+      breakers      : this.breakers.toState(),
+    };
+    const tmp = `${this._stateFile}.tmp`;
+    writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    renameSync(tmp, this._stateFile);
+  }
+
+  /**
+   * Restore from the state file. Daily counters only carry over on the same
+   * UTC day; the peak equity, the cooldown clock and the circuit breakers always do.
+   */
+  _restore() {
+    if (!existsSync(this._stateFile)) return;
+    let state;
+    try {
+      state = JSON.parse(readFileSync(this._stateFile, 'utf8'));
+    } catch (err) {
+      console.warn(`[Risk] Ignoring unreadable state file ${this._stateFile}: ${err.message}`);
+      return;
+    }
+
+    this._peakEquity    = Math.max(this._peakEquity, state.peakEquity ?? 0);
+    this._lastTradeTime = state.lastTradeTime ? new Date(state.lastTradeTime) : null;
+    this.breakers.fromState(state.breakers);
+    const trip = this.breakers.check(new Date());
+    if (trip) console.warn(`[Risk] Circuit breaker ${trip.breaker} still active: ${trip.reason}`);
+
+    if (state.date === this._sessionDate) {
+      this._dailyPnl   = state.dailyPnl ?? 0;
+      this._dayStartEq = state.dayStartEquity ?? this._dayStartEq;
+      this._tradeCount = state.tradeCount ?? 0;
+      this._closedIds  = new Set(state.closedIds ?? []);
+      console.info(
+        `[Risk] Restored today's state: daily P/L $${round2(this._dailyPnl)} | ` +
+        `${this._tradeCount} trade(s) | peak $${round2(this._peakEquity)}`
+      );
+    } else {
+      console.info(`[Risk] State file is from ${state.date} — starting a new day.`);
     }
   }
 }
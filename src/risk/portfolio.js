@@ -0,0 +1,141 @@
+/**
+ * src/risk/portfolio.js — Portfolio-Wide Risk Limits
+ * ====================================================
+ * Each traded symbol has its own RiskManager (per-symbol `risk` limits,
+ * daily counters and state file). PortfolioRisk sits on top and applies the
+ * `portfolio` limits to all of them together:
+ *
+ *   1. Max open positions across all symbols
+ *   2. Combined daily USD loss cap
+ *   3. Combined daily drawdown % limit
+ *   4. Total open risk across symbols (USD lost if every position hit its stop)
+ *   5. Correlated direction cap — symbols in one `correlationGroups` entry
+ *      (gold and silver) share a same-direction open-risk cap
+ *   6. Worst case — open risk + the new trade must fit in what is left of
+ *      the combined daily loss budget
+ *
+ * It keeps no state of its own — every check reads the symbols' managers —
+ * so restarts are covered by their persistence.
+ *
+ * Equity base for the drawdown %:
+ *   sharedAccount = true  → every manager tracks the same account (live/paper),
+ *                           so the day's starting equity is counted once
+ *   sharedAccount = false → each symbol has its own capital (portfolio
+ *                           backtest), so the starting equities add up
+ */
+
+import CFG from '../../config.js';
+
+export class PortfolioRisk {
+  /**
+   * @param {Object} [cfg]  Bot config — reads the `portfolio` section
+   * @param {Object} [options]
+   * @param {boolean} [options.sharedAccount]  See the header
+   */
+  constructor(cfg = CFG, { sharedAccount = true } = {}) {
+    this._limits   = cfg.portfolio;
+    this._groupOf  = new Map();   // symbol → its correlation group
+    for (const group of cfg.portfolio.correlationGroups ?? []) {
+      for (const symbol of group) this._groupOf.set(symbol, group);
+    }
+    this._shared   = sharedAccount;
+    this._managers = new Map();   // symbol → RiskManager
+  }
+
+  /** Add a symbol's RiskManager to the portfolio. */
+  register(symbol, riskManager) {
+    this._managers.set(symbol, riskManager);
+  }
+
+  /**
+   * Portfolio check — run after the symbol's own RiskManager.canTrade().
+   * @param {Array<{symbol, direction, riskUsd}>} openPositions  Open positions across all symbols
+   * @param {Date}   [simTime]       Backtest clock
+   * @returns {{ allowed: boolean, reason: string }}
+   */
+  canTrade(openPositions, simTime = null) {
+    const p = this._limits;
+
+    if (openPositions.length >= p.maxOpenTrades) {
+      return { allowed: false, reason: `Portfolio max open trades (${openPositions.length}/${p.maxOpenTrades})` };
+    }
+
+    const openRisk = sumRisk(openPositions);
+    if (openRisk >= p.maxOpenRiskUsd) {
+      return { allowed: false, reason: `Portfolio open risk at cap ($${round2(openRisk)}/$${p.maxOpenRiskUsd})` };
+    }
+
+    const { dailyPnl, dayStartEquity } = this.dailyStats(simTime);
+    if (dailyPnl <= -p.maxDailyLossUsd) {
+      return { allowed: false, reason: `Portfolio daily USD loss limit hit ($${dailyPnl.toFixed(2)})` };
+    }
+
+    const dailyLossPct = dayStartEquity > 0 ? (dailyPnl / dayStartEquity) * 100 : 0;
+    if (dailyLossPct <= -p.maxDailyDrawdownPct) {
+      return { allowed: false, reason: `Portfolio daily drawdown limit hit (${dailyLossPct.toFixed(1)}%)` };
+    }
+
+    return { allowed: true, reason: '' };
+  }
+
+  /**
+   * Exposure check for a sized order — run after the symbol's own
+   * RiskManager.checkNewTrade().
+   * @param {{symbol, direction, riskUsd}} position  The new trade
+   * @param {Array<{symbol, direction, riskUsd}>} openPositions  Across all symbols
+   * @returns {{ allowed: boolean, reason: string }}
+   */
+  checkNewTrade(position, openPositions, simTime = null) {
+    const p        = this._limits;
+    const openRisk = sumRisk(openPositions);
+
+    if (openRisk + position.riskUsd > p.maxOpenRiskUsd) {
+      return { allowed: false, reason:
+        `Portfolio open risk $${round2(openRisk)} + $${round2(position.riskUsd)} would exceed cap $${p.maxOpenRiskUsd}` };
+    }
+
+    const group     = this._groupOf.get(position.symbol) ?? [position.symbol];
+    const groupRisk = sumRisk(openPositions.filter(o => o.direction === position.direction && group.includes(o.symbol)));
+    if (groupRisk + position.riskUsd > p.maxCorrelatedRiskUsd) {
+      return { allowed: false, reason:
+        `Correlated ${position.direction.toUpperCase()} risk on ${group.join('/')} $${round2(groupRisk)} + ` +
+        `$${round2(position.riskUsd)} would exceed cap $${p.maxCorrelatedRiskUsd}` };
+    }
+
+    const { dailyPnl, dayStartEquity } = this.dailyStats(simTime);
+    const budget = Math.max(0, Math.min(p.maxDailyLossUsd, dayStartEquity * (p.maxDailyDrawdownPct / 100)) + dailyPnl);
+    if (openRisk + position.riskUsd > budget) {
+      return { allowed: false, reason:
+        `Portfolio worst case $${round2(openRisk + position.riskUsd)} exceeds remaining daily loss budget $${round2(budget)}` };
+    }
+
+    return { allowed: true, reason: '' };
+  }
+
+  /** Combined daily P/L and starting equity across all symbols. */
+  dailyStats(simTime = null) {
+    let dailyPnl = 0;
+    let dayStartEquity = 0;
+    for (const rm of this._managers.values()) {
+      const s = rm.dailyStats(simTime);
+      dailyPnl += s.dailyPnl;
+      dayStartEquity = this._shared
+        ? Math.max(dayStartEquity, s.dayStartEquity)
+        : dayStartEquity + s.dayStartEquity;
+    }
+    return { dailyPnl, dayStartEquity };
+  }
+
+  /** Per-symbol and combined daily figures, for the status log. */
+  summary() {
+    const bySymbol = {};
+    for (const [symbol, rm] of this._managers) bySymbol[symbol] = rm.summary();
+    const { dailyPnl } = this.dailyStats();
+    return { dailyPnl: round2(dailyPnl), bySymbol };
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const round2  = v => Math.round(v * 100) / 100;
+const sumRisk = positions => positions.reduce((s, p) => s + p.riskUsd, 0);
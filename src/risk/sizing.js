@@ -0,0 +1,141 @@
+/**
+ * src/risk/sizing.js — Position-Sizing Models
+ * =============================================
+ * Decides how many USD a trade risks — the loss if its stop is hit. Units
+ * (RiskManager.calculatePositionSize) and the Deriv stake (calculateStake in
+ * the executor) are both derived from that one figure, so live, paper and
+ * both backtest P/L models size identically.
+ *
+ * Models (CFG.risk.sizing.model):
+ *   fixedFractional — maxRiskPct of equity (the classic 1% rule)
+ *   fixedUsd        — the same fixedUsd on every trade
+ *   volTarget       — maxRiskPct scaled by targetAtrPct / (ATR as % of price):
+ *                     smaller in fast markets, larger (up to maxScale) in quiet ones
+ *   kelly           — kellyFraction × the Kelly fraction W − (1 − W) / payoff,
+ *                     from the rolling win rate W and avg win / avg loss of the
+ *                     last kellyWindow trades. Until kellyMinTrades have closed it
+ *                     sizes like fixedFractional; it never goes below kellyMinPct
+ *   equityCurve     — maxRiskPct, scaled down linearly once the drawdown from peak
+ *                     equity passes ddStartPct, to ddMinScale at ddFullPct
+ *
+ * Every model is then capped at maxRiskPct of equity and maxRiskUsd. The
+ * decision records the model and the inputs it used; it is stored on each
+ * trade (journal / backtest results) so sizing can be audited afterwards.
+ */
+
+export const SIZING_MODELS = ['fixedFractional', 'fixedUsd', 'volTarget', 'kelly', 'equityCurve'];
+
+export class PositionSizer {
+  /**
+   * @param {Object} risk  CFG.risk — maxRiskPct, maxRiskUsd and the `sizing` spec
+   */
+  constructor(risk) {
+    const model = risk.sizing?.model ?? 'fixedFractional';
+    if (!SIZING_MODELS.includes(model)) {
+      throw new Error(`Unknown sizing model '${model}' (expected one of: ${SIZING_MODELS.join(', ')})`);
+    }
+    this._risk    = risk;
+    this._spec    = { ...risk.sizing, model };
+    this._results = [];   // P/L of recent closed trades, oldest first (kelly)
+  }
+
+  get model() { return this._spec.model; }
+
+  /**
+   * Size one trade.
+   *
+   * @param {Signal} signal
+   * @param {Object} account
+   * @param {number} account.equity
+   * @param {number} account.peakEquity
+   * @returns {{ model: string, riskUsd: number, inputs: Object }}
+   */
+  size(signal, { equity, peakEquity }) {
+    const { riskUsd, inputs } = this._raw(signal, equity, peakEquity);
+    const cap = Math.min(equity * (this._risk.maxRiskPct / 100), this._risk.maxRiskUsd);
+    return {
+      model  : this._spec.model,
+      riskUsd: Math.max(0, Math.min(riskUsd, cap)),
+      inputs : { equity: round2(equity), ...inputs },
+    };
+  }
+
+  /** Feed a closed trade's P/L (kelly's rolling statistics). */
+  recordResult(pnl) {
+    this._results.push(pnl);
+    const window = this._spec.kellyWindow ?? 50;
+    if (this._results.length > window) this._results.splice(0, this._results.length - window);
+  }
+
+  /**
+   * Preload closed-trade P/L, oldest first — the journal's history at startup.
+   * @param {number[]} pnls
+   */
+  seed(pnls) {
+    for (const pnl of pnls) this.recordResult(pnl);
+  }
+
+  // ── Models ────────────────────────────────────────────────────────────────
+
+  _raw(signal, equity, peakEquity) {
+    const s       = this._spec;
+    const basePct = this._risk.maxRiskPct;
+
+    switch (s.model) {
+      case 'fixedFractional':
+        return { riskUsd: equity * basePct / 100, inputs: { riskPct: basePct } };
+
+      case 'fixedUsd':
+        return { riskUsd: s.fixedUsd, inputs: { fixedUsd: s.fixedUsd } };
+
+      case 'volTarget': {
+        const atrPct = signal.entryPrice > 0 ? (signal.atr / signal.entryPrice) * 100 : 0;
+        const scale  = atrPct > 0 ? clamp(s.targetAtrPct / atrPct, s.minScale, s.maxScale) : 1;
+        return {
+          riskUsd: equity * basePct / 100 * scale,
+          inputs : { riskPct: basePct, atrPct: round4(atrPct), targetAtrPct: s.targetAtrPct, scale: round4(scale) },
+        };
+      }
+
+      case 'kelly': {
+        const n = this._results.length;
+        if (n < s.kellyMinTrades) {
+          return { riskUsd: equity * basePct / 100, inputs: { riskPct: basePct, trades: n, warmup: true } };
+        }
+        const wins    = this._results.filter(p => p > 0);
+        const losses  = this._results.filter(p => p <= 0);
+        const winRate = wins.length / n;
+        const avgWin  = wins.length ? sum(wins) / wins.length : 0;
+        const avgLoss = losses.length ? Math.abs(sum(losses) / losses.length) : 0;
+        // No losses in the window: the payoff is unbounded and Kelly says bet the
+        // win rate — the maxRiskPct cap applies either way
+        const kelly   = avgLoss > 0 && avgWin > 0 ? winRate - (1 - winRate) / (avgWin / avgLoss) : winRate;
+        const riskPct = Math.max(kelly * s.kellyFraction * 100, s.kellyMinPct);
+        return {
+          riskUsd: equity * riskPct / 100,
+          inputs : {
+            riskPct: round4(riskPct), trades: n, winRate: round4(winRate),
+            payoff : avgLoss > 0 ? round4(avgWin / avgLoss) : null, kelly: round4(kelly),
+          },
+        };
+      }
+
+      case 'equityCurve': {
+        const ddPct = peakEquity > 0 ? Math.max(0, (peakEquity - equity) / peakEquity * 100) : 0;
+        const t     = clamp((ddPct - s.ddStartPct) / (s.ddFullPct - s.ddStartPct), 0, 1);
+        const scale = 1 - t * (1 - s.ddMinScale);
+        return {
+          riskUsd: equity * basePct / 100 * scale,
+          inputs : { riskPct: basePct, drawdownPct: round4(ddPct), scale: round4(scale) },
+        };
+      }
+    }
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const clamp  = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+const sum    = vs => vs.reduce((a, b) => a + b, 0);
+const round2 = v => Math.round(v * 100) / 100;
+const round4 = v => Math.round(v * 10000) / 10000;
@@ -0,0 +1,95 @@
+/**
+ * src/strategies/bollingerReversion.js — Bollinger Band Mean Reversion
+ * ======================================================================
+ * Fades an excursion outside the Bollinger Bands once price closes back
+ * inside them.
+ *
+ *   SELL: a bar in the last `lookbackBars` closed above the upper band with
+ *         RSI above `rsiOverbought`, and the current bar closed back inside
+ *   BUY : mirror — close below the lower band, RSI below `rsiOversold`
+ *
+ *   STOP LOSS  : beyond the extreme of the qualifying excursion bars
+ *                ± slAtrBuffer × ATR
+ *   TAKE PROFIT: the middle band (20-period SMA) — R:R is naturally lower,
+ *                so the minimum is `minRrRatio` from this strategy's params
+ *
+ * Parameters: `strategy.bollingerReversion`; the ATR guard uses
+ * strategy.minAtr / strategy.maxAtr like every other strategy.
+ */
+
+import CFG from '../../config.js';
+import { makeSignal } from './index.js';
+
+export default class BollingerReversionStrategy {
+  static description = 'Fade closes outside the Bollinger Bands back to the middle band';
+
+  constructor(cfg = CFG) {
+    this._cfg  = cfg;
+    this._last = null;   // why the last bar did not fire
+  }
+
+  get timeframes() {
+    return { signal: this._cfg.timeframe.signalTf, trend: null };
+  }
+
+  get indicators() {
+    return ['bollinger', 'rsi', 'atr'];
+  }
+
+  evaluate({ signal }) {
+    const str = this._cfg.strategy;
+    const p   = str.bollingerReversion;
+    const bar = signal.at(-1);
+
+    if (!bar || bar.bbPctB == null || bar.atr == null) return this._skip('indicators warming up');
+    if (bar.atr < str.minAtr || bar.atr > str.maxAtr) {
+      return this._skip(`ATR ${bar.atr.toFixed(2)} outside [${str.minAtr}, ${str.maxAtr}]`);
+    }
+    if (bar.bbPctB < 0 || bar.bbPctB > 1) return this._skip(`still outside the bands (%B ${bar.bbPctB.toFixed(2)})`);
+
+    const recent = signal.slice(-(p.lookbackBars + 1), -1);
+    const above  = recent.filter(c => c.bbPctB > 1 && c.rsi > p.rsiOverbought);
+    const below  = recent.filter(c => c.bbPctB < 0 && c.rsi < p.rsiOversold);
+    if (above.length && below.length) return this._skip('excursions on both sides — no clear fade');
+    if (!above.length && !below.length) {
+      return this._skip(`no overbought/oversold close outside the bands in the last ${p.lookbackBars} bars`);
+    }
+
+    const direction = above.length ? 'sell' : 'buy';
+    const excursion = direction === 'sell' ? above : below;
+    const sl = direction === 'sell'
+      ? Math.max(...excursion.map(c => c.high)) + p.slAtrBuffer * bar.atr
+      : Math.min(...excursion.map(c => c.low))  - p.slAtrBuffer * bar.atr;
+    const outside = direction === 'sell' ? above.at(-1) : below.at(-1);
+
+    const result = makeSignal({
+      direction,
+      bar,
+      entry         : bar.close,
+      sl,
+      tp            : bar.bbMid,
+      score         : 3,
+      requiredScore : 3,
+      reasons       : [
+        `Closed ${direction === 'sell' ? 'above upper' : 'below lower'} band (%B ${outside.bbPctB.toFixed(2)})`,
+        `RSI ${outside.rsi.toFixed(1)} ${direction === 'sell' ? '>' : '<'} ${direction === 'sell' ? p.rsiOverbought : p.rsiOversold}`,
+        `Back inside the bands (%B ${bar.bbPctB.toFixed(2)}) — target middle band ${bar.bbMid.toFixed(2)}`,
+      ],
+      gates         : ['bbExcursion', 'rsiExtreme', 'bbReentry'],
+      minRr         : p.minRrRatio,
+      precision     : this._cfg.instrument.pricePrecision,
+    });
+    if (!result) return this._skip(`${direction} setup rejected — R:R below ${p.minRrRatio}`);
+    this._last = null;
+    return result;
+  }
+
+  describeLastBar() {
+    return this._last ?? 'signal fired';
+  }
+
+  _skip(reason) {
+    this._last = reason;
+    return null;
+  }
+}
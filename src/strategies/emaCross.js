@@ -0,0 +1,41 @@
+/**
+ * src/strategies/emaCross.js — M15 Trend + M5 EMA Cross (default)
+ * =================================================================
+ * The original scalping strategy: M15 EMA200 trend filter, fresh M5 EMA
+ * fast/slow cross, and scored confirmation gates. The logic lives in
+ * SignalGenerator (src/strategy/signals.js) and its gates are configured in
+ * `strategy.gates`; this class adapts it to the strategy interface.
+ */
+
+import CFG from '../../config.js';
+import { SignalGenerator, formatGates } from '../strategy/signals.js';
+
+export default class EmaCrossStrategy {
+  static description = 'M15 EMA200 trend + fresh M5 EMA cross, scored by strategy.gates';
+
+  constructor(cfg = CFG) {
+    this._cfg = cfg;
+    this._gen = new SignalGenerator(cfg);
+  }
+
+  get timeframes() {
+    return { signal: this._cfg.timeframe.signalTf, trend: this._cfg.timeframe.trendTf };
+  }
+
+  get indicators() {
+    return ['ema', 'rsi', 'macd', 'stochastic', 'atr', 'bollinger', 'swings'];
+  }
+
+  evaluate({ signal, trend }) {
+    return this._gen.evaluate(signal, trend);
+  }
+
+  describeLastBar() {
+    const lb = this._gen.lastBar;
+    if (!lb) return 'no evaluation this bar';
+    return (
+      `SELL ${lb.sell.score}/${lb.sell.required} [${formatGates(lb.sell)}] | ` +
+      `BUY ${lb.buy.score}/${lb.buy.required} [${formatGates(lb.buy)}]`
+    );
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * src/strategies/index.js — Strategy Plugin Interface & Loader
+ * ==============================================================
+ * Every `.js` file in this directory (except this one) is a strategy. The
+ * file name is the strategy's name — `--strategy londonBreakout` loads
+ * `londonBreakout.js` — and its default export is a class:
+ *
+ *   export default class MyStrategy {
+ *     static description = 'One line for --list-strategies';
+ *
+ *     constructor(cfg = CFG) { ... }          // full bot config, strategy params included
+ *
+ *     // Timeframes it reads. `signal` is required; `trend` may be null.
+ *     get timeframes() { return { signal: '5m', trend: '15m' }; }
+ *
+ *     // Indicator groups it reads (see INDICATORS in indicators/pipeline.js)
+ *     get indicators() { return ['ema', 'atr']; }
+ *
+ *     // ctx = { signal: Candle[], trend: Candle[]|null, time: Date }
+ *     // Candles are enriched, oldest first, closed bars only.
+ *     evaluate(ctx) { return signal or null; }
+ *
+ *     describeLastBar() { return 'why the last bar did not fire'; }  // optional
+ *   }
+ *
+ * A Signal is { direction, entryPrice, stopLoss, takeProfit, rrRatio, score,
+ * requiredScore, atr, reasons, gates, timestamp } — makeSignal() builds one.
+ * The live loop and the backtest both drive strategies only through this
+ * interface, so a new one needs no changes outside this directory (and its
+ * parameters under `strategy.<name>` in the config).
+ */
+
+import { readdirSync } from 'fs';
+import { basename } from 'path';
+import { INDICATORS } from '../indicators/pipeline.js';
+import { TF_TO_SECONDS } from '../data/fetcher.js';
+
+const DIR = new URL('.', import.meta.url);
+
+/** Names of all strategies in this directory, sorted. */
+export function listStrategies() {
+  return readdirSync(DIR)
+    .filter(f => f.endsWith('.js') && f !== 'index.js')
+    .map(f => basename(f, '.js'))
+    .sort();
+}
+
+/**
+ * Import a strategy class by name.
+ * @param {string} name  File name without `.js`
+ * @returns {Promise<Function>}  The strategy class
+ */
+export async function loadStrategy(name) {
+  const known = listStrategies();
+  if (!known.includes(name)) {
+    throw new Error(`Unknown strategy '${name}' (available: ${known.join(', ')})`);
+  }
+  const { default: Strategy } = await import(new URL(`${name}.js`, DIR));
+  if (typeof Strategy !== 'function' || typeof Strategy.prototype.evaluate !== 'function') {
+    throw new Error(`Strategy '${name}' must default-export a class with an evaluate() method`);
+  }
+  Strategy.strategyName = name;
+  return Strategy;
+}
+
+/**
+ * Instantiate a strategy and check what it declares against what the
+ * data and indicator layers can provide.
+ *
+ * @param {Function} Strategy  Class from loadStrategy()
+ * @param {Object}   cfg
+ * @returns {Object}  The strategy instance
+ */
+export function createStrategy(Strategy, cfg) {
+  const strategy = new Strategy(cfg);
+  const name     = Strategy.strategyName ?? Strategy.name;
+  const { signal, trend = null } = strategy.timeframes ?? {};
+
+  for (const tf of [signal, trend]) {
+    if (tf != null && !TF_TO_SECONDS[tf]) {
+      throw new Error(`Strategy '${name}' declares unsupported timeframe '${tf}'`);
+    }
+  }
+  if (!signal) throw new Error(`Strategy '${name}' must declare a signal timeframe`);
+
+  const unknown = (strategy.indicators ?? []).filter(i => !INDICATORS.includes(i));
+  if (unknown.length) {
+    throw new Error(`Strategy '${name}' needs unknown indicator(s): ${unknown.join(', ')}`);
+  }
+  return strategy;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Build a Signal from entry/SL/TP, or null if the levels are invalid or the
+ * R:R is below `minRr`. Prices are rounded to `precision` decimals
+ * (the instrument's pricePrecision).
+ */
+export function makeSignal({
+  direction, bar, entry, sl, tp, score, requiredScore, reasons, gates = [], minRr = 0, precision = 2,
+}) {
+  const slDist = direction === 'buy' ? entry - sl : sl - entry;
+  const tpDist = direction === 'buy' ? tp - entry : entry - tp;
+  if (slDist <= 0 || tpDist <= 0) return null;
+
+  const rr = tpDist / slDist;
+  if (rr < minRr) return null;
+
+  const px = v => roundTo(v, precision);
+  return {
+    direction,
+    entryPrice    : px(entry),
+    stopLoss      : px(sl),
+    takeProfit    : px(tp),
+    rrRatio       : round2(rr),
+    score,
+    requiredScore,
+    atr           : px(bar.atr),
+    isCounterTrend: false,
+    reasons,
+    gates,
+    timestamp     : bar.time,
+  };
+}
+
+const round2  = v => Math.round(v * 100) / 100;
+const roundTo = (v, decimals) => Math.round(v * 10 ** decimals) / 10 ** decimals;
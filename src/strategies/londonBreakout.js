@@ -0,0 +1,133 @@
+/**
+ * src/strategies/londonBreakout.js — London Open Breakout
+ * =========================================================
+ * Trades the first close outside the Asian session range after London opens.
+ *
+ *   RANGE : high/low of the signal bars opening in [rangeStartUtc, rangeEndUtc)
+ *           UTC today — needs at least `minRangeBars` of them, and a width
+ *           between minRangeAtr and maxRangeAtr × ATR (skip dead or news days)
+ *   BUY   : between rangeEndUtc and entryEndUtc, a bar closes above the range
+ *           high + bufferAtr × ATR and the previous bar did not
+ *   SELL  : mirror below the range low
+ *
+ *   STOP LOSS  : range midpoint ('mid') or the other side ('opposite')
+ *   TAKE PROFIT: SL distance × tpRr
+ *
+ * At most one breakout per UTC day (per run). Parameters:
+ * `strategy.londonBreakout`; the ATR guard uses strategy.minAtr / maxAtr.
+ */
+
+import CFG from '../../config.js';
+import { makeSignal } from './index.js';
+
+export default class LondonBreakoutStrategy {
+  static description = 'Break of the Asian session range in the first London hours';
+
+  constructor(cfg = CFG) {
+    this._cfg        = cfg;
+    this._tradedDay  = null;   // 'YYYY-MM-DD' of the day a breakout already fired
+    this._last       = null;
+  }
+
+  get timeframes() {
+    return { signal: this._cfg.timeframe.signalTf, trend: null };
+  }
+
+  get indicators() {
+    return ['atr'];
+  }
+
+  evaluate({ signal }) {
+    const str  = this._cfg.strategy;
+    const p    = str.londonBreakout;
+    const bar  = signal.at(-1);
+    const prev = signal.at(-2);
+    if (!bar || !prev || bar.atr == null) return this._skip('indicators warming up');
+
+    const time = new Date(bar.time);
+    const day  = time.toISOString().slice(0, 10);
+    const hour = time.getUTCHours();
+    if (hour < p.rangeEndUtc || hour >= p.entryEndUtc) {
+      return this._skip(`outside entry window ${p.rangeEndUtc}:00–${p.entryEndUtc}:00 UTC`);
+    }
+    if (this._tradedDay === day) return this._skip('breakout already traded today');
+    if (bar.atr < str.minAtr || bar.atr > str.maxAtr) {
+      return this._skip(`ATR ${bar.atr.toFixed(2)} outside [${str.minAtr}, ${str.maxAtr}]`);
+    }
+
+    const range = asianRange(signal, day, p.rangeStartUtc, p.rangeEndUtc);
+    if (range.bars < p.minRangeBars) {
+      return this._skip(`Asian range incomplete (${range.bars}/${p.minRangeBars} bars)`);
+    }
+    const width = range.high - range.low;
+    if (width < p.minRangeAtr * bar.atr || width > p.maxRangeAtr * bar.atr) {
+      return this._skip(
+        `range ${width.toFixed(2)} = ${(width / bar.atr).toFixed(1)}×ATR outside [${p.minRangeAtr}, ${p.maxRangeAtr}]`
+      );
+    }
+
+    const buffer   = p.bufferAtr * bar.atr;
+    const upBreak  = bar.close > range.high + buffer && prev.close <= range.high + buffer;
+    const dnBreak  = bar.close < range.low - buffer  && prev.close >= range.low - buffer;
+    if (!upBreak && !dnBreak) {
+      return this._skip(`no fresh close outside range ${range.low.toFixed(2)}–${range.high.toFixed(2)}`);
+    }
+
+    const direction = upBreak ? 'buy' : 'sell';
+    const mid       = (range.high + range.low) / 2;
+    const sl        = p.stop === 'opposite'
+      ? (direction === 'buy' ? range.low : range.high)
+      : mid;
+    const slDist    = Math.abs(bar.close - sl);
+    const tp        = direction === 'buy' ? bar.close + slDist * p.tpRr : bar.close - slDist * p.tpRr;
+
+    const result = makeSignal({
+      direction,
+      bar,
+      entry         : bar.close,
+      sl,
+      tp,
+      score         : 2,
+      requiredScore : 2,
+      reasons       : [
+        `Asian range ${range.low.toFixed(2)}–${range.high.toFixed(2)} (${(width / bar.atr).toFixed(1)}×ATR, ${range.bars} bars)`,
+        `Closed ${direction === 'buy' ? 'above' : 'below'} the range by more than ${p.bufferAtr}×ATR`,
+      ],
+      gates         : ['asianRange', 'breakoutClose'],
+      precision     : this._cfg.instrument.pricePrecision,
+    });
+    if (!result) return this._skip('breakout levels invalid');
+    this._tradedDay = day;
+    this._last      = null;
+    return result;
+  }
+
+  describeLastBar() {
+    return this._last ?? 'signal fired';
+  }
+
+  _skip(reason) {
+    this._last = reason;
+    return null;
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** High/low of today's bars opening in [startHour, endHour) UTC, scanning back from the newest. */
+function asianRange(candles, day, startHour, endHour) {
+  let high = -Infinity;
+  let low  = Infinity;
+  let bars = 0;
+  for (let i = candles.length - 1; i >= 0; i--) {
+    const t = new Date(candles[i].time);
+    if (t.toISOString().slice(0, 10) !== day) break;
+    const h = t.getUTCHours();
+    if (h >= startHour && h < endHour) {
+      high = Math.max(high, candles[i].high);
+      low  = Math.min(low, candles[i].low);
+      bars++;
+    }
+  }
+  return { high, low, bars };
+}
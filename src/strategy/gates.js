@@ -0,0 +1,193 @@
+/**
+ * src/strategy/gates.js — Signal Gate Registry
+ * ==============================================
+ * Every entry condition the SignalGenerator checks is a named gate registered
+ * here. Which gates run, their weight and whether they are mandatory comes
+ * from `strategy.gates` in the config:
+ *
+ *   strategy.gates.rsiExhaustion = { enabled: true, mandatory: false, weight: 1 }
+ *
+ * Any other keys in a gate's entry are passed to the gate as options
+ * (e.g. `emaCross.crossWithinBars`).
+ *
+ * A gate is a function (ctx, opts) → { pass, detail }:
+ *   ctx  : { direction, isSell, bar, prev, m5Candles, m15Candles, ind }
+ *   opts : the gate's config entry
+ *   detail: human-readable reason — shown in signal reasons when it passes,
+ *           and in the per-gate diagnostics either way
+ *
+ * Adding a gate: registerGate('myGate', fn), then give it an entry in
+ * strategy.gates. The evaluator needs no changes.
+ */
+
+import { rsiDivergence, getNearestSR } from '../indicators/technical.js';
+
+const registry = new Map();   // name → evaluate(ctx, opts)
+
+/**
+ * Register (or replace) a gate.
+ * @param {string}   name
+ * @param {Function} evaluate  (ctx, opts) => { pass: boolean, detail: string }
+ */
+export function registerGate(name, evaluate) {
+  if (typeof evaluate !== 'function') throw new Error(`Gate '${name}' must be a function`);
+  registry.set(name, evaluate);
+}
+
+/** Names of all registered gates. */
+export function gateNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * Turn `strategy.gates` into the ordered list of enabled gates.
+ * Throws on entries that name no registered gate, so a typo in a profile
+ * cannot silently disable a rule.
+ *
+ * @param {Object} gatesCfg  strategy.gates
+ * @returns {Array<{ name, evaluate, opts }>}
+ */
+export function resolveGates(gatesCfg = {}) {
+  const gates = [];
+  for (const [name, entry] of Object.entries(gatesCfg)) {
+    const evaluate = registry.get(name);
+    if (!evaluate) {
+      throw new Error(`Unknown signal gate '${name}' in strategy.gates (known: ${gateNames().join(', ')})`);
+    }
+    const opts = { enabled: true, mandatory: false, weight: 1, ...entry };
+    if (opts.enabled) gates.push({ name, evaluate, opts });
+  }
+  return gates;
+}
+
+// ── Built-in Gates ────────────────────────────────────────────────────────────
+
+// M15 trend filter — price vs M15 EMA200, WITH the trend only.
+// Selling into a bull M15 trend is the #1 preventable loss. Vice versa for buys.
+registerGate('m15Trend', ({ direction, isSell, m15Candles, ind }) => {
+  const m15bar = m15Candles?.at(-1);
+  if (!m15bar || m15bar.emaTrend == null) {
+    return { pass: false, detail: `M15 EMA${ind.emaTrend} not yet computed (warmup)` };
+  }
+  const aligned = isSell ? m15bar.close < m15bar.emaTrend : m15bar.close > m15bar.emaTrend;
+  if (!aligned) {
+    return { pass: false, detail: `M15 trend is ${isSell ? 'bullish' : 'bearish'} — ${direction} blocked` };
+  }
+  return {
+    pass  : true,
+    detail: `M15 price(${m15bar.close}) ${isSell ? '<' : '>'} M15 EMA${ind.emaTrend}(${m15bar.emaTrend.toFixed(2)})`,
+  };
+});
+
+// M5 EMA fast/slow aligned in the signal direction AND crossed within the last
+// `crossWithinBars` bars — not a stale cross from hours ago.
+registerGate('emaCross', ({ isSell, bar, m5Candles, ind }, { crossWithinBars = 5 }) => {
+  if (bar.emaFast == null || bar.emaSlow == null) {
+    return { pass: false, detail: 'M5 EMA not computed' };
+  }
+  const aligned = isSell ? bar.emaFast < bar.emaSlow : bar.emaFast > bar.emaSlow;
+  if (!aligned) {
+    return { pass: false, detail: `EMA${ind.emaFast} not ${isSell ? 'below' : 'above'} EMA${ind.emaSlow}` };
+  }
+  const lookback    = m5Candles.slice(-(crossWithinBars + 1));  // current bar + crossWithinBars before
+  const recentCross = lookback.some((b, i) => {
+    if (i === 0 || b.emaFast == null || lookback[i - 1].emaFast == null) return false;
+    return isSell
+      ? (lookback[i - 1].emaFast >= lookback[i - 1].emaSlow) && (b.emaFast < b.emaSlow)
+      : (lookback[i - 1].emaFast <= lookback[i - 1].emaSlow) && (b.emaFast > b.emaSlow);
+  });
+  if (!recentCross) {
+    return { pass: false, detail: `EMA${ind.emaFast}/${ind.emaSlow} cross too stale (>${crossWithinBars} bars ago)` };
+  }
+  return {
+    pass  : true,
+    detail: `EMA${ind.emaFast}(${bar.emaFast.toFixed(2)}) ${isSell ? 'below' : 'above'} EMA${ind.emaSlow}(${bar.emaSlow.toFixed(2)}) — recent cross`,
+  };
+});
+
+// M5 EMA200 alignment — M5 and M15 both aligned = stronger confluence.
+registerGate('m5Trend', ({ isSell, bar, ind }) => {
+  if (bar.emaTrend == null) return { pass: false, detail: `M5 EMA${ind.emaTrend} not computed` };
+  const pass = isSell ? bar.close < bar.emaTrend : bar.close > bar.emaTrend;
+  const op   = isSell ? (pass ? '<' : '>=') : (pass ? '>' : '<=');
+  return {
+    pass,
+    detail: `M5 price(${bar.close}) ${op} M5 EMA${ind.emaTrend}(${bar.emaTrend.toFixed(2)})`,
+  };
+});
+
+// RSI exhaustion — overbought/oversold AND rolling over/up.
+// "Overbought can stay overbought" — the slope confirms the turn.
+registerGate('rsiExhaustion', ({ isSell, bar, ind }) => {
+  const { rsi, rsiSlope } = bar;
+  if (rsi == null || rsiSlope == null) return { pass: false, detail: 'RSI not computed' };
+  const pass = isSell
+    ? rsi > ind.rsiOverbought && rsiSlope < 0
+    : rsi < ind.rsiOversold   && rsiSlope > 0;
+  const zone = isSell ? 'overbought+falling' : 'oversold+rising';
+  return {
+    pass,
+    detail: `RSI(${rsi.toFixed(1)}) ${pass ? '' : 'not '}${zone} (slope ${rsiSlope.toFixed(1)})`,
+  };
+});
+
+// MACD histogram turning in the signal direction — momentum shifts before price does.
+registerGate('macdMomentum', ({ isSell, bar, prev }) => {
+  if (bar.macdHist == null || prev.macdHist == null) return { pass: false, detail: 'MACD not computed' };
+  const pass = isSell
+    ? bar.macdHist < prev.macdHist   // shrinking / going negative
+    : bar.macdHist > prev.macdHist;  // growing / going positive
+  return {
+    pass,
+    detail: `MACD hist ${pass ? '' : 'not '}${isSell ? 'falling' : 'rising'} (${prev.macdHist.toFixed(3)}→${bar.macdHist.toFixed(3)})`,
+  };
+});
+
+// Stochastic K/D cross inside the OB/OS zone — an exhaustion cross, not midrange noise.
+registerGate('stochCross', ({ isSell, bar, prev, ind }) => {
+  if (bar.stochK == null || bar.stochD == null || prev.stochK == null || prev.stochD == null) {
+    return { pass: false, detail: 'Stochastic not computed' };
+  }
+  const crossed = isSell
+    ? (prev.stochK >= prev.stochD) && (bar.stochK < bar.stochD)
+    : (prev.stochK <= prev.stochD) && (bar.stochK > bar.stochD);
+  const inZone  = isSell ? bar.stochK > ind.stochOb : bar.stochK < ind.stochOs;
+  const pass    = crossed && inZone;
+  return {
+    pass,
+    detail: pass
+      ? `Stoch K(${bar.stochK.toFixed(1)}) crossed ${isSell ? 'below' : 'above'} D(${bar.stochD.toFixed(1)}) in ${isSell ? 'OB' : 'OS'} zone`
+      : `No stoch K/D cross in ${isSell ? 'OB' : 'OS'} zone (K ${bar.stochK.toFixed(1)})`,
+  };
+});
+
+// Bollinger %B — price stretched to the band it should revert from.
+registerGate('bollingerPctB', ({ isSell, bar }, { lower = 0.05, upper = 0.95 }) => {
+  if (bar.bbPctB == null) return { pass: false, detail: 'Bollinger Bands not computed' };
+  const pass = isSell ? bar.bbPctB >= upper : bar.bbPctB <= lower;
+  return {
+    pass,
+    detail: `BB %B ${bar.bbPctB.toFixed(2)} ${isSell ? `${pass ? '≥' : '<'} ${upper}` : `${pass ? '≤' : '>'} ${lower}`}`,
+  };
+});
+
+// RSI divergence over the last `lookback` bars — bearish for sells, bullish for buys.
+registerGate('rsiDivergence', ({ isSell, m5Candles }, { lookback = 20 }) => {
+  const div  = rsiDivergence(m5Candles, lookback);
+  const want = isSell ? 'bearish' : 'bullish';
+  return { pass: div === want, detail: `RSI divergence (${lookback} bars): ${div}` };
+});
+
+// Entry near structure — a sell close under resistance, a buy close above support,
+// within `maxAtrDistance` × ATR (swing levels from the last `lookback` bars).
+registerGate('nearestSr', ({ isSell, bar, m5Candles }, { lookback = 100, maxAtrDistance = 1.0 }) => {
+  if (bar.atr == null) return { pass: false, detail: 'ATR not computed' };
+  const { support, resistance } = getNearestSR(m5Candles.slice(-lookback), bar.close);
+  const dist  = isSell ? resistance - bar.close : bar.close - support;
+  const level = isSell ? `resistance ${resistance.toFixed(2)}` : `support ${support.toFixed(2)}`;
+  const pass  = dist <= maxAtrDistance * bar.atr;
+  return {
+    pass,
+    detail: `${(dist / bar.atr).toFixed(2)}×ATR from ${level} (max ${maxAtrDistance})`,
+  };
+});
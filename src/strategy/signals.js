@@ -5,18 +5,25 @@
  *
  * BOTH DIRECTIONS supported.
  *
- *   MANDATORY (each adds 1 pt; early-exit if either fails — direction blocked):
- *   [M1] VOLATILITY GUARD : ATR within [minAtr, maxAtr]          (shared pre-check)
- *   [M2] M15 TREND FILTER : Price vs M15 EMA200 — WITH the trend only
- *   [M3] EMA ALIGNMENT    : EMA5/EMA13 aligned in signal direction + cross within 3 bars
+ *   [M1] VOLATILITY GUARD : ATR within [minAtr, maxAtr] — shared pre-check, no score
  *
- *   SCORING (each adds 1 pt; need ≥ 2 of 4 to reach REQUIRED_SCORE=4):
- *   [S1] M5 TREND FILTER  : Price vs M5 EMA200 — dual-TF alignment
- *   [S2] RSI EXHAUSTION   : RSI(7) in OB/OS zone AND rolling over/up
- *   [S3] MACD MOMENTUM    : MACD histogram turning in signal direction
- *   [S4] STOCHASTIC CROSS : K/D cross inside overbought/oversold zone
+ *   Everything else is a named gate from src/strategy/gates.js, switched on,
+ *   weighted and marked mandatory in `strategy.gates`. Defaults:
  *
- *   REQUIRED_SCORE = 4  (M2 + M3 mandatory + ≥ 2 scoring gates)
+ *   MANDATORY (direction blocked if either fails):
+ *   m15Trend      : Price vs M15 EMA200 — WITH the trend only
+ *   emaCross      : M5 EMA fast/slow aligned in signal direction + cross within 5 bars
+ *
+ *   SCORING:
+ *   m5Trend       : Price vs M5 EMA200 — dual-TF alignment
+ *   rsiExhaustion : RSI in OB/OS zone AND rolling over/up
+ *   macdMomentum  : MACD histogram turning in signal direction
+ *   stochCross    : K/D cross inside overbought/oversold zone
+ *
+ *   Off by default: bollingerPctB, rsiDivergence, nearestSr
+ *
+ *   Score = sum of passed gate weights. Fires when no mandatory gate failed and
+ *   score ≥ strategy.requiredScore (3 = both mandatory gates + 1 scoring gate)
  *   Competition   : both directions evaluated each bar — higher score wins; tie = no trade
  *
  * STOP LOSS  : max(swing structure ± 0.2×ATR,  entry ± 2.0×ATR), floor at 1×ATR
@@ -25,16 +32,20 @@
  */
 
 import CFG from '../../config.js';
-
-const str = CFG.strategy;
-const ind = CFG.indicator;
-
-// Min score to fire a signal: M2(+1) + M3(+1) + any 1 scoring gate(+1) = 3
-const REQUIRED_SCORE = 3;
+import { resolveGates } from './gates.js';
 
 // ── SignalGenerator ───────────────────────────────────────────────────────────
 
 export class SignalGenerator {
+  /**
+   * @param {Object} [cfg]  Bot config — reads the `strategy` and `indicator` sections
+   */
+  constructor(cfg = CFG) {
+    this._cfg    = cfg;
+    this._gates  = resolveGates(cfg.strategy.gates);
+    this.lastBar = null;   // { sell, buy } → { score, required, blocked, reasons, gates }
+  }
+
   /**
    * Evaluate the current bar for a buy or sell entry.
    *
@@ -43,6 +54,7 @@ export class SignalGenerator {
    * @returns {Signal|null}
    */
   evaluate(m5Candles, m15Candles) {
+    const str = this._cfg.strategy;
     this.lastBar = null;
 
     if (m5Candles.length < 50) return null;
@@ -55,8 +67,8 @@ export class SignalGenerator {
     if (atr == null || atr < str.minAtr || atr > str.maxAtr) {
       const msg = `ATR ${atr?.toFixed(2) ?? 'null'} outside [${str.minAtr}, ${str.maxAtr}]`;
       this.lastBar = {
-        sell: { score: 0, required: REQUIRED_SCORE, reasons: [msg] },
-        buy:  { score: 0, required: REQUIRED_SCORE, reasons: [msg] },
+        sell: { score: 0, required: str.requiredScore, blocked: true, reasons: [msg], gates: [] },
+        buy:  { score: 0, required: str.requiredScore, blocked: true, reasons: [msg], gates: [] },
       };
       return null;
     }
@@ -66,8 +78,8 @@ export class SignalGenerator {
 
     this.lastBar = { sell: sellResult, buy: buyResult };
 
-    const sellValid = sellResult.score >= REQUIRED_SCORE;
-    const buyValid  = buyResult.score  >= REQUIRED_SCORE;
+    const sellValid = !sellResult.blocked && sellResult.score >= str.requiredScore;
+    const buyValid  = !buyResult.blocked  && buyResult.score  >= str.requiredScore;
 
     if (!sellValid && !buyValid) return null;
 
@@ -86,137 +98,45 @@ export class SignalGenerator {
   // ── Direction Evaluator ────────────────────────────────────────────────────
 
   /**
-   * Score a single direction (buy or sell) against all gates.
-   * Returns early with partial score if any mandatory gate fails.
+   * Score a single direction (buy or sell) against every enabled gate.
+   * All gates run so the diagnostics are complete; a failed mandatory gate
+   * marks the direction as blocked whatever its score.
    */
   _evalDirection(direction, bar, prev, m5Candles, m15Candles) {
-    const isSell  = direction === 'sell';
+    const str = this._cfg.strategy;
+    const ctx = {
+      direction,
+      isSell : direction === 'sell',
+      bar,
+      prev,
+      m5Candles,
+      m15Candles,
+      ind    : this._cfg.indicator,
+    };
+
+    const gates   = [];
     const reasons = [];
     let score     = 0;
-
-    // [M2] M15 Trend Filter — MANDATORY
-    // Selling into a bull M15 trend is the #1 preventable loss. Vice versa for buys.
-    const m15bar = m15Candles?.at(-1);
-    if (!m15bar || m15bar.emaTrend == null) {
-      return { score, required: REQUIRED_SCORE, reasons: ['M15 EMA200 not yet computed (warmup)'] };
-    }
-    const m15Aligned = isSell
-      ? m15bar.close < m15bar.emaTrend
-      : m15bar.close > m15bar.emaTrend;
-    if (!m15Aligned) {
-      const trendLabel = isSell ? 'bullish' : 'bearish';
-      return {
-        score,
-        required: REQUIRED_SCORE,
-        reasons : [`M15 trend is ${trendLabel} — ${direction} blocked`],
-      };
-    }
-    score++;
-    reasons.push(
-      `M15 price(${m15bar.close}) ${isSell ? '<' : '>'} M15 EMA${ind.emaTrend}(${m15bar.emaTrend.toFixed(2)})`
-    );
-
-    // [M3] M5 EMA5/EMA13 Alignment + recent cross within 3 bars
-    // EMA must be crossed in the signal direction AND the cross must have occurred
-    // within the last 3 bars (15 min window) — not a stale cross from hours ago.
-    if (bar.emaFast == null || bar.emaSlow == null) {
-      return { score, required: REQUIRED_SCORE, reasons: [...reasons, 'M5 EMA not computed'] };
-    }
-    const emaAligned = isSell ? bar.emaFast < bar.emaSlow : bar.emaFast > bar.emaSlow;
-    if (!emaAligned) {
-      return {
-        score,
-        required: REQUIRED_SCORE,
-        reasons : [...reasons, `EMA${ind.emaFast} not ${isSell ? 'below' : 'above'} EMA${ind.emaSlow}`],
-      };
-    }
-    // Check that the cross happened within the last 5 bars (25 min window) — so we don't enter a stale trend mid-move
-    const lookback = m5Candles.slice(-6);  // current bar + up to 5 bars before
-    const recentCross = lookback.some((b, i) => {
-      if (i === 0 || b.emaFast == null || lookback[i - 1].emaFast == null) return false;
-      return isSell
-        ? (lookback[i - 1].emaFast >= lookback[i - 1].emaSlow) && (b.emaFast < b.emaSlow)
-        : (lookback[i - 1].emaFast <= lookback[i - 1].emaSlow) && (b.emaFast > b.emaSlow);
-    });
-    if (!recentCross) {
-      return {
-        score,
-        required: REQUIRED_SCORE,
-        reasons : [...reasons, `EMA${ind.emaFast}/${ind.emaSlow} cross too stale (>5 bars ago)`],
-      };
-    }
-    score++;
-    reasons.push(
-      `EMA${ind.emaFast}(${bar.emaFast.toFixed(2)}) ${isSell ? 'below' : 'above'} EMA${ind.emaSlow}(${bar.emaSlow.toFixed(2)}) — recent cross`
-    );
-
-    // ── Scoring Gates (need ≥ 2 of the 4 below) ──────────────────────────────
-
-    // [S1] M5 EMA200 Trend Alignment
-    // Both M5 and M15 aligned = stronger confluence; single-TF counter-trend misses this gate.
-    if (bar.emaTrend != null) {
-      const m5Aligned = isSell ? bar.close < bar.emaTrend : bar.close > bar.emaTrend;
-      if (m5Aligned) {
-        score++;
-        reasons.push(
-          `M5 price(${bar.close}) ${isSell ? '<' : '>'} M5 EMA${ind.emaTrend}(${bar.emaTrend.toFixed(2)})`
-        );
-      }
-    }
-
-    // [S2] RSI Exhaustion — overbought/oversold AND rolling over/up
-    // "Overbought can stay overbought" — we need the slope to confirm reversal.
-    const { rsi, rsiSlope } = bar;
-    if (rsi != null && rsiSlope != null) {
-      const rsiHit = isSell
-        ? rsi > ind.rsiOverbought && rsiSlope < 0
-        : rsi < ind.rsiOversold   && rsiSlope > 0;
-      if (rsiHit) {
-        score++;
-        reasons.push(
-          `RSI(${rsi.toFixed(1)}) ${isSell ? 'overbought+falling' : 'oversold+rising'} (slope ${rsiSlope.toFixed(1)})`
-        );
-      }
-    }
-
-    // [S3] MACD Histogram Momentum
-    // Histogram turning in the signal direction = momentum shifting before price does.
-    if (bar.macdHist != null && prev.macdHist != null) {
-      const macdHit = isSell
-        ? bar.macdHist < prev.macdHist   // shrinking / going negative
-        : bar.macdHist > prev.macdHist;  // growing / going positive
-      if (macdHit) {
-        score++;
-        reasons.push(
-          `MACD hist ${isSell ? 'falling' : 'rising'} (${prev.macdHist.toFixed(3)}→${bar.macdHist.toFixed(3)})`
-        );
-      }
-    }
-
-    // [S4] Stochastic K/D Cross inside extreme zone
-    // K crossing D while in the OB/OS zone = exhaustion cross, not a midrange noise cross.
-    if (bar.stochK != null && bar.stochD != null &&
-        prev.stochK != null && prev.stochD != null) {
-      const stochCrossDown = (prev.stochK >= prev.stochD) && (bar.stochK < bar.stochD);
-      const stochCrossUp   = (prev.stochK <= prev.stochD) && (bar.stochK > bar.stochD);
-      const stochInZone    = isSell ? bar.stochK > ind.stochOb : bar.stochK < ind.stochOs;
-      const stochHit       = isSell
-        ? stochCrossDown && stochInZone
-        : stochCrossUp   && stochInZone;
-      if (stochHit) {
-        score++;
-        reasons.push(
-          `Stoch K(${bar.stochK.toFixed(1)}) crossed ${isSell ? 'below' : 'above'} D(${bar.stochD.toFixed(1)}) in ${isSell ? 'OB' : 'OS'} zone`
-        );
+    let blocked   = false;
+
+    for (const { name, evaluate, opts } of this._gates) {
+      const { pass, detail } = evaluate(ctx, opts);
+      gates.push({ name, pass, mandatory: opts.mandatory, weight: opts.weight, detail });
+      if (pass) {
+        score += opts.weight;
+        reasons.push(detail);
+      } else if (opts.mandatory) {
+        blocked = true;
       }
     }
 
-    return { score, required: REQUIRED_SCORE, reasons };
+    return { score, required: str.requiredScore, blocked, reasons, gates };
   }
 
   // ── Signal Construction ────────────────────────────────────────────────────
 
   _buildSignal(direction, bar, atr, evalResult) {
+    const str    = this._cfg.strategy;
     const levels = this._calculateLevels(direction, bar.close, atr, bar);
     if (!levels) {
       this.lastBar[direction].reasons.push('Level calculation failed (SL ≤ entry)');
@@ -233,17 +153,19 @@ export class SignalGenerator {
       return null;
     }
 
+    const px = v => roundTo(v, this._cfg.instrument.pricePrecision);
     return {
       direction,
-      entryPrice    : round2(entry),
-      stopLoss      : round2(sl),
-      takeProfit    : round2(tp),
+      entryPrice    : px(entry),
+      stopLoss      : px(sl),
+      takeProfit    : px(tp),
       rrRatio       : round2(rr),
       score         : evalResult.score,
-      requiredScore : REQUIRED_SCORE,
-      atr           : round2(atr),
+      requiredScore : str.requiredScore,
+      atr           : px(atr),
       isCounterTrend: false,
       reasons       : evalResult.reasons,
+      gates         : evalResult.gates.filter(g => g.pass).map(g => g.name),
       timestamp     : bar.time,
     };
   }
@@ -254,32 +176,33 @@ export class SignalGenerator {
    * Compute SL and TP for both directions.
    *
    * SELL — SL is ABOVE entry:
-   *   structural: last swing high + 0.2×ATR  (just above the swing)
+   *   structural: last swing high + swingBufferAtr × ATR  (just above the swing, 0.2 default)
    *   ATR-based : entry + slAtrMult × ATR    (fixed fallback)
    *   Take the WIDER — protects against stop hunts on thin pullbacks.
-   *   Hard floor: SL ≥ entry + 1×ATR
+   *   Hard floor: SL ≥ entry + minSlAtr × ATR  (1 default)
    *   TP = entry − SL_distance × tpSlMult
    *
    * BUY — SL is BELOW entry (mirror logic):
-   *   structural: last swing low − 0.2×ATR
-   *   Hard floor: SL ≤ entry − 1×ATR
+   *   structural: last swing low − swingBufferAtr × ATR
+   *   Hard floor: SL ≤ entry − minSlAtr × ATR
    *   TP = entry + SL_distance × tpSlMult
    */
   _calculateLevels(direction, price, atr, bar) {
+    const str = this._cfg.strategy;
     if (direction === 'sell') {
       const atrSl    = price + atr * str.slAtrMult;
-      const structSl = bar.lastSH != null ? bar.lastSH + 0.2 * atr : atrSl;
+      const structSl = bar.lastSH != null ? bar.lastSH + str.swingBufferAtr * atr : atrSl;
       let sl         = Math.max(atrSl, structSl);
-      sl             = Math.max(sl, price + atr);   // floor: noise must not clip stop
+      sl             = Math.max(sl, price + atr * str.minSlAtr);   // floor: noise must not clip stop
       if (sl <= price) return null;
       const slDist   = sl - price;
       const tp       = price - slDist * str.tpSlMult;
       return { entry: price, sl, tp };
     } else {
       const atrSl    = price - atr * str.slAtrMult;
-      const structSl = bar.lastSL != null ? bar.lastSL - 0.2 * atr : atrSl;
+      const structSl = bar.lastSL != null ? bar.lastSL - str.swingBufferAtr * atr : atrSl;
       let sl         = Math.min(atrSl, structSl);
-      sl             = Math.min(sl, price - atr);   // floor: 1×ATR below entry
+      sl             = Math.min(sl, price - atr * str.minSlAtr);   // floor: minSlAtr×ATR below entry
       if (sl >= price) return null;
       const slDist   = price - sl;
       const tp       = price + slDist * str.tpSlMult;
@@ -290,7 +213,17 @@ export class SignalGenerator {
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-const round2 = v => Math.round(v * 100) / 100;
+const round2  = v => Math.round(v * 100) / 100;
+const roundTo = (v, decimals) => Math.round(v * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * One-line per-gate summary of a lastBar direction, e.g.
+ * "m15Trend✓ emaCross✗ m5Trend✓ rsiExhaustion✗ ..."
+ */
+export function formatGates(result) {
+  if (!result.gates.length) return result.reasons.at(-1) ?? 'none';
+  return result.gates.map(g => `${g.name}${g.pass ? '✓' : '✗'}${g.mandatory ? '!' : ''}`).join(' ');
+}
 
 export function formatSignal(signal) {
   return (